@@ -2,6 +2,24 @@ import { useEffect, useMemo, useState } from 'react';
 import './App.css';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL ?? 'http://localhost:4000';
+const AUTH_TOKEN_KEY = 'auth-token';
+const AUTH_EXPIRED_EVENT = 'auth-expired';
+// The server reads dates in the user's zone and keeps the one the browser reports
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Sends the signed-in user's token with every request; a 401 signs them out
+const apiFetch = async (path, options = {}) => {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${localStorage.getItem(AUTH_TOKEN_KEY)}`,
+      ...(TIME_ZONE && { 'X-Time-Zone': TIME_ZONE }),
+    },
+  });
+  if (res.status === 401) window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  return res;
+};
 
 // Return a local date key in YYYY-MM-DD using local time (avoids UTC shift issues)
 const getDateKey = (input) => {
@@ -11,6 +29,169 @@ const getDateKey = (input) => {
   ).padStart(2, '0')}`;
 };
 
+// Finished tasks stay visible (checked off) for the rest of the day they were completed
+const isTaskVisible = (task) =>
+  task.status !== 'done' || getDateKey(task.completedAt ?? Date.now()) === getDateKey(new Date());
+
+const TaskCheckbox = ({ task, onToggle }) => (
+  <input
+    type="checkbox"
+    className="task-checkbox"
+    checked={task.status === 'done'}
+    onChange={() => onToggle(task)}
+    title={task.status === 'done' ? 'Mark as open' : 'Mark as done'}
+  />
+);
+
+// Flattens the /agent error body into lines the status area can list
+const describeAgentErrors = (errorBody) => {
+  const details = (errorBody.validationErrors ?? []).flatMap(({ index, action, errors }) =>
+    errors.map(({ path, message }) => `Step ${index + 1} (${action ?? 'unknown'}): ${path} ${message}`)
+  );
+  if (errorBody.failedAction) {
+    const { index, action } = errorBody.failedAction;
+    details.push(`Step ${index + 1} (${action}) failed, so every change from this request was undone.`);
+  }
+  return details;
+};
+
+const SNOOZE_OPTIONS = [
+  { label: '10 min', until: 'in 10 minutes' },
+  { label: '1 hour', until: 'in 1 hour' },
+  { label: 'Tomorrow 9am', until: 'tomorrow at 9am' },
+];
+
+const RecurrenceControls = ({ item, kind, onSeriesAction }) =>
+  item.recurrence ? (
+    <span className="schedule-item-recurrence">
+      ↻ {item.recurrence.description}
+      <button type="button" onClick={() => onSeriesAction(kind, item.id, 'skip')}>
+        Skip next
+      </button>
+      <button type="button" onClick={() => onSeriesAction(kind, item.id, 'stop')}>
+        Stop
+      </button>
+    </span>
+  ) : null;
+
+const CONFIRM_MODE_KEY = 'agent-confirm-mode';
+const CONFIRM_MODES = [
+  { value: 'destructive', label: 'Confirm destructive plans' },
+  { value: 'always', label: 'Always confirm' },
+  { value: 'never', label: 'Never confirm' },
+];
+
+const ACTION_LABELS = {
+  add_task: 'Add task',
+  complete_task: 'Complete task',
+  update_task: 'Update task',
+  delete_task: 'Delete task',
+  add_note: 'Add note',
+  schedule_reminder: 'Schedule reminder',
+  update_reminder: 'Update reminder',
+  cancel_reminder: 'Cancel reminder',
+  skip_occurrence: 'Skip next occurrence',
+  stop_recurrence: 'Stop recurrence',
+  snooze_reminder: 'Snooze reminder',
+  acknowledge_reminder: 'Acknowledge reminder',
+  draft_email: 'Draft email',
+  send_email: 'Send email',
+  revise_email: 'Revise email',
+  search: 'Search',
+  list_items: 'List items',
+  count_items: 'Count items',
+  summarize_items: 'Summarize items',
+  undo: 'Undo last request',
+  redo: 'Redo last undone request',
+};
+
+// Actions that only read the workspace; the agent answers them with a reply
+const READ_ACTIONS = ['search', 'list_items', 'count_items', 'summarize_items'];
+
+const UNDO_TOAST_MS = 10000;
+
+// IDs are shown through the affected item instead of being editable
+// Address lists are edited as comma-separated text
+const isEditableField = (key, value) =>
+  (typeof value === 'string' || (Array.isArray(value) && value.every((v) => typeof v === 'string'))) &&
+  !key.endsWith('Id');
+
+const PlanPreview = ({ plan, busy, onChange, onApprove, onReject }) => (
+  <section className="panel plan-preview">
+    <header>
+      <h2>Review plan</h2>
+      <span>{plan.actions.filter((entry) => entry.included).length} selected</span>
+    </header>
+    <p className="plan-request">&ldquo;{plan.text}&rdquo;</p>
+    <ul className="plan-actions">
+      {plan.actions.map((entry) => (
+        <li
+          key={entry.index}
+          className={`plan-action${entry.included ? '' : ' plan-action-excluded'}`}
+        >
+          <label className="plan-action-title">
+            <input
+              type="checkbox"
+              checked={entry.included}
+              onChange={() => onChange(entry.index, { included: !entry.included })}
+            />
+            {ACTION_LABELS[entry.action] ?? entry.action}
+            {entry.destructive && (
+              <span className="plan-destructive">
+                {entry.action === 'send_email' ? 'sends an email' : 'changes existing data'}
+              </span>
+            )}
+          </label>
+          {entry.affected && (
+            <small>
+              Affects: {entry.affected.message ?? entry.affected.description ?? entry.affected.subject} (
+              {entry.affected.id.slice(0, 8)})
+            </small>
+          )}
+          {Object.entries(entry.payload)
+            .filter(([key, value]) => isEditableField(key, value))
+            .map(([key, value]) => (
+              <label key={key} className="plan-field">
+                <span>{key}</span>
+                <input
+                  type="text"
+                  value={Array.isArray(value) ? value.join(', ') : value}
+                  disabled={!entry.included}
+                  onChange={(event) =>
+                    onChange(entry.index, { payload: { ...entry.payload, [key]: event.target.value } })
+                  }
+                />
+              </label>
+            ))}
+          {entry.resolved.dueTime && (
+            <small>Due {new Date(entry.resolved.dueTime).toLocaleString()}</small>
+          )}
+          {entry.resolved.dueDate && (
+            <small>Due {new Date(entry.resolved.dueDate).toLocaleDateString()}</small>
+          )}
+          {entry.resolved.recurrence && <small>Repeats {entry.resolved.recurrence}</small>}
+          {entry.action === 'send_email' && (
+            <small>
+              {entry.resolved.sendAt
+                ? `Sends ${new Date(entry.resolved.sendAt).toLocaleString()}`
+                : 'Sends immediately'}
+            </small>
+          )}
+          {entry.resolved.reverts && <small>Reverts &ldquo;{entry.resolved.reverts}&rdquo;</small>}
+        </li>
+      ))}
+    </ul>
+    <div className="plan-buttons">
+      <button type="button" onClick={onApprove} disabled={busy}>
+        Approve
+      </button>
+      <button type="button" className="plan-reject" onClick={onReject} disabled={busy}>
+        Reject
+      </button>
+    </div>
+  </section>
+);
+
 const Section = ({ title, items, renderItem, emptyLabel }) => (
   <section className="panel">
     <header>
@@ -29,50 +210,1359 @@ const Section = ({ title, items, renderItem, emptyLabel }) => (
   </section>
 );
 
-const EmailDraftSection = ({ drafts, onCopy, copiedId, copyError }) => (
-  <section className="panel email-draft">
-    <header>
-      <h2>Email Drafts</h2>
-      <span>{drafts.length} total</span>
-    </header>
-    {copyError && <p className="status error">{copyError}</p>}
-    {drafts.length === 0 ? (
-      <p className="empty">
-        Say “draft an email about …” in the main command box to create ready-to-copy drafts.
-      </p>
-    ) : (
-      <ul className="email-draft-list">
-        {drafts.map((draft) => (
-          <li key={draft.id} className="email-draft-item">
-            <div className="email-draft-meta">
-              <span>{new Date(draft.createdAt).toLocaleString()}</span>
-              <span className="email-draft-instructions">{draft.instructions}</span>
+const EMAIL_STATUS_LABELS = {
+  scheduled: 'Queued',
+  sending: 'Sending…',
+  sent: 'Sent',
+  failed: 'Failed',
+};
+
+// datetime-local wants local wall-clock time without a zone
+const toLocalInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const describeDelivery = (draft) => {
+  if (draft.status === 'sent') return `Sent ${new Date(draft.sentAt).toLocaleString()}`;
+  if (draft.status === 'scheduled' && draft.sendAt) {
+    return `${draft.attempts > 0 ? 'Retrying' : 'Sending'} ${new Date(draft.sendAt).toLocaleString()}`;
+  }
+  return EMAIL_STATUS_LABELS[draft.status] ?? '';
+};
+
+// Recipients plus an optional send-later time; failed drafts reopen it to retry.
+const EmailSendControls = ({ draft, sendingEnabled, onSend, onCancelSend }) => {
+  const [open, setOpen] = useState(false);
+  const [fields, setFields] = useState({ to: '', cc: '', bcc: '', sendAt: '' });
+  const [earliest, setEarliest] = useState('');
+
+  const openForm = () => {
+    setFields({
+      to: draft.to.join(', '),
+      cc: draft.cc.join(', '),
+      bcc: draft.bcc.join(', '),
+      sendAt: '',
+    });
+    setEarliest(toLocalInputValue(Date.now()));
+    setOpen(true);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const sent = await onSend(draft, {
+      to: fields.to,
+      cc: fields.cc,
+      bcc: fields.bcc,
+      sendAt: fields.sendAt ? new Date(fields.sendAt).toISOString() : undefined,
+    });
+    if (sent) setOpen(false);
+  };
+
+  if (draft.status === 'scheduled') {
+    return (
+      <button type="button" className="email-draft-copy" onClick={() => onCancelSend(draft)}>
+        Cancel send
+      </button>
+    );
+  }
+  if (!sendingEnabled || draft.status === 'sending' || draft.status === 'sent') return null;
+  if (!open) {
+    return (
+      <button type="button" className="email-draft-copy" onClick={openForm}>
+        {draft.status === 'failed' ? 'Retry…' : 'Send…'}
+      </button>
+    );
+  }
+
+  const update = (key) => (event) => setFields((prev) => ({ ...prev, [key]: event.target.value }));
+  return (
+    <form className="email-send-form" onSubmit={handleSubmit}>
+      {['to', 'cc', 'bcc'].map((key) => (
+        <label key={key}>
+          <span className="email-draft-label">{key}</span>
+          <input
+            type="text"
+            value={fields[key]}
+            onChange={update(key)}
+            placeholder={key === 'to' ? 'alice@example.com, bob@example.com' : ''}
+            required={key === 'to'}
+          />
+        </label>
+      ))}
+      <label>
+        <span className="email-draft-label">Send later (optional)</span>
+        <input
+          type="datetime-local"
+          value={fields.sendAt}
+          min={earliest}
+          onChange={update('sendAt')}
+        />
+      </label>
+      <div className="email-send-actions">
+        <button type="submit" className="email-draft-copy">
+          {fields.sendAt ? 'Schedule' : 'Send now'}
+        </button>
+        <button type="button" className="email-draft-copy" onClick={() => setOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const VERSION_SOURCES = {
+  generated: 'Generated',
+  written: 'Written',
+  edited: 'Edited',
+  revised: 'Revised',
+  restored: 'Restored',
+};
+
+const describeVersion = (version) => {
+  const label = `v${version.version} · ${VERSION_SOURCES[version.source] ?? version.source}`;
+  if (version.source === 'revised') return `${label}: “${version.instructions}”`;
+  if (version.source === 'restored') return `${label} from v${version.restoredFrom}`;
+  return label;
+};
+
+const DiffText = ({ changes, className }) => (
+  <p className={`${className} draft-diff`}>
+    {changes.map((change, index) => {
+      if (change.type === 'added') return <ins key={index}>{change.text}</ins>;
+      if (change.type === 'removed') return <del key={index}>{change.text}</del>;
+      return <span key={index}>{change.text}</span>;
+    })}
+  </p>
+);
+
+// One draft with inline editing, version history (diff and restore), archiving
+// and sending. Changes are reported through onUpdated/onDeleted.
+const EmailDraftItem = ({
+  draft,
+  copied,
+  onCopy,
+  sendingEnabled,
+  onSend,
+  onCancelSend,
+  onUpdated,
+  onDeleted,
+  onError,
+}) => {
+  const [editing, setEditing] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const locked = draft.status === 'sending' || draft.status === 'sent';
+  const currentVersion = draft.versions.at(-1)?.version;
+
+  const request = async (path, options, fallback) => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || fallback);
+      return data;
+    } catch (error) {
+      onError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const updated = await request(
+      `/email-drafts/${draft.id}`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editing),
+      },
+      'Unable to save the draft.'
+    );
+    if (!updated) return;
+    onUpdated(updated);
+    setEditing(null);
+    setHistory(null);
+  };
+
+  // Shows how `version` differs from the version before it
+  const showDiff = async (version) => {
+    const diff = await request(`/email-drafts/${draft.id}/diff?to=${version}`, {}, 'Unable to compare versions.');
+    if (diff) setHistory({ version, diff });
+  };
+
+  const handleRestore = async (version) => {
+    const updated = await request(
+      `/email-drafts/${draft.id}/versions/${version}/restore`,
+      { method: 'POST' },
+      'Unable to restore that version.'
+    );
+    if (!updated) return;
+    onUpdated(updated);
+    setHistory(null);
+  };
+
+  const handleArchive = async () => {
+    const updated = await request(
+      `/email-drafts/${draft.id}/${draft.archivedAt ? 'unarchive' : 'archive'}`,
+      { method: 'POST' },
+      'Unable to archive the draft.'
+    );
+    if (updated) onUpdated(updated);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete “${draft.subject}” and all of its versions?`)) return;
+    const removed = await request(`/email-drafts/${draft.id}`, { method: 'DELETE' }, 'Unable to delete the draft.');
+    if (removed) onDeleted(removed);
+  };
+
+  return (
+    <li className={`email-draft-item${draft.archivedAt ? ' email-draft-archived' : ''}`}>
+      <div className="email-draft-meta">
+        <span>
+          {new Date(draft.createdAt).toLocaleString()}
+          {draft.versions.length > 1 && ` · version ${currentVersion}`}
+        </span>
+        <span className="email-draft-instructions">{draft.instructions}</span>
+        {draft.status !== 'draft' && (
+          <span className={`email-draft-status ${draft.status}`}>{describeDelivery(draft)}</span>
+        )}
+        {draft.lastError && draft.status !== 'sent' && (
+          <span className="email-draft-error">{draft.lastError}</span>
+        )}
+      </div>
+      {editing ? (
+        <form className="email-send-form" onSubmit={handleSave}>
+          <label>
+            <span className="email-draft-label">Subject</span>
+            <input
+              type="text"
+              value={editing.subject}
+              onChange={(event) => setEditing((prev) => ({ ...prev, subject: event.target.value }))}
+              required
+            />
+          </label>
+          <label>
+            <span className="email-draft-label">Body</span>
+            <textarea
+              rows={8}
+              value={editing.body}
+              onChange={(event) => setEditing((prev) => ({ ...prev, body: event.target.value }))}
+              required
+            />
+          </label>
+          <div className="email-send-actions">
+            <button type="submit" className="email-draft-copy" disabled={busy}>
+              Save as new version
+            </button>
+            <button type="button" className="email-draft-copy" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="email-draft-content">
+          {draft.to.length > 0 && (
+            <div>
+              <span className="email-draft-label">To</span>
+              <p className="email-draft-recipients">
+                {[
+                  draft.to.join(', '),
+                  draft.cc.length > 0 && `cc ${draft.cc.join(', ')}`,
+                  draft.bcc.length > 0 && `bcc ${draft.bcc.join(', ')}`,
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </p>
             </div>
-            <div className="email-draft-content">
-              <div>
-                <span className="email-draft-label">Subject</span>
-                <p className="email-draft-subject">{draft.subject}</p>
+          )}
+          <div>
+            <span className="email-draft-label">Subject</span>
+            {history ? (
+              <DiffText className="email-draft-subject" changes={history.diff.subject} />
+            ) : (
+              <p className="email-draft-subject">{draft.subject}</p>
+            )}
+          </div>
+          <div>
+            <span className="email-draft-label">
+              Body
+              {history && ` · changes in v${history.diff.to}${history.diff.from ? ` since v${history.diff.from}` : ''}`}
+            </span>
+            {history ? (
+              <DiffText className="email-draft-body" changes={history.diff.body} />
+            ) : (
+              <p className="email-draft-body">{draft.body}</p>
+            )}
+          </div>
+        </div>
+      )}
+      {history && (
+        <ul className="email-draft-versions">
+          {[...draft.versions].reverse().map((version) => (
+            <li key={version.version} className={version.version === history.version ? 'selected' : ''}>
+              <button
+                type="button"
+                className="email-draft-version"
+                onClick={() => showDiff(version.version)}
+                disabled={busy}
+              >
+                {describeVersion(version)}
+              </button>
+              <small>{new Date(version.createdAt).toLocaleString()}</small>
+              {version.version !== currentVersion && !locked && (
+                <button
+                  type="button"
+                  className="email-draft-copy"
+                  onClick={() => handleRestore(version.version)}
+                  disabled={busy}
+                >
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="email-draft-actions">
+        <button type="button" className="email-draft-copy" onClick={() => onCopy(draft)}>
+          {copied ? 'Copied!' : 'Copy draft'}
+        </button>
+        {!locked && !editing && (
+          <button
+            type="button"
+            className="email-draft-copy"
+            onClick={() => setEditing({ subject: draft.subject, body: draft.body })}
+          >
+            Edit
+          </button>
+        )}
+        {draft.versions.length > 1 && (
+          <button
+            type="button"
+            className="email-draft-copy"
+            onClick={() => (history ? setHistory(null) : showDiff(currentVersion))}
+            disabled={busy}
+          >
+            {history ? 'Hide history' : `History (${draft.versions.length})`}
+          </button>
+        )}
+        {!draft.archivedAt && (
+          <EmailSendControls
+            draft={draft}
+            sendingEnabled={sendingEnabled}
+            onSend={onSend}
+            onCancelSend={onCancelSend}
+          />
+        )}
+        <button type="button" className="email-draft-copy" onClick={handleArchive} disabled={busy}>
+          {draft.archivedAt ? 'Unarchive' : 'Archive'}
+        </button>
+        <button type="button" className="email-draft-copy email-draft-delete" onClick={handleDelete} disabled={busy}>
+          Delete
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const EmailDraftSection = ({ drafts, streamingDrafts = [], copiedId, copyError, ...itemProps }) => {
+  const [showArchived, setShowArchived] = useState(false);
+  const archivedCount = drafts.filter((draft) => draft.archivedAt).length;
+  const visible = drafts.filter((draft) => Boolean(draft.archivedAt) === showArchived);
+
+  return (
+    <section className="panel email-draft">
+      <header>
+        <h2>{showArchived ? 'Archived Drafts' : 'Email Drafts'}</h2>
+        {(archivedCount > 0 || showArchived) ? (
+          <button type="button" className="email-draft-copy" onClick={() => setShowArchived((prev) => !prev)}>
+            {showArchived ? 'Back to drafts' : `Archived (${archivedCount})`}
+          </button>
+        ) : (
+          <span>{visible.length} total</span>
+        )}
+      </header>
+      {copyError && <p className="status error">{copyError}</p>}
+      {streamingDrafts.length > 0 && !showArchived && (
+        <ul className="email-draft-list">
+          {streamingDrafts.map((draft) => (
+            <li key={draft.index} className="email-draft-item email-draft-streaming">
+              <div className="email-draft-meta">
+                <span>{draft.draftId ? 'Revising…' : 'Writing…'}</span>
+                <span className="email-draft-instructions">{draft.instructions}</span>
               </div>
-              <div>
-                <span className="email-draft-label">Body</span>
-                <p className="email-draft-body">{draft.body}</p>
+              <div className="email-draft-content">
+                <div>
+                  <span className="email-draft-label">Subject</span>
+                  <p className="email-draft-subject">{draft.subject}</p>
+                </div>
+                <div>
+                  <span className="email-draft-label">Body</span>
+                  <p className="email-draft-body">
+                    {draft.body}
+                    <span className="email-draft-cursor" />
+                  </p>
+                </div>
               </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {visible.length === 0 && (streamingDrafts.length === 0 || showArchived) ? (
+        <p className="empty">
+          {showArchived
+            ? 'No archived drafts.'
+            : 'Say “draft an email about …” in the main command box to create ready-to-copy drafts.'}
+        </p>
+      ) : (
+        <ul className="email-draft-list">
+          {visible.map((draft) => (
+            <EmailDraftItem key={draft.id} draft={draft} copied={copiedId === draft.id} {...itemProps} />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+const EMPTY_TEMPLATE = { id: null, name: '', subject: '', body: '', tone: '' };
+
+// Signature, tone presets and templates used when drafting. Built-in templates
+// and tones can be used but not changed.
+const EmailSetupPanel = ({ onUseTemplate, onError }) => {
+  const [settings, setSettings] = useState({ signature: '', defaultTone: null });
+  const [signature, setSignature] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [tones, setTones] = useState([]);
+  const [templateForm, setTemplateForm] = useState(null);
+  const [toneForm, setToneForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const request = async (path, options, fallback) => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || fallback);
+      return data;
+    } catch (error) {
+      onError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendJson = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const loadSetup = async () => {
+    const [settingsData, templateData, toneData] = await Promise.all([
+      apiFetch('/email/settings').then((res) => res.json()),
+      apiFetch('/email/templates').then((res) => res.json()),
+      apiFetch('/email/tones').then((res) => res.json()),
+    ]);
+    setSettings(settingsData);
+    setSignature(settingsData.signature ?? '');
+    setTemplates(templateData.templates ?? []);
+    setTones(Array.isArray(toneData) ? toneData : []);
+  };
+
+  useEffect(() => {
+    loadSetup().catch(() => setLoadError('Unable to load email templates.'));
+  }, []);
+
+  const saveSettings = async (changes) => {
+    const updated = await request('/email/settings', sendJson('PATCH', changes), 'Unable to save email settings.');
+    if (!updated) return;
+    setSettings(updated);
+    setSignature(updated.signature);
+  };
+
+  const handleSaveTemplate = async (event) => {
+    event.preventDefault();
+    const { id, ...fields } = templateForm;
+    const saved = await request(
+      id ? `/email/templates/${id}` : '/email/templates',
+      sendJson(id ? 'PATCH' : 'POST', { ...fields, tone: fields.tone || null }),
+      'Unable to save the template.'
+    );
+    if (!saved) return;
+    setTemplateForm(null);
+    await loadSetup();
+  };
+
+  const handleSaveTone = async (event) => {
+    event.preventDefault();
+    const saved = await request('/email/tones', sendJson('POST', toneForm), 'Unable to save the tone.');
+    if (!saved) return;
+    setToneForm(null);
+    await loadSetup();
+  };
+
+  const handleDelete = async (kind, item) => {
+    if (!window.confirm(`Delete “${item.name}”?`)) return;
+    const removed = await request(`/email/${kind}/${item.id}`, { method: 'DELETE' }, 'Unable to delete it.');
+    if (removed) await loadSetup();
+  };
+
+  const handlePreview = async (template) => {
+    if (preview?.id === template.id) {
+      setPreview(null);
+      return;
+    }
+    const filled = await request(
+      `/email/templates/${template.id}/preview`,
+      sendJson('POST', {}),
+      'Unable to preview the template.'
+    );
+    if (filled) setPreview({ id: template.id, ...filled });
+  };
+
+  const toneName = (toneId) => tones.find((tone) => tone.id === toneId)?.name;
+
+  return (
+    <section className="panel email-setup">
+      <header>
+        <h2>Email Setup</h2>
+      </header>
+      {loadError && <p className="status error">{loadError}</p>}
+
+      <div className="email-setup-group">
+        <span className="email-draft-label">Signature</span>
+        <textarea
+          rows={3}
+          value={signature}
+          placeholder={'Best,\nYour name'}
+          onChange={(event) => setSignature(event.target.value)}
+        />
+        <div className="email-send-actions">
+          <button
+            type="button"
+            className="email-draft-copy"
+            onClick={() => saveSettings({ signature })}
+            disabled={busy || signature === settings.signature}
+          >
+            Save signature
+          </button>
+          <label className="email-setup-tone">
+            Default tone
+            <select
+              value={settings.defaultTone ?? ''}
+              onChange={(event) => saveSettings({ defaultTone: event.target.value || null })}
+              disabled={busy}
+            >
+              <option value="">None</option>
+              {tones.map((tone) => (
+                <option key={tone.id} value={tone.id}>
+                  {tone.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="email-setup-group">
+        <span className="email-draft-label">Tone presets</span>
+        <ul className="email-setup-list">
+          {tones.map((tone) => (
+            <li key={tone.id}>
+              <strong>{tone.name}</strong>
+              <small>{tone.instructions}</small>
+              {!tone.builtIn && (
+                <button
+                  type="button"
+                  className="email-draft-copy email-draft-delete"
+                  onClick={() => handleDelete('tones', tone)}
+                  disabled={busy}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {toneForm ? (
+          <form className="email-send-form" onSubmit={handleSaveTone}>
+            <input
+              type="text"
+              placeholder="Name"
+              value={toneForm.name}
+              onChange={(event) => setToneForm((prev) => ({ ...prev, name: event.target.value }))}
+              required
+            />
+            <input
+              type="text"
+              placeholder="How should it sound?"
+              value={toneForm.instructions}
+              onChange={(event) => setToneForm((prev) => ({ ...prev, instructions: event.target.value }))}
+              required
+            />
+            <div className="email-send-actions">
+              <button type="submit" className="email-draft-copy" disabled={busy}>
+                Add tone
+              </button>
+              <button type="button" className="email-draft-copy" onClick={() => setToneForm(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            className="email-draft-copy"
+            onClick={() => setToneForm({ name: '', instructions: '' })}
+          >
+            New tone
+          </button>
+        )}
+      </div>
+
+      <div className="email-setup-group">
+        <span className="email-draft-label">Templates</span>
+        <ul className="email-setup-list">
+          {templates.map((template) => (
+            <li key={template.id}>
+              <strong>{template.name}</strong>
+              <small>
+                {template.placeholders.map((name) => `{{${name}}}`).join(' ')}
+                {template.tone && ` · ${toneName(template.tone) ?? 'tone removed'}`}
+              </small>
+              <div className="email-send-actions">
+                <button type="button" className="email-draft-copy" onClick={() => onUseTemplate(template)}>
+                  Use
+                </button>
+                <button
+                  type="button"
+                  className="email-draft-copy"
+                  onClick={() => handlePreview(template)}
+                  disabled={busy}
+                >
+                  {preview?.id === template.id ? 'Hide preview' : 'Preview'}
+                </button>
+                {!template.builtIn && (
+                  <>
+                    <button
+                      type="button"
+                      className="email-draft-copy"
+                      onClick={() => setTemplateForm({ ...template, tone: template.tone ?? '' })}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="email-draft-copy email-draft-delete"
+                      onClick={() => handleDelete('templates', template)}
+                      disabled={busy}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+              {preview?.id === template.id && (
+                <div className="email-draft-content">
+                  <p className="email-draft-subject">{preview.subject}</p>
+                  <p className="email-draft-body">{preview.body}</p>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+        {templateForm ? (
+          <form className="email-send-form" onSubmit={handleSaveTemplate}>
+            <input
+              type="text"
+              placeholder="Name"
+              value={templateForm.name}
+              onChange={(event) => setTemplateForm((prev) => ({ ...prev, name: event.target.value }))}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Subject, e.g. Follow-up: {{meeting}}"
+              value={templateForm.subject}
+              onChange={(event) => setTemplateForm((prev) => ({ ...prev, subject: event.target.value }))}
+              required
+            />
+            <textarea
+              rows={6}
+              placeholder={'Hi {{recipient}},\n\n{{open_tasks}}'}
+              value={templateForm.body}
+              onChange={(event) => setTemplateForm((prev) => ({ ...prev, body: event.target.value }))}
+              required
+            />
+            <label className="email-setup-tone">
+              Tone
+              <select
+                value={templateForm.tone}
+                onChange={(event) => setTemplateForm((prev) => ({ ...prev, tone: event.target.value }))}
+              >
+                <option value="">Default</option>
+                {tones.map((tone) => (
+                  <option key={tone.id} value={tone.id}>
+                    {tone.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="email-send-actions">
+              <button type="submit" className="email-draft-copy" disabled={busy}>
+                {templateForm.id ? 'Save template' : 'Add template'}
+              </button>
+              <button type="button" className="email-draft-copy" onClick={() => setTemplateForm(null)}>
+                Cancel
+              </button>
             </div>
+          </form>
+        ) : (
+          <button type="button" className="email-draft-copy" onClick={() => setTemplateForm(EMPTY_TEMPLATE)}>
+            New template
+          </button>
+        )}
+        <p className="empty">
+          Placeholders like {'{{open_tasks}}'}, {'{{completed_tasks}}'}, {'{{recent_notes}}'},{' '}
+          {'{{upcoming_reminders}}'}, {'{{week_start}}'} and {'{{date}}'} are filled from your workspace.
+        </p>
+      </div>
+    </section>
+  );
+};
+
+const EMPTY_SEARCH = { q: '', type: '', status: '', tag: '', project: '', from: '', to: '' };
+
+const SEARCH_TYPE_LABELS = {
+  tasks: 'Task',
+  notes: 'Note',
+  reminders: 'Reminder',
+  emailDrafts: 'Email draft',
+};
+
+const SEARCH_STATUSES = {
+  Any: ['pending'],
+  Tasks: ['open', 'in-progress', 'done'],
+  Reminders: ['scheduled', 'due', 'overdue', 'acknowledged'],
+  'Email drafts': ['draft', 'scheduled', 'sent', 'failed', 'archived'],
+};
+
+const toDateInputValue = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Search form values for the filters the server reports it applied
+const searchParamsFrom = ({ query, filters }) => ({
+  q: query ?? '',
+  type: filters.type.length === 1 ? filters.type[0] : '',
+  status: filters.status ?? '',
+  tag: filters.tag ?? '',
+  project: filters.project ?? '',
+  from: toDateInputValue(filters.from),
+  to: toDateInputValue(filters.to),
+});
+
+const HighlightedText = ({ text, ranges = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(<span key={`t${cursor}`}>{text.slice(cursor, start)}</span>);
+    parts.push(<mark key={`m${start}`}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(<span key={`t${cursor}`}>{text.slice(cursor)}</span>);
+  return parts;
+};
+
+// Recipients are only worth showing when the query matched them
+const visibleSearchFields = (result) =>
+  Object.entries(result.fields).filter(
+    ([field, { text, highlights }]) => text && (field !== 'to' || highlights.length > 0)
+  );
+
+// Tags are stored without their #; contexts keep their @
+const tagLabel = (tag) => (tag.startsWith('@') ? tag : `#${tag}`);
+
+const SearchResultList = ({ results }) => (
+  <ul className="search-results">
+    {results.map((result) => (
+      <li key={`${result.type}:${result.id}`}>
+        <div className="search-result-meta">
+          <span className="search-result-type">{SEARCH_TYPE_LABELS[result.type]}</span>
+          {result.status && <span>{result.status}</span>}
+          {result.date && <span>{new Date(result.date).toLocaleString()}</span>}
+          {result.tags.map((tag) => (
+            <span key={tag} className="search-result-tag">
+              {tagLabel(tag)}
+            </span>
+          ))}
+        </div>
+        {visibleSearchFields(result).map(([field, { text, highlights }]) => (
+          <p key={field} className={`search-result-${field}`}>
+            {field === 'to' && 'To: '}
+            <HighlightedText text={text} ranges={highlights} />
+          </p>
+        ))}
+      </li>
+    ))}
+  </ul>
+);
+
+const SearchPanel = ({ params, projects, response, loading, onChange, onSearch, onClear }) => {
+  const update = (field) => (event) => onChange({ ...params, [field]: event.target.value });
+  const hasFilters = Object.values(params).some(Boolean);
+
+  return (
+    <section className="panel search-panel">
+      <form
+        className="search-form"
+        onSubmit={(event) => {
+          event.preventDefault();
+          onSearch(params);
+        }}
+      >
+        <input
+          type="search"
+          placeholder="Search tasks, notes, reminders and drafts…"
+          value={params.q}
+          onChange={update('q')}
+        />
+        <select value={params.type} onChange={update('type')} aria-label="Type">
+          <option value="">All types</option>
+          {Object.entries(SEARCH_TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>
+              {label}s
+            </option>
+          ))}
+        </select>
+        <select value={params.status} onChange={update('status')} aria-label="Status">
+          <option value="">Any status</option>
+          {Object.entries(SEARCH_STATUSES).map(([group, statuses]) => (
+            <optgroup key={group} label={group}>
+              {statuses.map((status) => (
+                <option key={`${group}-${status}`} value={status}>
+                  {status}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <input type="text" placeholder="#tag" value={params.tag} onChange={update('tag')} aria-label="Tag" />
+        <select value={params.project} onChange={update('project')} aria-label="Project">
+          <option value="">Any project</option>
+          {projects.map((project) => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+          <option value="none">No project</option>
+        </select>
+        <input type="date" value={params.from} onChange={update('from')} aria-label="From" />
+        <input type="date" value={params.to} onChange={update('to')} aria-label="To" />
+        <button type="submit" className="email-draft-copy" disabled={loading}>
+          {loading ? 'Searching…' : 'Search'}
+        </button>
+        {(hasFilters || response) && (
+          <button type="button" className="email-draft-copy" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </form>
+      {response && (
+        <>
+          <p className="search-summary">
+            {response.total === 0
+              ? 'No matches.'
+              : `${response.total} ${response.total === 1 ? 'match' : 'matches'}${
+                  response.total > response.results.length ? `, showing ${response.results.length}` : ''
+                }`}
+          </p>
+          <SearchResultList results={response.results} />
+        </>
+      )}
+    </section>
+  );
+};
+
+// The agent's reply to a question, with the items it was based on
+const AnswerCard = ({ answer, onDismiss }) => (
+  <section className="panel answer-card" aria-live="polite">
+    <header>
+      <h2>Answer</h2>
+      <button type="button" className="answer-dismiss" onClick={onDismiss} aria-label="Dismiss answer">
+        ×
+      </button>
+    </header>
+    <p className="answer-reply">{answer.reply}</p>
+    {answer.results.length > 0 && <SearchResultList results={answer.results} />}
+  </section>
+);
+
+// Subscription link for calendar apps (backed by an API token) and .ics import
+const ItemLabels = ({ item, projects }) => {
+  const project = item.projectId ? projects.find((entry) => entry.id === item.projectId) : null;
+  if (!project && !item.tags?.length) return null;
+  return (
+    <span className="item-labels">
+      {project && <span className="item-project">{project.name}</span>}
+      {(item.tags ?? []).map((tag) => (
+        <span key={tag} className="item-tag">
+          {tagLabel(tag)}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+// `filter.projectId` is a project id, 'none' for items outside any project, or ''
+const matchesOrganization = (item, { projectId, tag }) =>
+  (!tag || (item.tags ?? []).includes(tag)) && (!projectId || (item.projectId ?? 'none') === projectId);
+
+const OrganizePanel = ({ projects, items, filter, onChange, onError }) => {
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const tags = useMemo(() => {
+    const counts = new Map();
+    Object.values(items).forEach((list) =>
+      list.forEach((item) => (item.tags ?? []).forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1)))
+    );
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }, [items]);
+
+  const project = projects.find((entry) => entry.id === filter.projectId);
+  const counts = useMemo(() => {
+    if (!project) return null;
+    const inProject = (list) => list.filter((item) => item.projectId === project.id);
+    return {
+      openTasks: inProject(items.tasks).filter((task) => task.status !== 'done').length,
+      notes: inProject(items.notes).length,
+      reminders: inProject(items.reminders).filter((reminder) => reminder.status !== 'acknowledged').length,
+    };
+  }, [project, items]);
+
+  const request = async (path, options, fallback) => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || fallback);
+      return data;
+    } catch (error) {
+      onError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Projects reach the list through the project_* events
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const created = await request(
+      '/projects',
+      { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name }) },
+      'Unable to add the project.'
+    );
+    if (!created) return;
+    setName('');
+    onChange({ ...filter, projectId: created.id });
+  };
+
+  const handleArchive = () =>
+    request(
+      `/projects/${project.id}`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ archived: !project.archivedAt }),
+      },
+      'Unable to update the project.'
+    );
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the project ${project.name}? Its items stay, without a project.`)) return;
+    const removed = await request(`/projects/${project.id}`, { method: 'DELETE' }, 'Unable to delete the project.');
+    if (removed) onChange({ ...filter, projectId: '' });
+  };
+
+  const active = projects.filter((entry) => !entry.archivedAt);
+  const archived = projects.filter((entry) => entry.archivedAt);
+
+  return (
+    <section className="panel organize-panel">
+      <header>
+        <h2>{project ? project.name : 'Projects & tags'}</h2>
+        {counts && (
+          <span>
+            {counts.openTasks} open tasks, {counts.notes} notes, {counts.reminders} reminders
+            {project.archivedAt && ' · archived'}
+          </span>
+        )}
+      </header>
+      <div className="organize-controls">
+        <select
+          value={filter.projectId}
+          onChange={(event) => onChange({ ...filter, projectId: event.target.value })}
+          aria-label="Project"
+        >
+          <option value="">All projects</option>
+          {active.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.name}
+            </option>
+          ))}
+          <option value="none">No project</option>
+          {archived.length > 0 && (
+            <optgroup label="Archived">
+              {archived.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {project && (
+          <>
+            <button type="button" className="email-draft-copy" onClick={handleArchive} disabled={busy}>
+              {project.archivedAt ? 'Unarchive' : 'Archive'}
+            </button>
+            <button type="button" className="email-draft-copy email-draft-delete" onClick={handleDelete} disabled={busy}>
+              Delete
+            </button>
+          </>
+        )}
+        <form className="organize-new-project" onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="New project"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            aria-label="New project name"
+          />
+          <button type="submit" className="email-draft-copy" disabled={busy || !name.trim()}>
+            Add
+          </button>
+        </form>
+      </div>
+      {tags.length > 0 && (
+        <div className="organize-tags">
+          {tags.map(([tag, count]) => (
             <button
+              key={tag}
               type="button"
-              className="email-draft-copy"
-              onClick={() => onCopy(draft)}
+              className={`organize-tag${filter.tag === tag ? ' selected' : ''}`}
+              onClick={() => onChange({ ...filter, tag: filter.tag === tag ? '' : tag })}
+              aria-pressed={filter.tag === tag}
             >
-              {copiedId === draft.id ? 'Copied!' : 'Copy draft'}
+              {tagLabel(tag)} <small>{count}</small>
             </button>
+          ))}
+        </div>
+      )}
+      <p className="empty">
+        Say “add a task for project Apollo to …” or write #tags and @contexts into any task, note or reminder.
+      </p>
+    </section>
+  );
+};
+
+const CalendarPanel = ({ onImport, onError }) => {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleCreateLink = async () => {
+    setBusy(true);
+    try {
+      const res = await apiFetch('/auth/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: 'Calendar feed' }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Unable to create a subscription link.');
+      const url = `${API_BASE_URL}/calendar.ics?token=${encodeURIComponent(data.token)}`;
+      setFeedUrl(url);
+      // The link is also shown for manual copying if the clipboard is unavailable
+      if (navigator?.clipboard) await navigator.clipboard.writeText(url).catch(() => {});
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    try {
+      await onImport(await file.text());
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="panel calendar-panel">
+      <header>
+        <h2>Calendar</h2>
+      </header>
+      <p className="empty">
+        Subscribe from your calendar app to see reminders and tasks there, or import events and
+        to-dos from an .ics file.
+      </p>
+      <div className="calendar-actions">
+        <button type="button" className="email-draft-copy" onClick={handleCreateLink} disabled={busy}>
+          Create subscription link
+        </button>
+        <label className="email-draft-copy calendar-import">
+          Import .ics file
+          <input type="file" accept=".ics,text/calendar" onChange={handleFile} disabled={busy} />
+        </label>
+      </div>
+      {feedUrl && (
+        <input
+          className="calendar-feed-url"
+          readOnly
+          value={feedUrl}
+          onFocus={(event) => event.target.select()}
+          title="Copied to the clipboard. Anyone with this link can read your calendar; revoke the token to disable it."
+        />
+      )}
+    </section>
+  );
+};
+
+const EMPTY_WEBHOOK = { url: '', events: 'reminder_due, task_completed', description: '' };
+
+// Outbound webhooks: where item events are POSTed, with a test button and the
+// latest deliveries for each
+const WebhooksPanel = ({ onError }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const request = async (path, options, fallback) => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || fallback);
+      return data;
+    } catch (error) {
+      onError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendJson = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const loadWebhooks = async () => {
+    const res = await apiFetch('/webhooks');
+    if (!res.ok) throw new Error('Unable to load webhooks.');
+    setWebhooks(await res.json());
+  };
+
+  useEffect(() => {
+    loadWebhooks().catch((error) => setLoadError(error.message));
+  }, []);
+
+  const showDeliveries = async (webhook) => {
+    const list = await request(`/webhooks/${webhook.id}/deliveries?limit=10`, {}, 'Unable to load deliveries.');
+    if (list) setDeliveries({ webhookId: webhook.id, list });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const events = form.events
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const saved = await request(
+      '/webhooks',
+      sendJson('POST', { url: form.url, events, description: form.description || null }),
+      'Unable to add the webhook.'
+    );
+    if (!saved) return;
+    setForm(null);
+    await loadWebhooks();
+  };
+
+  const handleToggle = async (webhook) => {
+    const saved = await request(
+      `/webhooks/${webhook.id}`,
+      sendJson('PATCH', { active: !webhook.active }),
+      'Unable to update the webhook.'
+    );
+    if (saved) setWebhooks((prev) => prev.map((entry) => (entry.id === saved.id ? saved : entry)));
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}?`)) return;
+    const removed = await request(`/webhooks/${webhook.id}`, { method: 'DELETE' }, 'Unable to delete the webhook.');
+    if (removed) setWebhooks((prev) => prev.filter((entry) => entry.id !== removed.id));
+  };
+
+  const handleTest = async (webhook) => {
+    const delivery = await request(`/webhooks/${webhook.id}/test`, { method: 'POST' }, 'Unable to send a test.');
+    if (!delivery) return;
+    if (delivery.status !== 'delivered') onError(`Test delivery ${delivery.status}: ${delivery.lastError}`);
+    await showDeliveries(webhook);
+  };
+
+  const handleRedeliver = async (webhook, delivery) => {
+    const updated = await request(
+      `/webhooks/deliveries/${delivery.id}/redeliver`,
+      { method: 'POST' },
+      'Unable to redeliver.'
+    );
+    if (updated) await showDeliveries(webhook);
+  };
+
+  return (
+    <section className="panel email-setup">
+      <header>
+        <h2>Webhooks</h2>
+      </header>
+      {loadError && <p className="status error">{loadError}</p>}
+      <p className="empty">
+        POST reminder, task, note and email events to your own services. Each request is signed with the
+        webhook&rsquo;s secret in the X-Webhook-Signature header.
+      </p>
+      <ul className="email-setup-list">
+        {webhooks.map((webhook) => (
+          <li key={webhook.id}>
+            <strong>{webhook.description || webhook.url}</strong>
+            {webhook.description && <small>{webhook.url}</small>}
+            <small>
+              {webhook.events.join(', ')}
+              {!webhook.active && ' · paused'}
+            </small>
+            <input
+              className="calendar-feed-url"
+              readOnly
+              value={webhook.secret}
+              onFocus={(event) => event.target.select()}
+              aria-label="Signing secret"
+            />
+            <div className="email-send-actions">
+              <button type="button" className="email-draft-copy" onClick={() => handleTest(webhook)} disabled={busy}>
+                Send test
+              </button>
+              <button
+                type="button"
+                className="email-draft-copy"
+                onClick={() =>
+                  deliveries?.webhookId === webhook.id ? setDeliveries(null) : showDeliveries(webhook)
+                }
+                disabled={busy}
+              >
+                {deliveries?.webhookId === webhook.id ? 'Hide deliveries' : 'Deliveries'}
+              </button>
+              <button type="button" className="email-draft-copy" onClick={() => handleToggle(webhook)} disabled={busy}>
+                {webhook.active ? 'Pause' : 'Resume'}
+              </button>
+              <button
+                type="button"
+                className="email-draft-copy email-draft-delete"
+                onClick={() => handleDelete(webhook)}
+                disabled={busy}
+              >
+                Delete
+              </button>
+            </div>
+            {deliveries?.webhookId === webhook.id && (
+              <ul className="webhook-deliveries">
+                {deliveries.list.length === 0 && <li>No deliveries yet.</li>}
+                {deliveries.list.map((delivery) => (
+                  <li key={delivery.id} className={`webhook-delivery-${delivery.status}`}>
+                    <span>
+                      {delivery.event} · {delivery.status}
+                      {delivery.responseStatus && ` (${delivery.responseStatus})`} ·{' '}
+                      {new Date(delivery.createdAt).toLocaleString()}
+                    </span>
+                    {delivery.lastError && <small>{delivery.lastError}</small>}
+                    {delivery.status === 'failed' && (
+                      <button
+                        type="button"
+                        className="email-draft-copy"
+                        onClick={() => handleRedeliver(webhook, delivery)}
+                        disabled={busy}
+                      >
+                        Redeliver
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
           </li>
         ))}
       </ul>
-    )}
-  </section>
-);
+      {form ? (
+        <form className="email-send-form" onSubmit={handleSave}>
+          <input
+            type="url"
+            placeholder="https://example.com/hooks/agent"
+            value={form.url}
+            onChange={(event) => setForm({ ...form, url: event.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Events, e.g. reminder_due, task_* or *"
+            value={form.events}
+            onChange={(event) => setForm({ ...form, events: event.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(event) => setForm({ ...form, description: event.target.value })}
+          />
+          <div className="email-send-actions">
+            <button type="submit" className="email-draft-copy" disabled={busy}>
+              Add webhook
+            </button>
+            <button type="button" className="email-draft-copy" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="email-draft-copy" onClick={() => setForm(EMPTY_WEBHOOK)}>
+          New webhook
+        </button>
+      )}
+    </section>
+  );
+};
 
-const DaySummary = ({ reminders, tasks }) => {
+const DaySummary = ({ reminders, tasks, projects, onToggleTask }) => {
   const todayItems = useMemo(() => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -92,8 +1582,8 @@ const DaySummary = ({ reminders, tasks }) => {
     const tomorrowKey = getDateKey(tomorrow);
     grouped[tomorrowKey] = { reminders: [], tasks: [] };
 
-    // Filter out due reminders - they should only appear in notifications
-    const activeReminders = reminders.filter((r) => r.status !== 'due');
+    // Filter out due/overdue reminders - they should only appear in notifications
+    const activeReminders = reminders.filter((r) => r.status === 'scheduled');
 
     // Group reminders by due date (same logic as ReminderSchedule) using local keys
     activeReminders.forEach((reminder) => {
@@ -105,7 +1595,7 @@ const DaySummary = ({ reminders, tasks }) => {
     });
 
     // Group tasks by creation date or due date
-    tasks.forEach((task) => {
+    tasks.filter(isTaskVisible).forEach((task) => {
       // Use dueDate if it exists, otherwise use createdAt
       const taskDate = new Date(task.dueDate || task.createdAt);
       const dateKey = getDateKey(taskDate);
@@ -135,12 +1625,15 @@ const DaySummary = ({ reminders, tasks }) => {
       type: 'reminder',
       text: r.message,
       time: r.dueTime,
+      item: r,
     }));
 
     const todayTasks = todayData.tasks.map((t) => ({
       type: 'task',
       text: t.description,
       time: t.createdAt,
+      task: t,
+      item: t,
     }));
 
     // Sort reminders by time, tasks by creation time (newest first) - same as ReminderSchedule
@@ -164,7 +1657,8 @@ const DaySummary = ({ reminders, tasks }) => {
     }
 
     const reminders = todayItems.filter(item => item.type === 'reminder');
-    const tasks = todayItems.filter(item => item.type === 'task');
+    const tasks = todayItems.filter(item => item.type === 'task' && item.task.status !== 'done');
+    const doneCount = todayItems.length - reminders.length - tasks.length;
     
     const parts = [];
     
@@ -175,6 +1669,10 @@ const DaySummary = ({ reminders, tasks }) => {
     if (tasks.length > 0) {
       parts.push(`${tasks.length} task${tasks.length > 1 ? 's' : ''}: ${tasks.map(t => t.text).join(', ')}`);
     }
+
+    if (doneCount > 0) {
+      parts.push(`${doneCount} task${doneCount > 1 ? 's' : ''} done`);
+    }
     
     return parts.join('. ');
   };
@@ -190,9 +1688,16 @@ const DaySummary = ({ reminders, tasks }) => {
         {todayItems.length > 0 && (
           <ul className="day-summary-list">
             {todayItems.map((item, index) => (
-              <li key={index} className={`day-summary-item day-summary-${item.type}`}>
+              <li
+                key={index}
+                className={`day-summary-item day-summary-${item.type}${
+                  item.task?.status === 'done' ? ' task-done' : ''
+                }`}
+              >
                 <span className="day-summary-time">{formatTime(item.time)}</span>
                 <span className="day-summary-text-item">{item.text}</span>
+                <ItemLabels item={item.item} projects={projects} />
+                {item.task && <TaskCheckbox task={item.task} onToggle={onToggleTask} />}
               </li>
             ))}
           </ul>
@@ -202,12 +1707,15 @@ const DaySummary = ({ reminders, tasks }) => {
   );
 };
 
-const ReminderSchedule = ({ reminders, tasks }) => {
-  // Filter out due reminders - they should only appear in notifications
+const ReminderSchedule = ({ reminders, tasks: allTasks, projects, onToggleTask, onSeriesAction }) => {
+  // Filter out due/overdue reminders - they should only appear in notifications
   const activeReminders = useMemo(() => {
-    return reminders.filter((r) => r.status !== 'due');
+    return reminders.filter((r) => r.status === 'scheduled');
   }, [reminders]);
 
+  // Hide tasks finished on earlier days
+  const tasks = useMemo(() => allTasks.filter(isTaskVisible), [allTasks]);
+
   // Group reminders and tasks by day
   const itemsByDay = useMemo(() => {
     const today = new Date();
@@ -314,6 +1822,12 @@ const ReminderSchedule = ({ reminders, tasks }) => {
                       <div className="schedule-item-content">
                         <span className="schedule-item-label">Reminder</span>
                         <span className="schedule-item-message">{reminder.message}</span>
+                        <ItemLabels item={reminder} projects={projects} />
+                        <RecurrenceControls
+                          item={reminder}
+                          kind="reminders"
+                          onSeriesAction={onSeriesAction}
+                        />
                         <span className="schedule-item-id">ID: {reminder.id.slice(0, 8)}</span>
                       </div>
                     </li>
@@ -322,8 +1836,9 @@ const ReminderSchedule = ({ reminders, tasks }) => {
                   {dayData.tasks.map((task) => (
                     <li 
                       key={task.id} 
-                      className="schedule-item schedule-task"
+                      className={`schedule-item schedule-task${task.status === 'done' ? ' task-done' : ''}`}
                     >
+                      <TaskCheckbox task={task} onToggle={onToggleTask} />
                       <div className="schedule-item-time">
                         {new Date(task.createdAt).toLocaleTimeString('en-US', { 
                           hour: 'numeric', 
@@ -332,8 +1847,24 @@ const ReminderSchedule = ({ reminders, tasks }) => {
                         })}
                       </div>
                       <div className="schedule-item-content">
-                        <span className="schedule-item-label">Task</span>
+                        <span className="schedule-item-label">
+                          Task
+                          {task.status === 'in-progress' && ' · in progress'}
+                          {task.priority && task.priority !== 'medium' && (
+                            <span className={`task-priority priority-${task.priority}`}>
+                              {task.priority}
+                            </span>
+                          )}
+                        </span>
                         <span className="schedule-item-message">{task.description}</span>
+                        <ItemLabels item={task} projects={projects} />
+                        {task.status !== 'done' && (
+                          <RecurrenceControls
+                            item={task}
+                            kind="tasks"
+                            onSeriesAction={onSeriesAction}
+                          />
+                        )}
                         <span className="schedule-item-id">ID: {task.id.slice(0, 8)}</span>
                       </div>
                     </li>
@@ -343,26 +1874,153 @@ const ReminderSchedule = ({ reminders, tasks }) => {
             );
           })}
         </div>
-      )}
-    </section>
+      )}
+    </section>
+  );
+};
+
+// Reads server-sent events from a fetch response, since EventSource cannot POST
+const readEventStream = async (res, onEvent) => {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    frames.forEach((frame) => {
+      const event = /^event: (.*)$/m.exec(frame)?.[1] ?? 'message';
+      const data = frame
+        .split('\n')
+        .filter((line) => line.startsWith('data: '))
+        .map((line) => line.slice(6))
+        .join('\n');
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
+const AgentProgress = ({ progress }) => (
+  <ul className="agent-progress">
+    {progress.actions.length === 0 ? (
+      <li>Working out what to do…</li>
+    ) : (
+      progress.actions.map((entry, index) => (
+        <li key={index} className={entry.done ? 'agent-progress-done' : ''}>
+          {entry.done ? '✓' : '…'} {ACTION_LABELS[entry.action] ?? entry.action}
+          {!entry.done && progress.drafts[index] && ' (writing)'}
+        </li>
+      ))
+    )}
+  </ul>
+);
+
+const AuthForm = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch(`${API_BASE_URL}/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Unable to sign in.');
+      onAuthenticated(data);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const updateField = (field) => (event) =>
+    setCredentials((prev) => ({ ...prev, [field]: event.target.value }));
+
+  return (
+    <div className="app-shell">
+      <header className="hero">
+        <div>
+          <p className="eyebrow">Natural language agent</p>
+          <h1>Productivity Center</h1>
+          <p>
+            {mode === 'login'
+              ? 'Sign in to your workspace.'
+              : 'Create an account to get your own workspace.'}
+          </p>
+        </div>
+      </header>
+      <form className="panel auth-form" onSubmit={handleSubmit}>
+        <label>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={credentials.username}
+            onChange={updateField('username')}
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            value={credentials.password}
+            onChange={updateField('password')}
+          />
+        </label>
+        {error && <p className="status error">{error}</p>}
+        <button type="submit" disabled={loading}>
+          {mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+        <button
+          type="button"
+          className="auth-switch"
+          onClick={() => {
+            setMode(mode === 'login' ? 'register' : 'login');
+            setError('');
+          }}
+        >
+          {mode === 'login' ? 'Need an account? Register' : 'Already registered? Sign in'}
+        </button>
+      </form>
+    </div>
   );
 };
 
-function App() {
+const Dashboard = ({ user, onLogout }) => {
   const [input, setInput] = useState('');
-  const [state, setState] = useState({ tasks: [], notes: [], reminders: [], emailDrafts: [] });
-  const [notifications, setNotifications] = useState([]);
+  const [state, setState] = useState({ tasks: [], notes: [], reminders: [], emailDrafts: [], projects: [] });
   const [status, setStatus] = useState({ loading: false, error: '', message: '' });
   const [emailCopyState, setEmailCopyState] = useState({ copiedId: '', error: '' });
+  const [sendingEnabled, setSendingEnabled] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [undoToast, setUndoToast] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [search, setSearch] = useState({ params: EMPTY_SEARCH, response: null, loading: false });
+  const [organization, setOrganization] = useState({ projectId: '', tag: '' });
+  const [answer, setAnswer] = useState(null);
+  const [confirmMode, setConfirmMode] = useState(
+    () => localStorage.getItem(CONFIRM_MODE_KEY) ?? 'destructive'
+  );
 
   const loadState = async () => {
     try {
-      const res = await fetch(`${API_BASE_URL}/state`);
+      const res = await apiFetch(`/state`);
       if (!res.ok) throw new Error('Unable to load agent state.');
       const data = await res.json();
       setState({
         ...data,
         emailDrafts: data.emailDrafts ?? [],
+        projects: data.projects ?? [],
       });
     } catch (error) {
       setStatus((prev) => ({ ...prev, error: error.message }));
@@ -373,6 +2031,13 @@ function App() {
     loadState();
   }, []);
 
+  useEffect(() => {
+    apiFetch('/email/settings')
+      .then((res) => (res.ok ? res.json() : { sendingEnabled: false }))
+      .then((settings) => setSendingEnabled(settings.sendingEnabled))
+      .catch(() => setSendingEnabled(false));
+  }, []);
+
   useEffect(() => {
     // Request notification permission on mount
     if ('Notification' in window && Notification.permission === 'default') {
@@ -381,7 +2046,8 @@ function App() {
   }, []);
 
   useEffect(() => {
-    const events = new EventSource(`${API_BASE_URL}/events`);
+    const token = encodeURIComponent(localStorage.getItem(AUTH_TOKEN_KEY));
+    const events = new EventSource(`${API_BASE_URL}/events?token=${token}`);
 
     const mergeReminder = (updated) =>
       setState((prev) => ({
@@ -407,16 +2073,51 @@ function App() {
       }));
     });
 
-    events.addEventListener('reminder_due', (event) => {
+    // Tasks, notes, drafts and projects can also change through the REST API
+    const syncCollection = (collection, eventPrefix, { prepend = false } = {}) => {
+      const mergeItem = (event) => {
+        const updated = JSON.parse(event.data);
+        setState((prev) => {
+          const items = prev[collection] ?? [];
+          return {
+            ...prev,
+            [collection]: items.some((item) => item.id === updated.id)
+              ? items.map((item) => (item.id === updated.id ? updated : item))
+              : prepend
+                ? [updated, ...items]
+                : [...items, updated],
+          };
+        });
+      };
+
+      events.addEventListener(`${eventPrefix}_created`, mergeItem);
+      events.addEventListener(`${eventPrefix}_updated`, mergeItem);
+      events.addEventListener(`${eventPrefix}_deleted`, (event) => {
+        const removed = JSON.parse(event.data);
+        setState((prev) => ({
+          ...prev,
+          [collection]: (prev[collection] ?? []).filter((item) => item.id !== removed.id),
+        }));
+      });
+    };
+
+    syncCollection('tasks', 'task');
+    syncCollection('notes', 'note');
+    syncCollection('emailDrafts', 'email_draft', { prepend: true });
+    syncCollection('projects', 'project');
+
+    events.addEventListener('reminder_snoozed', (event) => {
+      mergeReminder(JSON.parse(event.data));
+    });
+
+    events.addEventListener('reminder_acknowledged', (event) => {
+      mergeReminder(JSON.parse(event.data));
+    });
+
+    const handleReminderDue = (event) => {
       const reminder = JSON.parse(event.data);
-      // Add to notifications (persists even after removal from schedule)
-      setNotifications((prev) => [reminder, ...prev].slice(0, 10));
-      
-      // Remove from reminders list - it will only appear in notifications now
-      setState((prev) => ({
-        ...prev,
-        reminders: prev.reminders.filter((r) => r.id !== reminder.id),
-      }));
+      // Due reminders stay in state until acknowledged; the schedule hides them
+      mergeReminder(reminder);
       
       // Show browser notification
       if ('Notification' in window && Notification.permission === 'granted') {
@@ -427,7 +2128,10 @@ function App() {
           requireInteraction: false,
         });
       }
-    });
+    };
+
+    events.addEventListener('reminder_due', handleReminderDue);
+    events.addEventListener('reminder_overdue', handleReminderDue);
 
     events.onerror = () => {
       events.close();
@@ -437,50 +2141,435 @@ function App() {
     return () => events.close();
   }, []);
 
+  useEffect(() => {
+    if (!undoToast) return undefined;
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  const reportAgentError = (errorBody) =>
+    setStatus({
+      loading: false,
+      error: errorBody.error || 'Agent request failed.',
+      details: describeAgentErrors(errorBody),
+      message: '',
+    });
+
+  const handlePlanApplied = (data, parser) => {
+    setState({
+      ...data.state,
+      emailDrafts: data.state.emailDrafts ?? [],
+    });
+    
+    const actionCount = data.actions?.length ?? 1;
+    const actionTypes = data.actions?.map(a => a.action).join(', ') ?? 'unknown';
+    const successMessage = actionCount === 1 
+      ? `Action ${actionTypes} succeeded.`
+      : `${actionCount} actions succeeded: ${actionTypes}`;
+    const parserNote = parser === 'rules' ? ' (handled by the offline parser)' : '';
+
+    // Searches asked of the agent show up in the search panel
+    const found = data.actions?.findLast((entry) => entry.action === 'search');
+    if (found) {
+      setSearch({ params: searchParamsFrom(found.item), response: found.item, loading: false });
+    }
+
+    // Questions get their reply and the items behind it instead of a success line
+    setAnswer(
+      data.reply
+        ? {
+            reply: data.reply,
+            results: data.actions
+              .filter((entry) => entry.action !== 'search' && READ_ACTIONS.includes(entry.action))
+              .flatMap((entry) => entry.item.results),
+          }
+        : null
+    );
+    const readOnly = data.actions?.length > 0 && data.actions.every((entry) => READ_ACTIONS.includes(entry.action));
+    
+    setStatus({
+      loading: false,
+      error: '',
+      message: readOnly ? '' : `${successMessage}${parserNote}`,
+    });
+    setPlan(null);
+    setInput('');
+    setUndoToast(
+      data.historyId
+        ? { id: data.historyId, direction: 'undo', message: `${successMessage} Changed your mind?` }
+        : null
+    );
+  };
+
+  const updateProgress = (event, data) => {
+    switch (event) {
+      case 'plan':
+        setProgress((prev) => ({
+          ...prev,
+          actions: data.actions.map((entry) => ({ action: entry.action, done: false })),
+        }));
+        break;
+      case 'draft_started':
+        setProgress((prev) => ({
+          ...prev,
+          drafts: {
+            ...prev.drafts,
+            [data.index]: {
+              index: data.index,
+              instructions: data.instructions,
+              draftId: data.draftId,
+              subject: '',
+              body: '',
+            },
+          },
+        }));
+        break;
+      case 'draft_token':
+        setProgress((prev) => {
+          const draft = prev.drafts[data.index];
+          return {
+            ...prev,
+            drafts: { ...prev.drafts, [data.index]: { ...draft, [data.field]: draft[data.field] + data.delta } },
+          };
+        });
+        break;
+      case 'action':
+        setProgress((prev) => ({
+          ...prev,
+          actions: prev.actions.map((entry, index) => (index === data.index ? { ...entry, done: true } : entry)),
+        }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Runs /agent or /agent/confirm as an event stream so the plan, each applied
+  // action and email drafts show up while the request is still going
+  const streamAgentRequest = async (path, body, parser) => {
+    setStatus({ loading: true, error: '', message: '' });
+    setProgress({ actions: [], drafts: {} });
+    try {
+      const res = await apiFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, stream: true }),
+      });
+
+      if (!res.ok) {
+        reportAgentError(await res.json().catch(() => ({})));
+        return;
+      }
+
+      let outcome = null;
+      await readEventStream(res, (event, data) => {
+        if (event === 'done' || event === 'error') {
+          outcome = { event, data };
+        } else {
+          updateProgress(event, data);
+        }
+      });
+
+      if (!outcome) throw new Error('The agent stopped responding before it finished.');
+      if (outcome.event === 'error') {
+        reportAgentError(outcome.data);
+        return;
+      }
+      handlePlanApplied(outcome.data, parser ?? outcome.data.parser);
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // Applies a (possibly edited) plan from a preview
+  const confirmPlan = (actions, parser, text) =>
+    streamAgentRequest('/agent/confirm', { actions, text }, parser);
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     if (!input.trim()) return;
 
+    setPlan(null);
+    // Nothing to review, so skip the preview round trip
+    if (confirmMode === 'never') {
+      await streamAgentRequest('/agent', { text: input });
+      return;
+    }
+
     setStatus({ loading: true, error: '', message: '' });
     try {
-      const res = await fetch(`${API_BASE_URL}/agent`, {
+      const res = await apiFetch(`/agent`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: input }),
+        body: JSON.stringify({ text: input, dryRun: true }),
       });
 
       if (!res.ok) {
-        const errorBody = await res.json().catch(() => ({}));
-        throw new Error(errorBody.error || 'Agent request failed.');
+        reportAgentError(await res.json().catch(() => ({})));
+        return;
       }
 
-      const data = await res.json();
+      const preview = await res.json();
+      if (preview.validationErrors.length > 0) {
+        reportAgentError({
+          error: 'The agent proposed actions that failed validation. Nothing was changed.',
+          validationErrors: preview.validationErrors,
+        });
+        return;
+      }
+
+      if (confirmMode === 'destructive' && !preview.requiresConfirmation) {
+        await confirmPlan(
+          preview.actions.map(({ action, payload }) => ({ action, payload })),
+          preview.parser,
+          preview.text
+        );
+        return;
+      }
+
+      setPlan({
+        ...preview,
+        actions: preview.actions.map((entry) => ({ ...entry, included: true })),
+      });
+      setStatus({ loading: false, error: '', message: '' });
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  const handleConfirmModeChange = (mode) => {
+    setConfirmMode(mode);
+    localStorage.setItem(CONFIRM_MODE_KEY, mode);
+  };
+
+  const updatePlanAction = (index, changes) =>
+    setPlan((prev) => ({
+      ...prev,
+      actions: prev.actions.map((entry) => (entry.index === index ? { ...entry, ...changes } : entry)),
+    }));
+
+  const handleApprovePlan = () => {
+    const actions = plan.actions
+      .filter((entry) => entry.included)
+      .map(({ action, payload }) => ({ action, payload }));
+    if (actions.length === 0) {
+      setPlan(null);
+      setStatus({ loading: false, error: '', message: 'No actions selected, nothing was changed.' });
+      return;
+    }
+    confirmPlan(actions, plan.parser, plan.text);
+  };
+
+  // Reverts (or re-applies) the request the toast was shown for
+  const handleUndoToast = async () => {
+    const { id, direction } = undoToast;
+    setUndoToast(null);
+    try {
+      const res = await apiFetch(`/${direction}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Unable to ${direction} that change.`);
       setState({
         ...data.state,
         emailDrafts: data.state.emailDrafts ?? [],
       });
-      
-      const actionCount = data.actions?.length ?? 1;
-      const actionTypes = data.actions?.map(a => a.action).join(', ') ?? 'unknown';
-      const successMessage = actionCount === 1 
-        ? `Action ${actionTypes} succeeded.`
-        : `${actionCount} actions succeeded: ${actionTypes}`;
-      
       setStatus({
         loading: false,
         error: '',
-        message: successMessage,
+        message: direction === 'undo' ? 'Change undone.' : 'Change restored.',
+      });
+      if (direction === 'undo') {
+        setUndoToast({ id, direction: 'redo', message: 'Change undone.' });
+      }
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  const handleRejectPlan = () => {
+    setPlan(null);
+    setStatus({ loading: false, error: '', message: 'Plan discarded, nothing was changed.' });
+  };
+
+  const handleToggleTask = async (task) => {
+    const status = task.status === 'done' ? 'open' : 'done';
+    try {
+      const res = await apiFetch(`/tasks/${task.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
       });
-      setInput('');
+      if (!res.ok) {
+        const errorBody = await res.json().catch(() => ({}));
+        throw new Error(errorBody.error || 'Unable to update task.');
+      }
+      const updated = await res.json();
+      setState((prev) => ({
+        ...prev,
+        tasks: prev.tasks.map((t) => (t.id === updated.id ? updated : t)),
+      }));
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  // Skip the next occurrence of a repeating item, or stop the series altogether
+  const handleSeriesAction = async (kind, id, operation) => {
+    try {
+      const res = await apiFetch(`/${kind}/${id}/${operation}`, { method: 'POST' });
+      if (!res.ok) {
+        const errorBody = await res.json().catch(() => ({}));
+        throw new Error(errorBody.error || 'Unable to update the series.');
+      }
     } catch (error) {
       setStatus({ loading: false, error: error.message, message: '' });
     }
   };
 
+  // Fired reminders awaiting acknowledgement; these come from /state so they survive reloads
+  const notifications = useMemo(
+    () =>
+      state.reminders
+        .filter((r) => r.status === 'due' || r.status === 'overdue')
+        .sort((a, b) => b.dueTime - a.dueTime),
+    [state.reminders]
+  );
+
   const reminderStats = useMemo(() => {
-    // Due reminders are removed from the list, so all reminders here are pending
-    return { pending: state.reminders.length, due: notifications.length };
-  }, [state.reminders.length, notifications.length]);
+    const pending = state.reminders.filter((r) => r.status === 'scheduled').length;
+    return { pending, due: notifications.length };
+  }, [state.reminders, notifications.length]);
+
+  const handleReminderAction = async (id, operation, body) => {
+    try {
+      const res = await apiFetch(`/reminders/${id}/${operation}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body ?? {}),
+      });
+      if (!res.ok) {
+        const errorBody = await res.json().catch(() => ({}));
+        throw new Error(errorBody.error || `Unable to ${operation} reminder.`);
+      }
+      const updated = await res.json();
+      setState((prev) => ({
+        ...prev,
+        reminders: prev.reminders.map((r) => (r.id === updated.id ? updated : r)),
+      }));
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  const handleAcknowledgeAll = () =>
+    Promise.all(notifications.map((item) => handleReminderAction(item.id, 'acknowledge')));
+
+  const handleCalendarImport = async (ics) => {
+    try {
+      const res = await apiFetch('/calendar/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/calendar' },
+        body: ics,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Unable to import the calendar file.');
+      setState({
+        ...data.state,
+        emailDrafts: data.state.emailDrafts ?? [],
+      });
+      const created = data.created.reminders + data.created.tasks;
+      const updated = data.updated.reminders + data.updated.tasks;
+      const message = `Imported ${created} new and ${updated} updated items, skipped ${data.skipped.length}.`;
+      setStatus({
+        loading: false,
+        error: '',
+        message,
+        details: data.skipped.map((entry) => `${entry.summary ?? entry.uid}: ${entry.reason}`),
+      });
+      setUndoToast(data.historyId ? { id: data.historyId, direction: 'undo', message } : null);
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  const runSearch = async (params) => {
+    setSearch((prev) => ({ ...prev, params, loading: true }));
+    try {
+      const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+      const res = await apiFetch(`/search?${query}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Search failed.');
+      setSearch({ params, response: data, loading: false });
+    } catch (error) {
+      setSearch((prev) => ({ ...prev, loading: false }));
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
+
+  // The tasks, notes and reminders in the chosen project and tag. A project deleted
+  // elsewhere drops out of the filter.
+  const filterProjectId =
+    organization.projectId === 'none' || state.projects.some((project) => project.id === organization.projectId)
+      ? organization.projectId
+      : '';
+  const filterTag = organization.tag;
+  const organizable = useMemo(
+    () => ({ tasks: state.tasks, notes: state.notes, reminders: state.reminders }),
+    [state.tasks, state.notes, state.reminders]
+  );
+  const organized = useMemo(() => {
+    const filter = { projectId: filterProjectId, tag: filterTag };
+    return {
+      tasks: organizable.tasks.filter((item) => matchesOrganization(item, filter)),
+      notes: organizable.notes.filter((item) => matchesOrganization(item, filter)),
+      reminders: organizable.reminders.filter((item) => matchesOrganization(item, filter)),
+    };
+  }, [organizable, filterProjectId, filterTag]);
+
+  const mergeEmailDraft = (updated) =>
+    setState((prev) => ({
+      ...prev,
+      emailDrafts: prev.emailDrafts.map((d) => (d.id === updated.id ? updated : d)),
+    }));
+
+  // Resolves to true once the draft is queued, so the form can close
+  const handleSendEmail = async (draft, recipients) => {
+    try {
+      const res = await apiFetch(`/email-drafts/${draft.id}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(recipients),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Unable to send the email.');
+      mergeEmailDraft(data);
+      setStatus({
+        loading: false,
+        error: '',
+        message: data.sendAt ? `Email scheduled for ${new Date(data.sendAt).toLocaleString()}.` : 'Sending email…',
+      });
+      return true;
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+      return false;
+    }
+  };
+
+  const handleCancelSend = async (draft) => {
+    try {
+      const res = await apiFetch(`/email-drafts/${draft.id}/cancel-send`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Unable to cancel sending.');
+      mergeEmailDraft(data);
+    } catch (error) {
+      setStatus({ loading: false, error: error.message, message: '' });
+    }
+  };
 
   const handleCopyEmail = async (draft) => {
     if (!draft) return;
@@ -517,9 +2606,12 @@ function App() {
           </p>
         </div>
         <div className="stats">
-          <span>{state.tasks.length} tasks</span>
+          <span>{state.tasks.filter((t) => t.status !== 'done').length} open tasks</span>
           <span>{state.notes.length} notes</span>
           <span>{reminderStats.pending} pending reminders</span>
+          <button type="button" className="sign-out" onClick={onLogout}>
+            Sign out {user.username}
+          </button>
         </div>
       </header>
 
@@ -534,36 +2626,143 @@ function App() {
         <button type="submit" disabled={status.loading}>
           {status.loading ? 'Thinking…' : 'Send'}
         </button>
+        <select
+          className="confirm-mode"
+          value={confirmMode}
+          onChange={(event) => handleConfirmModeChange(event.target.value)}
+          title="When to show the plan for approval before anything changes"
+        >
+          {CONFIRM_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
       </form>
 
-      {status.error && <p className="status error">{status.error}</p>}
-      {status.message && <p className="status success">{status.message}</p>}
+      {status.error && (
+        <div className="status error">
+          <p>{status.error}</p>
+          {status.details?.length > 0 && (
+            <ul className="status-details">
+              {status.details.map((detail) => (
+                <li key={detail}>{detail}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {progress && <AgentProgress progress={progress} />}
+      {status.message && (
+        <div className="status success">
+          <p>{status.message}</p>
+          {status.details?.length > 0 && (
+            <ul className="status-details">
+              {status.details.map((detail) => (
+                <li key={detail}>{detail}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {undoToast && (
+        <div className="undo-toast" role="status">
+          <span>{undoToast.message}</span>
+          <button type="button" onClick={handleUndoToast}>
+            {undoToast.direction === 'undo' ? 'Undo' : 'Redo'}
+          </button>
+          <button type="button" className="undo-toast-dismiss" onClick={() => setUndoToast(null)}>
+            ×
+          </button>
+        </div>
+      )}
+      {plan && (
+        <PlanPreview
+          plan={plan}
+          busy={status.loading}
+          onChange={updatePlanAction}
+          onApprove={handleApprovePlan}
+          onReject={handleRejectPlan}
+        />
+      )}
+      {answer && <AnswerCard answer={answer} onDismiss={() => setAnswer(null)} />}
       <p className="hint">
         Tip: reference reminder IDs (shown in the schedule below) for updates, or ask “draft an email about our Q1 roadmap” to auto-generate copy.
       </p>
 
+      <SearchPanel
+        params={search.params}
+        projects={state.projects}
+        response={search.response}
+        loading={search.loading}
+        onChange={(params) => setSearch((prev) => ({ ...prev, params }))}
+        onSearch={runSearch}
+        onClear={() => setSearch({ params: EMPTY_SEARCH, response: null, loading: false })}
+      />
+
+      <OrganizePanel
+        projects={state.projects}
+        items={organizable}
+        filter={{ projectId: filterProjectId, tag: filterTag }}
+        onChange={setOrganization}
+        onError={(error) => setStatus({ loading: false, error, message: '' })}
+      />
+
       <div className="grid">
-        <DaySummary reminders={state.reminders} tasks={state.tasks} />
+        <DaySummary
+          reminders={organized.reminders}
+          tasks={organized.tasks}
+          projects={state.projects}
+          onToggleTask={handleToggleTask}
+        />
         <Section
           title="Notes"
-          items={state.notes}
+          items={organized.notes}
           emptyLabel="Use triggers like remember this or write a note."
           renderItem={(note) => (
             <>
               <span>{note.body}</span>
+              <ItemLabels item={note} projects={state.projects} />
               <small>{new Date(note.createdAt).toLocaleString()}</small>
             </>
           )}
         />
         <EmailDraftSection
           drafts={state.emailDrafts ?? []}
+          streamingDrafts={progress ? Object.values(progress.drafts) : []}
           onCopy={handleCopyEmail}
           copiedId={emailCopyState.copiedId}
           copyError={emailCopyState.error}
+          sendingEnabled={sendingEnabled}
+          onSend={handleSendEmail}
+          onCancelSend={handleCancelSend}
+          onUpdated={mergeEmailDraft}
+          onDeleted={(removed) =>
+            setState((prev) => ({
+              ...prev,
+              emailDrafts: prev.emailDrafts.filter((d) => d.id !== removed.id),
+            }))
+          }
+          onError={(error) => setStatus({ loading: false, error, message: '' })}
         />
+        <EmailSetupPanel
+          onUseTemplate={(template) => setInput(`Draft an email using the ${template.name} template`)}
+          onError={(error) => setStatus({ loading: false, error, message: '' })}
+        />
+        <CalendarPanel
+          onImport={handleCalendarImport}
+          onError={(error) => setStatus({ loading: false, error, message: '' })}
+        />
+        <WebhooksPanel onError={(error) => setStatus({ loading: false, error, message: '' })} />
       </div>
 
-      <ReminderSchedule reminders={state.reminders} tasks={state.tasks} />
+      <ReminderSchedule
+        reminders={organized.reminders}
+        tasks={organized.tasks}
+        projects={state.projects}
+        onToggleTask={handleToggleTask}
+        onSeriesAction={handleSeriesAction}
+      />
 
       {notifications.length > 0 && (
         <section className="panel notifications active">
@@ -571,8 +2770,8 @@ function App() {
             <h2>🔔 Active Reminders</h2>
             <button 
               className="clear-notifications" 
-              onClick={() => setNotifications([])}
-              title="Clear notifications"
+              onClick={handleAcknowledgeAll}
+              title="Mark every active reminder as done"
             >
               Clear
             </button>
@@ -582,7 +2781,32 @@ function App() {
               <li key={item.id} className="notification-item">
                 <div className="notification-content">
                   <strong>{item.message}</strong>
-                  <small>Triggered {new Date(item.dueTime).toLocaleTimeString()}</small>
+                  <small>
+                    {item.status === 'overdue'
+                      ? `Missed while offline (${new Date(item.dueTime).toLocaleString()})`
+                      : `Triggered ${new Date(item.dueTime).toLocaleTimeString()}`}
+                    {item.snoozeCount > 0 && ` · snoozed ${item.snoozeCount}×`}
+                  </small>
+                </div>
+                <div className="notification-actions">
+                  {SNOOZE_OPTIONS.map((option) => (
+                    <button
+                      key={option.label}
+                      type="button"
+                      className="notification-snooze"
+                      onClick={() => handleReminderAction(item.id, 'snooze', { until: option.until })}
+                      title={`Snooze ${option.until}`}
+                    >
+                      Snooze {option.label}
+                    </button>
+                  ))}
+                  <button
+                    type="button"
+                    className="notification-done"
+                    onClick={() => handleReminderAction(item.id, 'acknowledge')}
+                  >
+                    Done
+                  </button>
                 </div>
               </li>
             ))}
@@ -591,6 +2815,54 @@ function App() {
       )}
     </div>
   );
+};
+
+function App() {
+  const [session, setSession] = useState(() => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    return token ? { token, user: null } : null;
+  });
+
+  useEffect(() => {
+    const handleExpired = () => {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+      setSession(null);
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  // A token saved by an earlier visit still needs its user looked up
+  useEffect(() => {
+    if (!session || session.user) return;
+    apiFetch('/auth/me')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data) setSession((prev) => (prev ? { ...prev, user: data.user } : prev));
+      })
+      .catch(() => {});
+  }, [session]);
+
+  const handleAuthenticated = ({ token, user }) => {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    setSession({ token, user });
+  };
+
+  const handleLogout = async () => {
+    await apiFetch('/auth/logout', { method: 'POST' }).catch(() => {});
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    setSession(null);
+  };
+
+  if (!session) return <AuthForm onAuthenticated={handleAuthenticated} />;
+  if (!session.user) {
+    return (
+      <div className="app-shell">
+        <p className="hint">Loading your workspace…</p>
+      </div>
+    );
+  }
+  return <Dashboard key={session.token} user={session.user} onLogout={handleLogout} />;
 }
 
 export default App;
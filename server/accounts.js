@@ -0,0 +1,132 @@
+const { randomBytes, randomUUID, scryptSync, createHash, timingSafeEqual } = require('crypto');
+const { httpError } = require('./errors');
+
+// Local user accounts. Passwords are stored as scrypt hashes and every credential
+// handed to a client is an opaque bearer token, of which only a SHA-256 hash is
+// kept. Login issues session tokens that expire; API tokens (for scripts) last
+// until they are revoked.
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashPassword = (password) => {
+  const salt = randomBytes(16).toString('hex');
+  return `${salt}:${scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const publicUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+const publicToken = ({ id, kind, label, createdAt, expiresAt, lastUsedAt }) => ({
+  id,
+  kind,
+  label,
+  createdAt,
+  expiresAt,
+  lastUsedAt,
+});
+
+// `saved` is the { users, tokens } object returned by toJSON(); `onChange` runs
+// after every mutation so the caller can persist it.
+const createAccounts = (saved = {}, { onChange = () => {}, now = Date.now } = {}) => {
+  const users = Array.isArray(saved.users) ? saved.users : [];
+  let tokens = Array.isArray(saved.tokens) ? saved.tokens : [];
+
+  const findByUsername = (username) => users.find((user) => user.username === username);
+
+  const issueToken = (userId, { kind = 'session', label = null } = {}) => {
+    const token = randomBytes(32).toString('base64url');
+    const record = {
+      id: randomUUID(),
+      userId,
+      kind,
+      label,
+      hash: hashToken(token),
+      createdAt: now(),
+      expiresAt: kind === 'session' ? now() + SESSION_TTL : null,
+      lastUsedAt: null,
+    };
+    tokens.push(record);
+    onChange();
+    return { token, record: publicToken(record) };
+  };
+
+  const register = ({ username, password } = {}) => {
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(name)) {
+      throw httpError(400, 'username must be 3-32 characters: letters, digits, ".", "_" or "-".');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if (findByUsername(name)) {
+      throw httpError(409, `Username ${name} is already taken.`);
+    }
+
+    const user = { id: randomUUID(), username: name, passwordHash: hashPassword(password), createdAt: now() };
+    users.push(user);
+    onChange();
+    return publicUser(user);
+  };
+
+  const login = ({ username, password } = {}) => {
+    const user = findByUsername(typeof username === 'string' ? username.trim().toLowerCase() : '');
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+      throw httpError(401, 'Invalid username or password.');
+    }
+    const { token } = issueToken(user.id);
+    return { token, user: publicUser(user) };
+  };
+
+  // Resolves a bearer token to its user, or null when it is unknown or expired.
+  const authenticate = (token) => {
+    if (typeof token !== 'string' || !token) return null;
+    const hash = hashToken(token);
+    const record = tokens.find((entry) => entry.hash === hash);
+    if (!record || (record.expiresAt && record.expiresAt <= now())) return null;
+    const user = users.find((entry) => entry.id === record.userId);
+    if (!user) return null;
+    record.lastUsedAt = now();
+    return { user: publicUser(user), tokenId: record.id };
+  };
+
+  const revokeToken = (userId, tokenId) => {
+    const record = tokens.find((entry) => entry.id === tokenId && entry.userId === userId);
+    if (!record) throw httpError(404, `Token ${tokenId} not found.`);
+    tokens = tokens.filter((entry) => entry !== record);
+    onChange();
+    return publicToken(record);
+  };
+
+  const listTokens = (userId) =>
+    tokens.filter((entry) => entry.userId === userId).map(publicToken);
+
+  return {
+    register,
+    login,
+    authenticate,
+    issueToken,
+    revokeToken,
+    listTokens,
+    get userCount() {
+      return users.length;
+    },
+    userIds: () => users.map((user) => user.id),
+    // Expired sessions are dropped whenever the accounts are saved
+    toJSON: () => ({
+      users,
+      tokens: tokens.filter((entry) => !entry.expiresAt || entry.expiresAt > now()),
+    }),
+  };
+};
+
+module.exports = { createAccounts };
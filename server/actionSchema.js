@@ -0,0 +1,171 @@
+// JSON Schemas for every agent action plus a small validator covering the subset
+// of JSON Schema they use: type, enum, required, properties,
+// additionalProperties, minLength, maxLength and anyOf.
+
+const id = { type: 'string', minLength: 1 };
+const text = { type: 'string', minLength: 1 };
+const when = { type: ['string', 'number'], minLength: 1 };
+const optionalText = { type: ['string', 'null'] };
+const recipients = { type: ['string', 'array'] };
+const tags = { type: ['string', 'array'] };
+
+// Filters shared by search and the read-only question actions
+const itemFilters = {
+  query: { type: 'string' },
+  type: { type: ['string', 'array'] },
+  status: text,
+  tag: text,
+  project: text,
+  when: text,
+  from: when,
+  to: when,
+};
+
+const objectSchema = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false,
+  ...extra,
+});
+
+const ACTION_SCHEMAS = {
+  add_task: objectSchema(
+    {
+      description: text,
+      dueDate: optionalText,
+      priority: { enum: ['low', 'medium', 'high'] },
+      recurrence: optionalText,
+      tags,
+      project: optionalText,
+    },
+    ['description']
+  ),
+  complete_task: objectSchema({ taskId: id }, ['taskId']),
+  update_task: objectSchema(
+    {
+      taskId: id,
+      description: text,
+      dueDate: optionalText,
+      priority: { enum: ['low', 'medium', 'high'] },
+      status: { enum: ['open', 'in-progress', 'done'] },
+      recurrence: optionalText,
+      tags,
+      project: optionalText,
+    },
+    ['taskId'],
+    {
+      anyOf: ['description', 'dueDate', 'priority', 'status', 'recurrence', 'tags', 'project'].map((field) => ({
+        required: [field],
+      })),
+    }
+  ),
+  delete_task: objectSchema({ taskId: id }, ['taskId']),
+  add_note: objectSchema({ body: text, tags, project: optionalText }, ['body']),
+  schedule_reminder: objectSchema(
+    { message: text, dueTime: when, recurrence: optionalText, tags, project: optionalText },
+    ['message', 'dueTime']
+  ),
+  update_reminder: objectSchema(
+    { reminderId: id, message: text, dueTime: when, recurrence: optionalText, tags, project: optionalText },
+    ['reminderId'],
+    { anyOf: ['message', 'dueTime', 'recurrence', 'tags', 'project'].map((field) => ({ required: [field] })) }
+  ),
+  cancel_reminder: objectSchema({ reminderId: id }, ['reminderId']),
+  snooze_reminder: objectSchema({ reminderId: id, until: when }, ['reminderId']),
+  acknowledge_reminder: objectSchema({ reminderId: id }, ['reminderId']),
+  skip_occurrence: objectSchema({ reminderId: id, taskId: id }, [], {
+    anyOf: [{ required: ['reminderId'] }, { required: ['taskId'] }],
+  }),
+  stop_recurrence: objectSchema({ reminderId: id, taskId: id }, [], {
+    anyOf: [{ required: ['reminderId'] }, { required: ['taskId'] }],
+  }),
+  draft_email: objectSchema(
+    { instructions: text, template: text, tone: text, values: { type: 'object' } },
+    ['instructions']
+  ),
+  revise_email: objectSchema({ draftId: id, instructions: text }, ['draftId', 'instructions']),
+  send_email: objectSchema({ draftId: id, to: recipients, cc: recipients, bcc: recipients, sendAt: when }),
+  search: objectSchema(itemFilters, [], {
+    anyOf: ['query', 'type', 'status', 'tag', 'project', 'when', 'from', 'to'].map((field) => ({ required: [field] })),
+  }),
+  list_items: objectSchema(itemFilters),
+  count_items: objectSchema(itemFilters),
+  summarize_items: objectSchema(itemFilters),
+  undo: objectSchema({}),
+  redo: objectSchema({}),
+};
+
+const ACTION_TYPES = Object.keys(ACTION_SCHEMAS);
+
+const ACTION_SCHEMA = objectSchema(
+  {
+    action: { enum: ACTION_TYPES },
+    payload: { type: 'object' },
+  },
+  ['action', 'payload']
+);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(typeOf(value))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required ?? []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validate(childSchema, child, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not a recognised field' });
+      }
+    });
+  }
+  if (schema.anyOf && !schema.anyOf.some((option) => validate(option, value, path).length === 0)) {
+    const alternatives = schema.anyOf.map((option) => option.required?.join(' + ')).filter(Boolean);
+    errors.push({
+      path: at,
+      message: alternatives.length > 0
+        ? `must include at least one of: ${alternatives.join(', ')}`
+        : 'does not match any allowed shape',
+    });
+  }
+  return errors;
+};
+
+// Validates one { action, payload } entry against the envelope and its payload schema.
+const validateAction = (entry) => {
+  const errors = validate(ACTION_SCHEMA, entry);
+  if (errors.length > 0 || !ACTION_SCHEMAS[entry.action]) return errors;
+  return validate(ACTION_SCHEMAS[entry.action], entry.payload, 'payload');
+};
+
+module.exports = { ACTION_SCHEMAS, ACTION_SCHEMA, ACTION_TYPES, validate, validateAction };
@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { createInterface } = require('readline/promises');
+
+// Command-line client for a running server. It only talks to the HTTP API, so it
+// works against a remote server as well as a local one. Create an API token in the
+// web app (or POST /auth/tokens) and export it as AGENT_TOKEN.
+//
+//   npm run cli -- "remind me to call Sam at 3pm"
+//   npm run cli -- state tasks --json
+//
+// Exit codes are stable so scripts can branch on them; see EXIT below.
+
+const DEFAULT_URL = 'http://localhost:4000';
+const RECONNECT_DELAY = 5000;
+
+const EXIT = {
+  ok: 0,
+  failed: 1, // the server rejected the request or nothing was changed
+  usage: 2,
+  unreachable: 3,
+  unauthorized: 4,
+  declined: 5, // the plan needs confirmation and none was given
+};
+
+const USAGE = `Usage: agent <command> [options]
+
+Commands:
+  agent <text...>         Send a request to the agent (also: ask <text...>)
+  state [collection]      Show tasks, reminders, notes and drafts, or one of them
+  events                  Print reminders as they come due; --all prints every event
+  draft <instructions...> Write an email draft
+  usage                   Show today's LLM token usage and budget
+
+Options:
+  --url <url>             Server URL (AGENT_URL, default ${DEFAULT_URL})
+  --token <token>         API token (AGENT_TOKEN)
+  --json                  Print raw JSON instead of text
+  --dry-run               agent: show the plan without applying it
+  -y, --yes               agent: apply plans with deletions without asking
+  --all                   events: print every event, not just reminders
+  --template <name>       draft: start from an email template
+  --tone <name>           draft: use a tone preset
+  --value <key=value>     draft: fill a template placeholder (repeatable)
+  --save                  draft: keep the draft in the workspace
+  -h, --help              Show this help
+
+Exit codes: 0 ok, 1 request failed, 2 usage error, 3 server unreachable,
+4 not authorized, 5 confirmation required or declined.`;
+
+const COLLECTIONS = {
+  tasks: 'tasks',
+  reminders: 'reminders',
+  notes: 'notes',
+  drafts: 'emailDrafts',
+};
+
+class CliError extends Error {
+  constructor(message, code = EXIT.failed) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const createClient = ({ url, token }) => {
+  // Appended rather than resolved, so a server behind a path prefix such as
+  // https://host/agent-api keeps it
+  const base = url.replace(/\/+$/, '');
+  const request = async (path, { method = 'GET', body } = {}) => {
+    let res;
+    try {
+      res = await fetch(`${base}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new CliError(`Could not reach ${url}: ${error.cause?.message ?? error.message}`, EXIT.unreachable);
+    }
+    if (res.status === 401) {
+      throw new CliError('Not authorized. Check AGENT_TOKEN or --token.', EXIT.unauthorized);
+    }
+    return res;
+  };
+
+  // Resolves to the parsed body of a successful JSON response
+  const json = async (path, options) => {
+    const res = await request(path, options);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new CliError(data.error || `Request failed with status ${res.status}.`);
+    }
+    return data;
+  };
+
+  return { request, json };
+};
+
+const oneLine = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+const formatTime = (timestamp) =>
+  timestamp
+    ? new Date(timestamp).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+      })
+    : '';
+
+const formatDate = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
+
+// Aligned columns; the last one is cut to fit the terminal
+const printTable = (rows, columns) => {
+  const cells = rows.map((row) => columns.map(({ value }) => oneLine(value(row))));
+  const widths = columns.map(({ label }, index) =>
+    Math.max(label.length, ...cells.map((row) => row[index].length))
+  );
+  const maxWidth = process.stdout.columns || 120;
+  const line = (values) => {
+    const text = values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+  };
+  console.log(line(columns.map(({ label }) => label)));
+  cells.forEach((row) => console.log(line(row)));
+};
+
+const shortId = (item) => item.id.slice(0, 8);
+
+const TABLES = {
+  tasks: [
+    { label: 'ID', value: shortId },
+    { label: 'STATUS', value: (task) => task.status },
+    { label: 'PRIORITY', value: (task) => task.priority },
+    { label: 'DUE', value: (task) => formatDate(task.dueDate) },
+    { label: 'DESCRIPTION', value: (task) => `${task.description}${task.recurrence ? ' ↻' : ''}` },
+  ],
+  reminders: [
+    { label: 'ID', value: shortId },
+    { label: 'STATUS', value: (reminder) => reminder.status },
+    { label: 'DUE', value: (reminder) => formatTime(reminder.dueTime) },
+    { label: 'MESSAGE', value: (reminder) => `${reminder.message}${reminder.recurrence ? ' ↻' : ''}` },
+  ],
+  notes: [
+    { label: 'ID', value: shortId },
+    { label: 'CREATED', value: (note) => formatTime(note.createdAt) },
+    { label: 'NOTE', value: (note) => note.body },
+  ],
+  drafts: [
+    { label: 'ID', value: shortId },
+    { label: 'STATUS', value: (draft) => (draft.archivedAt ? 'archived' : draft.status) },
+    { label: 'TO', value: (draft) => draft.to.join(', ') },
+    { label: 'SUBJECT', value: (draft) => draft.subject },
+  ],
+};
+
+const ACTION_LABELS = {
+  add_task: 'Added task',
+  complete_task: 'Completed task',
+  update_task: 'Updated task',
+  delete_task: 'Deleted task',
+  add_note: 'Added note',
+  schedule_reminder: 'Scheduled reminder',
+  update_reminder: 'Updated reminder',
+  cancel_reminder: 'Cancelled reminder',
+  skip_occurrence: 'Skipped next occurrence',
+  stop_recurrence: 'Stopped recurrence',
+  snooze_reminder: 'Snoozed reminder',
+  acknowledge_reminder: 'Acknowledged reminder',
+  draft_email: 'Drafted email',
+  send_email: 'Sent email',
+  revise_email: 'Revised email',
+  undo: 'Undid last request',
+  redo: 'Redid last undone request',
+};
+
+const describeItem = (item) => {
+  if (!item || typeof item !== 'object') return '';
+  const text = item.description ?? item.message ?? item.subject ?? item.body;
+  if (!text) return '';
+  const due = item.dueTime ? ` (${formatTime(item.dueTime)})` : item.dueDate ? ` (due ${formatDate(item.dueDate)})` : '';
+  return `: ${oneLine(text)}${due}`;
+};
+
+const printAgentResult = (body) => {
+  body.actions
+    .filter(({ action }) => ACTION_LABELS[action])
+    .forEach(({ action, item }) => console.log(`${ACTION_LABELS[action]}${describeItem(item)}`));
+  if (body.reply) console.log(body.reply);
+};
+
+const printPlan = (preview) => {
+  preview.actions.forEach(({ index, action, payload, resolved, destructive }) => {
+    const details = Object.entries({ ...payload, ...resolved })
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    console.log(`${index + 1}. ${action}${destructive ? ' (destructive)' : ''} ${details}`);
+  });
+};
+
+const validationLines = (failures = []) =>
+  failures.flatMap(({ index, action, errors }) =>
+    errors.map(({ path, message }) => `  action ${index + 1} (${action}): ${path} ${message}`)
+  );
+
+// Reports why a plan was rejected, including per-action validation errors
+const planError = (body) =>
+  new CliError([body.error, ...validationLines(body.validationErrors)].join('\n'));
+
+const confirm = async (question) => {
+  const prompt = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await prompt.question(`${question} [y/N] `)).trim());
+  } finally {
+    prompt.close();
+  }
+};
+
+// Like the web app's default mode, plans that delete or cancel something are
+// previewed and need a yes; everything else is applied straight away, in the
+// same request that plans it.
+const runAgent = async (client, words, options) => {
+  const text = words.join(' ').trim();
+  if (!text) throw new CliError('Tell the agent what to do, e.g. agent "add a task to file taxes".', EXIT.usage);
+
+  const run = async (path, body) => {
+    const res = await client.request(path, { method: 'POST', body });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (options.json) console.log(JSON.stringify(data, null, 2));
+      throw planError({ error: data.error || `Request failed with status ${res.status}.`, ...data });
+    }
+    if (data.preview) return data;
+    if (options.json) console.log(JSON.stringify(data, null, 2));
+    else printAgentResult(data);
+    return null;
+  };
+
+  if (options['dry-run']) {
+    const preview = await client.json('/agent', { method: 'POST', body: { text, dryRun: true } });
+    if (options.json) console.log(JSON.stringify(preview, null, 2));
+    else printPlan(preview);
+    if (preview.validationErrors.length > 0) throw planError({ ...preview, error: 'The plan failed validation.' });
+    return undefined;
+  }
+  if (options.yes) return run('/agent', { text });
+
+  const preview = await run('/agent', { text, confirmDestructive: true });
+  if (!preview) return undefined;
+  if (preview.validationErrors.length > 0) {
+    throw planError({ ...preview, error: 'The agent proposed actions that failed validation. Nothing was changed.' });
+  }
+  if (!process.stdin.isTTY) {
+    throw new CliError('This request deletes or cancels something. Re-run with --yes to apply it.', EXIT.declined);
+  }
+  printPlan(preview);
+  if (!(await confirm('Apply these changes?'))) throw new CliError('Nothing was changed.', EXIT.declined);
+  return run('/agent/confirm', {
+    text: preview.text,
+    actions: preview.actions.map(({ action, payload }) => ({ action, payload })),
+  });
+};
+
+const runState = async (client, [collection], options) => {
+  if (collection && !COLLECTIONS[collection]) {
+    throw new CliError(`Unknown collection "${collection}". Use one of: ${Object.keys(COLLECTIONS).join(', ')}.`, EXIT.usage);
+  }
+  const state = await client.json('/state');
+  const names = collection ? [collection] : Object.keys(COLLECTIONS);
+  if (options.json) {
+    console.log(JSON.stringify(collection ? state[COLLECTIONS[collection]] : state, null, 2));
+    return;
+  }
+  names.forEach((name, index) => {
+    const items = state[COLLECTIONS[name]] ?? [];
+    if (!collection) console.log(`${index > 0 ? '\n' : ''}${name[0].toUpperCase()}${name.slice(1)} (${items.length})`);
+    if (items.length === 0) console.log(collection ? `No ${name}.` : '  none');
+    else printTable(items, TABLES[name]);
+  });
+};
+
+const REMINDER_EVENTS = ['reminder_due', 'reminder_overdue'];
+
+const printEvent = (event, data, options) => {
+  if (!options.all && !REMINDER_EVENTS.includes(event)) return;
+  if (options.json) {
+    console.log(JSON.stringify({ event, data }));
+  } else if (REMINDER_EVENTS.includes(event)) {
+    const late = event === 'reminder_overdue' ? ' (missed while the server was down)' : '';
+    console.log(`${formatTime(data.dueTime)}  Reminder: ${data.message}${late}`);
+  } else {
+    console.log(`${formatTime(Date.now())}  ${event}${describeItem(data)}`);
+  }
+};
+
+// Reads server-sent events until the connection drops
+const readEvents = async (res, onEvent) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    messages.forEach((message) => {
+      const fields = { event: 'message', data: [] };
+      message.split('\n').forEach((line) => {
+        const [, name, value] = /^([^:]*):?\s?(.*)$/.exec(line);
+        if (name === 'event') fields.event = value;
+        if (name === 'data') fields.data.push(value);
+      });
+      if (fields.data.length === 0) return;
+      try {
+        onEvent(fields.event, JSON.parse(fields.data.join('\n')));
+      } catch {
+        // Not JSON; the server only sends JSON payloads
+      }
+    });
+  }
+};
+
+// Stays connected until interrupted, reconnecting when the server goes away. Only
+// a failure to connect the first time ends the command.
+const runEvents = async (client, _, options) => {
+  let connected = false;
+  for (;;) {
+    try {
+      const res = await client.request('/events');
+      if (!res.ok) throw new CliError(`Could not subscribe to events (status ${res.status}).`);
+      if (!connected && !options.json) console.error(`Listening for ${options.all ? 'events' : 'reminders'}…`);
+      connected = true;
+      await readEvents(res, (event, data) => printEvent(event, data, options));
+    } catch (error) {
+      if (!connected || error.code === EXIT.unauthorized) throw error;
+    }
+    console.error(`Connection lost, reconnecting in ${RECONNECT_DELAY / 1000}s…`);
+    await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY));
+  }
+};
+
+const parseValues = (pairs = []) =>
+  Object.fromEntries(
+    pairs.map((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator < 1) throw new CliError(`--value expects key=value, got "${pair}".`, EXIT.usage);
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1)];
+    })
+  );
+
+const runDraft = async (client, words, options) => {
+  const instructions = words.join(' ').trim();
+  if (!instructions) throw new CliError('Say what the email should cover, e.g. draft "thank Ana for the demo".', EXIT.usage);
+  const body = {
+    instructions,
+    template: options.template,
+    tone: options.tone,
+    values: options.value ? parseValues(options.value) : undefined,
+  };
+  const draft = options.save
+    ? await client.json('/email-drafts', { method: 'POST', body })
+    : (await client.json('/draft-email', { method: 'POST', body })).draft;
+
+  if (options.json) {
+    console.log(JSON.stringify(draft, null, 2));
+    return;
+  }
+  console.log(`Subject: ${draft.subject}\n\n${draft.body}`);
+  if (options.save) console.error(`\nSaved as draft ${draft.id}.`);
+};
+
+const formatBudget = ({ totalTokens, budget, remaining }) =>
+  budget ? `${totalTokens} of ${budget} tokens (${remaining} left)` : `${totalTokens} tokens (no budget)`;
+
+const runUsage = async (client, _, options) => {
+  const usage = await client.json('/usage?days=7');
+  if (options.json) {
+    console.log(JSON.stringify(usage, null, 2));
+    return;
+  }
+  const { today } = usage;
+  console.log(`Today (${today.date}): ${formatBudget(today)} over ${today.requests} requests`);
+  console.log(`Server today: ${formatBudget(today.server)}`);
+  if (usage.days.length > 0) {
+    console.log('');
+    printTable(usage.days, [
+      { label: 'DATE', value: (day) => day.date },
+      { label: 'REQUESTS', value: (day) => String(day.requests) },
+      { label: 'PROMPT', value: (day) => String(day.promptTokens) },
+      { label: 'COMPLETION', value: (day) => String(day.completionTokens) },
+      { label: 'TOTAL', value: (day) => String(day.totalTokens) },
+    ]);
+  }
+};
+
+const COMMANDS = {
+  agent: runAgent,
+  ask: runAgent,
+  state: runState,
+  events: runEvents,
+  draft: runDraft,
+  usage: runUsage,
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        url: { type: 'string' },
+        token: { type: 'string' },
+        json: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        yes: { type: 'boolean', short: 'y' },
+        all: { type: 'boolean' },
+        template: { type: 'string' },
+        tone: { type: 'string' },
+        value: { type: 'string', multiple: true },
+        save: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new CliError(`${error.message}\n\n${USAGE}`, EXIT.usage);
+  }
+
+  const { values: options, positionals } = parsed;
+  if (options.help || positionals.length === 0) {
+    console.log(USAGE);
+    return options.help ? EXIT.ok : EXIT.usage;
+  }
+
+  // Anything that is not a command is a request for the agent
+  const [first, ...rest] = positionals;
+  const command = COMMANDS[first] ? first : 'agent';
+  const args = COMMANDS[first] ? rest : positionals;
+
+  const url = options.url ?? process.env.AGENT_URL ?? DEFAULT_URL;
+  const token = options.token ?? process.env.AGENT_TOKEN;
+  try {
+    new URL(url);
+  } catch {
+    throw new CliError(`Invalid server URL: ${url}`, EXIT.usage);
+  }
+  if (!token) throw new CliError('No API token. Set AGENT_TOKEN or pass --token.', EXIT.unauthorized);
+
+  await COMMANDS[command](createClient({ url, token }), args, options);
+  return EXIT.ok;
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(error.message);
+      process.exitCode = error instanceof CliError ? error.code : EXIT.failed;
+    }
+  );
+}
+
+module.exports = { main, EXIT };
@@ -0,0 +1,144 @@
+// Short-term conversation memory for the agent, so follow-ups like "make that 3pm"
+// or "add a note about it" can be resolved against what the last requests did.
+// Turns are kept per session (one per auth token) and in memory only.
+
+const MAX_TURNS = 20;
+const LABEL_LENGTH = 80;
+
+// Rough token estimate (about four characters per token for English JSON); good
+// enough for budgeting without shipping a tokenizer.
+const estimateTokens = (value) =>
+  Math.ceil((typeof value === 'string' ? value : JSON.stringify(value)).length / 4);
+
+const ITEM_COLLECTIONS = {
+  add_task: 'tasks',
+  complete_task: 'tasks',
+  update_task: 'tasks',
+  delete_task: 'tasks',
+  add_note: 'notes',
+  schedule_reminder: 'reminders',
+  update_reminder: 'reminders',
+  cancel_reminder: 'reminders',
+  snooze_reminder: 'reminders',
+  acknowledge_reminder: 'reminders',
+  draft_email: 'emailDrafts',
+  revise_email: 'emailDrafts',
+  send_email: 'emailDrafts',
+};
+
+const labelOf = (item) => {
+  const label = item?.description ?? item?.message ?? item?.body ?? item?.subject ?? '';
+  return label.length > LABEL_LENGTH ? `${label.slice(0, LABEL_LENGTH - 1)}…` : label;
+};
+
+// Searches and questions point at their best match, so "delete that note" can
+// follow them
+const describeResult = (action, item) => {
+  if (Array.isArray(item?.results)) {
+    const top = item?.results?.[0];
+    const fields = Object.fromEntries(Object.entries(top?.fields ?? {}).map(([name, { text }]) => [name, text]));
+    return { action, collection: top?.type ?? null, id: top?.id ?? null, label: top ? labelOf(fields) : null };
+  }
+  const collection = ITEM_COLLECTIONS[action] ?? null;
+  return {
+    action,
+    collection,
+    id: collection ? item?.id ?? null : null,
+    label: collection ? labelOf(item) : null,
+  };
+};
+
+const createConversationMemory = ({ maxTurns = MAX_TURNS } = {}) => {
+  const sessions = new Map();
+
+  // Records one applied request with the items its actions produced or touched.
+  const record = (sessionId, { text, results, at = Date.now() }) => {
+    if (!sessionId) return;
+    const turns = sessions.get(sessionId) ?? [];
+    turns.push({
+      at,
+      text,
+      actions: results.map(({ action, item }) => describeResult(action, item)),
+    });
+    if (turns.length > maxTurns) turns.splice(0, turns.length - maxTurns);
+    sessions.set(sessionId, turns);
+  };
+
+  return {
+    record,
+    recent: (sessionId) => [...(sessions.get(sessionId) ?? [])],
+    clear: (sessionId) => sessions.delete(sessionId),
+  };
+};
+
+// Item ids mentioned in the conversation, most recent first.
+const referencedIds = (turns) =>
+  [...turns]
+    .reverse()
+    .flatMap((turn) => [...turn.actions].reverse().map((entry) => entry.id))
+    .filter(Boolean);
+
+// Picks what to show the model within `budget` tokens. The conversation gets up to
+// `conversationShare` of it, newest turns first. The rest goes to items, taken
+// round-robin across collections so every kind is represented; items the
+// conversation mentioned come first, then each collection's own ordering.
+// Returns { conversation, items: { [collection]: [...] }, omitted: { [name]: n } }.
+const buildContext = ({ turns = [], collections, budget, conversationShare = 0.4 }) => {
+  let remaining = budget;
+  const conversation = [];
+  const conversationBudget = Math.floor(budget * conversationShare);
+  let conversationUsed = 0;
+  for (const turn of [...turns].reverse()) {
+    const cost = estimateTokens(turn);
+    if (conversationUsed + cost > conversationBudget) break;
+    conversation.unshift(turn);
+    conversationUsed += cost;
+  }
+  remaining -= conversationUsed;
+
+  const mentioned = referencedIds(conversation);
+  const rank = (id) => {
+    const index = mentioned.indexOf(id);
+    return index === -1 ? Infinity : index;
+  };
+  const queues = Object.entries(collections).map(([name, entries]) => ({
+    name,
+    // Stable sort keeps each collection's own order for unmentioned items
+    pending: entries
+      .map((entry, order) => ({ entry, order }))
+      .sort((a, b) => rank(a.entry.id) - rank(b.entry.id) || a.order - b.order)
+      .map(({ entry }) => entry),
+    taken: [],
+    full: false,
+  }));
+
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    queues.forEach((queue) => {
+      if (queue.full || queue.pending.length === 0) return;
+      const cost = estimateTokens(queue.pending[0]);
+      if (cost > remaining) {
+        queue.full = true;
+        return;
+      }
+      queue.taken.push(queue.pending.shift());
+      remaining -= cost;
+      progressed = true;
+    });
+  }
+
+  const omitted = {};
+  if (turns.length > conversation.length) omitted.conversation = turns.length - conversation.length;
+  queues.forEach(({ name, pending }) => {
+    if (pending.length > 0) omitted[name] = pending.length;
+  });
+
+  return {
+    conversation,
+    items: Object.fromEntries(queues.map(({ name, taken }) => [name, taken])),
+    omitted,
+  };
+};
+
+module.exports = { createConversationMemory, buildContext, estimateTokens, referencedIds };
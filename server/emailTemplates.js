@@ -0,0 +1,187 @@
+// Email templates are a subject and body with {{placeholder}} slots. A few
+// templates and tone presets ship with the app and users add their own next to
+// them. Placeholders named after workspace data (open_tasks, recent_notes, ...)
+// are filled from the store; the rest come from the request or are left for the
+// model to complete.
+
+const { startOfDay, addDays } = require('./timeZones');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PLACEHOLDER = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'weekly-status',
+    name: 'Weekly status',
+    subject: 'Status update – week of {{week_start}}',
+    body: [
+      'Hi {{recipient}},',
+      "Here's where things stand for the week of {{week_start}}.",
+      'Done this week:\n{{completed_tasks}}',
+      'In progress and up next:\n{{open_tasks}}',
+      'Notes:\n{{recent_notes}}',
+      'Let me know if you have any questions.',
+    ].join('\n\n'),
+    tone: null,
+  },
+  {
+    id: 'meeting-follow-up',
+    name: 'Meeting follow-up',
+    subject: 'Follow-up: {{meeting}}',
+    body: [
+      'Hi {{recipient}},',
+      'Thanks for your time at {{meeting}}. Here is a short recap.',
+      'What we discussed:\n{{recent_notes}}',
+      'Next steps:\n{{open_tasks}}',
+      'Please reply if I missed anything.',
+    ].join('\n\n'),
+    tone: null,
+  },
+];
+
+const BUILT_IN_TONES = [
+  {
+    id: 'formal',
+    name: 'Formal',
+    instructions: 'Formal and polite. Complete sentences, no contractions or slang.',
+  },
+  {
+    id: 'friendly',
+    name: 'Friendly',
+    instructions: 'Warm and conversational, like writing to a colleague you get on well with.',
+  },
+  {
+    id: 'concise',
+    name: 'Concise',
+    instructions: 'As short as possible. Lead with the point and cut every sentence that is not needed.',
+  },
+];
+
+// Values the store can provide, so the model or the user never has to
+const STORE_PLACEHOLDERS = [
+  'date',
+  'week_start',
+  'completed_tasks',
+  'open_tasks',
+  'upcoming_reminders',
+  'recent_notes',
+];
+
+const placeholdersOf = ({ subject = '', body = '' }) => [
+  ...new Set([...`${subject}\n${body}`.matchAll(PLACEHOLDER)].map(([, name]) => name.toLowerCase())),
+];
+
+// Returns the template text with every known placeholder replaced, plus the names
+// of the ones still open.
+const fillTemplate = (template, values) => {
+  const fill = (text) =>
+    text.replace(PLACEHOLDER, (match, name) => values[name.toLowerCase()] ?? match);
+  const subject = fill(template.subject);
+  const body = fill(template.body);
+  return { subject, body, missing: placeholdersOf({ subject, body }) };
+};
+
+const bulletList = (lines, empty) => (lines.length > 0 ? lines.map((line) => `- ${line}`).join('\n') : empty);
+
+const startOfWeek = (now, zone) => {
+  const { year, month, day } = zone.toParts(now);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(startOfDay(now, zone), -((weekday + 6) % 7), zone);
+};
+
+// The STORE_PLACEHOLDERS values for a workspace, with dates as they fall in
+// `zone`. "This week" means the last seven days, so a status written on Monday
+// still covers the week before.
+const workspaceValues = ({ tasks = [], notes = [], reminders = [] }, { now = Date.now(), zone }) => {
+  const weekAgo = now - 7 * DAY;
+  const formatDate = (timestamp, options) =>
+    new Date(timestamp).toLocaleDateString('en-US', { timeZone: zone.name, ...options });
+  const formatDay = (timestamp) => formatDate(timestamp, { weekday: 'short', month: 'short', day: 'numeric' });
+  const describeTask = (task) =>
+    [
+      task.description,
+      task.status === 'in-progress' ? ' (in progress)' : '',
+      task.dueDate ? `, due ${formatDay(task.dueDate)}` : '',
+    ].join('');
+
+  return {
+    date: formatDate(now, { dateStyle: 'long' }),
+    week_start: formatDate(startOfWeek(now, zone), { month: 'long', day: 'numeric' }),
+    completed_tasks: bulletList(
+      tasks
+        .filter((task) => task.status === 'done' && task.completedAt >= weekAgo)
+        .map((task) => task.description),
+      '- Nothing finished yet.'
+    ),
+    open_tasks: bulletList(
+      tasks
+        .filter((task) => task.status !== 'done')
+        .sort((a, b) => (a.dueDate ?? Infinity) - (b.dueDate ?? Infinity))
+        .map(describeTask),
+      '- Nothing open.'
+    ),
+    upcoming_reminders: bulletList(
+      reminders
+        .filter((reminder) => reminder.status === 'scheduled' && reminder.dueTime <= now + 7 * DAY)
+        .sort((a, b) => a.dueTime - b.dueTime)
+        .map((reminder) => `${reminder.message}, ${formatDay(reminder.dueTime)}`),
+      '- Nothing scheduled.'
+    ),
+    recent_notes: bulletList(
+      notes.filter((note) => note.createdAt >= weekAgo).map((note) => note.body.replace(/\s+/g, ' ')),
+      '- No notes this week.'
+    ),
+  };
+};
+
+const normalizeName = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/\b(?:template|tone)\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Finds a template or tone by id or by (part of) its name, so "the status
+// template" finds "Weekly status".
+const findByReference = (items, reference) => {
+  if (typeof reference !== 'string' || !reference.trim()) return null;
+  const wanted = normalizeName(reference);
+  return (
+    items.find((item) => item.id === reference.trim()) ??
+    items.find((item) => normalizeName(item.name) === wanted) ??
+    (wanted
+      ? items.find((item) => {
+          const name = normalizeName(item.name);
+          return name.includes(wanted) || wanted.includes(name);
+        })
+      : null) ??
+    null
+  );
+};
+
+// The signature goes after the body, separated by a blank line. Both helpers
+// leave the body alone when it is missing, so they can be applied repeatedly.
+const appendSignature = (body, signature) => {
+  const trimmed = signature?.trim();
+  if (!trimmed || body.trimEnd().endsWith(trimmed)) return body;
+  return `${body.trimEnd()}\n\n${trimmed}`;
+};
+
+const removeSignature = (body, signature) => {
+  const trimmed = signature?.trim();
+  const text = body.trimEnd();
+  if (!trimmed || !text.endsWith(trimmed)) return body;
+  return text.slice(0, -trimmed.length).trimEnd();
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  BUILT_IN_TONES,
+  STORE_PLACEHOLDERS,
+  placeholdersOf,
+  fillTemplate,
+  workspaceValues,
+  findByReference,
+  appendSignature,
+  removeSignature,
+};
@@ -0,0 +1,5 @@
+// Errors carrying an HTTP status so route handlers can tell 404s from bad input.
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const notFound = (message) => httpError(404, message);
+
+module.exports = { httpError, notFound };
@@ -0,0 +1,388 @@
+const chrono = require('chrono-node');
+const { parseRecurrence, localZone } = require('./recurrence');
+const { parseInZone } = require('./timeZones');
+
+// Deterministic, model-free intent parser. It understands the everyday commands
+// (add a task, jot a note, set or cancel a reminder, revise or send a draft,
+// search, simple questions, undo) and returns the same `[{ action, payload }]`
+// shape as the model, so the /agent executor is shared.
+
+const CLAUSE_SPLIT = /\s*;\s*|\s*,?\s+(?:and|then|also)\s+(?=(?:remind|add|create|note|remember|cancel|delete|remove|set)\b)/i;
+
+const CANCEL_PATTERN = /^(?:please\s+)?(?:cancel|delete|remove|clear|drop)\b(?:.*\breminders?\b|\s+(?:it|that|this)[\s.!]*$)/i;
+const REFERS_BACK = /\b(?:it|that|this|the\s+last\s+(?:one|reminder)|the\s+(?:one|reminder)\s+I\s+just\s+(?:set|made|added))\b/i;
+const REMINDER_PATTERN = /^(?:please\s+)?(?:remind\s+me|set\s+(?:a\s+|an\s+)?(?:reminder|alarm)|(?:ping|alert|nudge)\s+me)\b/i;
+const TASK_PATTERN = /^(?:please\s+)?(?:(?:add|create|make|new)\s+(?:a\s+|an\s+|another\s+)?(?:task|todo|to-do)\b|(?:task|todo|to-do)\s*(?::|for\b|to\b)|i\s+(?:need|have)\s+to\b)/i;
+const NOTE_PATTERN = /^(?:please\s+)?(?:(?:add|create|make|take)\s+(?:a\s+)?note\b|note(?:\s+that)?\b|remember(?:\s+that)?\b|write\s+down\b|jot\s+down\b|save\s+(?:this|that)\b)\s*:?/i;
+const HISTORY_PATTERN = /^(?:please\s+)?(undo|redo)\b(?:\s+(?:that|it|this|(?:the|my)\s+last\s+(?:one|change|request)))?[\s.!]*$/i;
+const EMAIL_PATTERN = /\b(?:draft|write|compose)\b.*\b(?:email|e-mail|message to)\b/i;
+// "use the status template", "from my follow-up template", "in a formal tone"
+const TEMPLATE_PATTERN = /\b(?:use|using|with|from|fill\s+(?:in|out))\s+(?:the\s+|my\s+|our\s+)?([\w\s'-]+?)\s+template\b/i;
+const TONE_PATTERN = /\b(?:in\s+|with\s+)?(?:a\s+|an\s+|my\s+|the\s+)?([\w-]+)\s+tone\b/i;
+const DRAFT_NOUN = '(?:(?:the|my)\\s+(?:last\\s+|latest\\s+)?(?:draft\\s+)?(?:email|e-mail|draft|message))';
+const REVISE_PATTERN = new RegExp(
+  `^(?:please\\s+)?(?:(?:revise|rewrite|reword|rephrase|shorten|polish|edit|tweak)\\s+(?:it|that|this|${DRAFT_NOUN})|make\\s+${DRAFT_NOUN})\\b`,
+  'i'
+);
+// "make it shorter" only counts as a revision right after the conversation touched a draft
+const FOLLOW_UP_REVISION = /^(?:please\s+)?make\s+(?:it|that|this)\b/i;
+const SEND_PATTERN = /^(?:please\s+)?send\s+(?:it|that|this|(?:the|my)\s+(?:last\s+|latest\s+)?(?:draft\s+)?(?:email|e-mail|draft|message))\b/i;
+// "draft an email … and send it to …" is the one place a send follows other text
+const SEND_SPLIT = /\s*,?\s+(?:and\s+|then\s+)+(?=send\s+(?:it|that|this)\b)/i;
+const EMAIL_ADDRESS = /[^\s,;<>()]+@[^\s,;<>()]+\.[a-z]{2,}/gi;
+
+const SEARCH_PATTERN = /^(?:please\s+)?(?:find|search(?:\s+for)?|look\s+(?:up|for)|where\s+(?:is|are)|where's)\b\s*/i;
+const SEARCH_TYPE = /^(?:(?:all\s+)?(?:my|the)\s+|all\s+)?(notes?|tasks?|to-?dos?|reminders?|drafts?|e-?mails?)\b\s*/i;
+const SEARCH_CONNECTOR = /^(?:about|on|for|mentioning|containing|regarding|that\s+mention|with|tagged)\b\s*/i;
+const HASHTAG = /#([\w-]+)/;
+const DATE_BOUND = /\b(since|from|after|before|until)\s+$/i;
+
+const QUESTION_PATTERN = /^(?:what(?:'s|\s+is|\s+are|\s+do|\s+does)?|which|how\s+many|do\s+i\s+have|have\s+i\s+got|are\s+there|is\s+there|any|list|show(?:\s+me)?|summari[sz]e|give\s+me|tell\s+me)\b/i;
+const QUESTION_TYPES = [
+  [/\b(?:tasks?|to-?dos?)\b/i, 'tasks'],
+  [/\bnotes?\b/i, 'notes'],
+  [/\breminders?\b/i, 'reminders'],
+  [/\b(?:drafts?|e-?mails?)\b/i, 'emailDrafts'],
+];
+const QUESTION_STATUSES = [
+  [/\b(?:open|pending|left|outstanding|unfinished|remaining)\b/i, 'pending'],
+  [/\bin[\s-]progress\b/i, 'in-progress'],
+  [/\b(?:done|completed|finished)\b/i, 'done'],
+  [/\boverdue\b/i, 'overdue'],
+  [/\bsent\b/i, 'sent'],
+  [/\barchived\b/i, 'archived'],
+];
+// "What's on my plate" and friends mean pending tasks and reminders
+const AGENDA_PATTERN = /\b(?:on\s+my\s+plate|agenda|schedule|coming\s+up|to\s+do|due)\b/i;
+const PERIOD_PATTERN = /\b(today|tonight|tomorrow|yesterday|(?:this|next|last|coming)\s+(?:week|weekend|month)|(?:the\s+)?weekend|(?:on\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i;
+const TOPIC_PATTERN = /\b(?:about|regarding|mentioning)\s+(.+?)(?=\s+(?:from|for|this|next|last|today|tomorrow|yesterday)\b|[?.!]*$)/i;
+
+// "for project Apollo", "in project \"Q3 Launch\"", "on the Apollo project". A bare
+// "the project report" names no project.
+const PROJECT_PHRASE = /\b(?:for|in|to|under|on)\s+(?:the\s+)?project\s+(?:"([^"]+)"|([\p{L}\p{N}_'-]+))|\b(?:for|in|on|under)\s+the\s+([\p{L}\p{N}_'-]+)\s+project\b/iu;
+
+// "#work", "@phone": tags and contexts, taken out of the item's text like the model does
+const TEXT_TAG = /(?:^|\s)([#@][\p{L}\p{N}_-]+)/gu;
+
+const HIGH_PRIORITY = /\b(?:urgent(?:ly)?|high[\s-]priority|important|asap)\b/i;
+const LOW_PRIORITY = /\blow[\s-]priority\b/i;
+
+const tidy = (text) =>
+  text
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,:;-]+|[\s,:;.-]+$/g, '')
+    .replace(/^(?:to|about|that|for|of|it)(?:\s+|$)/i, '')
+    .replace(/\s+(?:at|on|in|by|for|from|starting|due)$/i, '')
+    .trim();
+
+const dateKeyOf = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Pulls the first date/time expression out of a clause, read in the user's zone,
+// returning it with the clause text that remains once it is removed.
+const extractTime = (text, { now, zone }) => {
+  const result = parseInZone(text, zone, { now });
+  if (!result) return { result: null, rest: text };
+  const rest = `${text.slice(0, result.index)} ${text.slice(result.index + result.text.length)}`;
+  return { result, rest };
+};
+
+const extractProject = (text) => {
+  const match = PROJECT_PHRASE.exec(text);
+  if (!match) return { project: null, rest: text };
+  const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+  return { project: (match[1] ?? match[2] ?? match[3]).trim(), rest };
+};
+
+const extractTags = (text) => {
+  const tags = [...text.matchAll(TEXT_TAG)].map(([, tag]) => tag.replace(/^#/, '').toLowerCase());
+  return { tags: [...new Set(tags)], rest: text.replace(TEXT_TAG, ' ') };
+};
+
+const extractRecurrence = (text, { now, zone }) => {
+  const parsed = parseRecurrence(text, { now, zone });
+  return parsed ? { recurrence: parsed.rrule, rest: parsed.remainder } : { recurrence: null, rest: text };
+};
+
+// `recent` lists item ids from the conversation, newest first, so "cancel that"
+// resolves to the reminder the last request dealt with.
+const findReminder = (clause, reminders, recent = []) => {
+  const candidates = reminders.filter((r) => r.status === 'scheduled');
+  if (REFERS_BACK.test(clause)) {
+    const id = recent.find((recentId) => candidates.some((r) => r.id === recentId));
+    if (id) return candidates.find((r) => r.id === id);
+  }
+  const idMatch = /\b([0-9a-f]{8})(?:-[0-9a-f-]+)?\b/i.exec(clause);
+  if (idMatch) {
+    const byId = candidates.find((r) => r.id.toLowerCase().startsWith(idMatch[1].toLowerCase()));
+    if (byId) return byId;
+  }
+
+  const words = tidy(clause.replace(/^(?:please\s+)?(?:cancel|delete|remove|clear|drop)\b/i, ''))
+    .toLowerCase()
+    .split(/\W+/)
+    .filter((word) => word.length > 2 && !['the', 'my', 'for', 'about', 'reminder', 'reminders'].includes(word));
+
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach((reminder) => {
+    const message = reminder.message.toLowerCase();
+    const score = words.filter((word) => message.includes(word)).length;
+    if (score > bestScore) {
+      best = reminder;
+      bestScore = score;
+    }
+  });
+  if (best) return best;
+
+  // "cancel my reminder" with a single pending reminder is unambiguous
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+const parseCancel = (clause, { reminders, recent }) => {
+  const reminder = findReminder(clause, reminders, recent);
+  if (!reminder) {
+    throw new Error(`Could not tell which reminder to cancel from "${clause}". Mention its ID or message.`);
+  }
+  return { action: 'cancel_reminder', payload: { reminderId: reminder.id } };
+};
+
+const parseReminder = (clause, options) => {
+  const { project, rest: withoutProject } = extractProject(clause.replace(REMINDER_PATTERN, ' '));
+  const { tags, rest: body } = extractTags(withoutProject);
+  const { recurrence, rest: withoutRecurrence } = extractRecurrence(body, options);
+  const { result, rest } = extractTime(withoutRecurrence, options);
+  if (!result) return null;
+
+  const payload = { message: tidy(rest), dueTime: new Date(result.time).toISOString() };
+  if (recurrence) payload.recurrence = recurrence;
+  if (project) payload.project = project;
+  if (tags.length > 0) payload.tags = tags;
+  return { action: 'schedule_reminder', payload };
+};
+
+const parseTask = (clause, options) => {
+  const { project, rest: withoutProject } = extractProject(clause.replace(TASK_PATTERN, ' '));
+  const { tags, rest: withoutTags } = extractTags(withoutProject);
+  let body = withoutTags;
+  const payload = { priority: 'medium' };
+  if (project) payload.project = project;
+  if (tags.length > 0) payload.tags = tags;
+  if (HIGH_PRIORITY.test(body)) payload.priority = 'high';
+  if (LOW_PRIORITY.test(body)) payload.priority = 'low';
+  body = body.replace(HIGH_PRIORITY, ' ').replace(LOW_PRIORITY, ' ');
+
+  const { recurrence, rest: withoutRecurrence } = extractRecurrence(body, options);
+  if (recurrence) payload.recurrence = recurrence;
+  const { result, rest } = extractTime(withoutRecurrence, options);
+  if (result) {
+    payload.dueDate = dateKeyOf(result.date);
+    body = rest;
+  } else {
+    body = withoutRecurrence;
+  }
+
+  payload.description = tidy(body);
+  if (!payload.description) {
+    throw new Error(`Could not find a task description in "${clause}".`);
+  }
+  return { action: 'add_task', payload };
+};
+
+// "send it" means the draft the conversation last dealt with, otherwise the newest
+// one that has not gone out yet.
+const findDraft = (clause, drafts, recent = []) => {
+  const unsent = drafts.filter(
+    (draft) => draft.status !== 'sent' && draft.status !== 'sending' && !draft.archivedAt
+  );
+  if (REFERS_BACK.test(clause)) {
+    const id = recent.find((recentId) => unsent.some((draft) => draft.id === recentId));
+    if (id) return unsent.find((draft) => draft.id === id);
+  }
+  return unsent[0] ?? null;
+};
+
+// Addresses go to "to" until a "cc" or "bcc" keyword switches the field; a time
+// left over ("tomorrow at 9am") sends it later.
+const parseSend = (clause, { drafts, recent, now, zone, draftInPlan }) => {
+  const payload = {};
+  let field = 'to';
+  const rest = clause
+    .replace(SEND_PATTERN, ' ')
+    .replace(new RegExp(`\\b(b?cc)\\b:?|${EMAIL_ADDRESS.source}`, 'gi'), (match, keyword) => {
+      if (keyword) field = keyword.toLowerCase();
+      else (payload[field] ??= []).push(match);
+      return ' ';
+    });
+
+  const { result } = extractTime(rest, { now, zone });
+  if (result && result.time > now + 60000) {
+    payload.sendAt = new Date(result.time).toISOString();
+  }
+  if (!draftInPlan) {
+    const draft = findDraft(clause, drafts, recent);
+    if (!draft) {
+      throw new Error('There is no unsent email draft to send. Ask for one first, e.g. "draft an email about …".');
+    }
+    payload.draftId = draft.id;
+  }
+  return { action: 'send_email', payload };
+};
+
+const parseRevise = (clause, { drafts, recent }) => {
+  const draft = findDraft(clause, drafts, recent);
+  if (!draft) {
+    throw new Error('There is no unsent email draft to revise.');
+  }
+  return { action: 'revise_email', payload: { draftId: draft.id, instructions: clause.trim() } };
+};
+
+const isRevision = (clause, { drafts, recent }) =>
+  REVISE_PATTERN.test(clause) ||
+  (FOLLOW_UP_REVISION.test(clause) && drafts.some((draft) => draft.id === recent[0]));
+
+// "find my notes about the Q1 roadmap" → type notes, query "the Q1 roadmap".
+// Dates count as a range only after since/from/after or before/until.
+const parseSearch = (clause, { now, zone }) => {
+  let rest = clause.replace(SEARCH_PATTERN, '');
+  const payload = {};
+  chrono
+    .parse(rest, { instant: new Date(now), timezone: zone.offset(now) })
+    .reverse()
+    .forEach((result) => {
+      const bound = DATE_BOUND.exec(rest.slice(0, result.index));
+      if (!bound) return;
+      payload[/before|until/i.test(bound[1]) ? 'to' : 'from'] = dateKeyOf({
+        year: result.start.get('year'),
+        month: result.start.get('month'),
+        day: result.start.get('day'),
+      });
+      rest = `${rest.slice(0, bound.index)} ${rest.slice(result.index + result.text.length)}`;
+    });
+  const { project, rest: withoutProject } = extractProject(rest);
+  if (project) {
+    payload.project = project;
+    rest = withoutProject.trim();
+  }
+  const type = SEARCH_TYPE.exec(rest);
+  if (type) {
+    payload.type = type[1].toLowerCase().replace('-', '');
+    rest = rest.slice(type[0].length);
+  }
+  rest = rest.replace(SEARCH_CONNECTOR, '');
+  const tag = HASHTAG.exec(rest);
+  if (tag) {
+    payload.tag = tag[1];
+    rest = rest.replace(tag[0], ' ');
+  }
+  payload.query = tidy(rest.replace(/[?.!]+$/, ''));
+  return { action: 'search', payload };
+};
+
+// "what's on my plate tomorrow?", "how many tasks are open in project Apollo?",
+// "summarize this week's notes". Returns null unless the question names a type,
+// status, period or project, so remarks that merely start with "what" stay notes.
+const parseQuestion = (text) => {
+  const { project, rest: clause } = extractProject(text);
+  const types = QUESTION_TYPES.filter(([pattern]) => pattern.test(clause)).map(([, type]) => type);
+  const agenda = AGENDA_PATTERN.test(clause);
+  const status = QUESTION_STATUSES.find(([pattern]) => pattern.test(clause))?.[1];
+  const period = PERIOD_PATTERN.exec(clause)?.[1];
+  if (types.length === 0 && !agenda && !status && !period && !project) return null;
+
+  const payload = {};
+  if (project) payload.project = project;
+  if (types.length > 0) payload.type = types.length === 1 ? types[0] : types;
+  else if (agenda) payload.type = ['tasks', 'reminders'];
+  if (status) payload.status = status;
+  else if (agenda) payload.status = 'pending';
+  if (period) payload.when = period.replace(/^on\s+/i, '').toLowerCase();
+  const topic = TOPIC_PATTERN.exec(clause)?.[1];
+  if (topic) payload.query = tidy(topic);
+
+  let action = 'list_items';
+  if (/^how\s+many\b/i.test(clause)) action = 'count_items';
+  else if (/\bsummar(?:y|i[sz]e)\b/i.test(clause)) action = 'summarize_items';
+  return { action, payload };
+};
+
+// Template names are passed through as written and the executor reports ones it
+// cannot find. A tone only counts when it names a saved preset; otherwise it
+// stays part of the instructions.
+const parseDraft = (clause, { tones }) => {
+  const payload = { instructions: clause.trim() };
+  const template = TEMPLATE_PATTERN.exec(clause)?.[1];
+  const tone = TONE_PATTERN.exec(clause)?.[1];
+  if (template) payload.template = template.trim();
+  if (tone && tones.some((preset) => preset.name.toLowerCase() === tone.toLowerCase())) {
+    payload.tone = tone;
+  }
+  return { action: 'draft_email', payload };
+};
+
+const isDraftRequest = (text) => EMAIL_PATTERN.test(text) || TEMPLATE_PATTERN.test(text);
+
+const parseClause = (clause, context) => {
+  if (SEARCH_PATTERN.test(clause)) return parseSearch(clause, context);
+  const question = QUESTION_PATTERN.test(clause) ? parseQuestion(clause) : null;
+  if (question) return question;
+  if (CANCEL_PATTERN.test(clause)) return parseCancel(clause, context);
+  if (isRevision(clause, context)) return parseRevise(clause, context);
+  if (SEND_PATTERN.test(clause)) return parseSend(clause, context);
+  if (isDraftRequest(clause)) return parseDraft(clause, context);
+  if (REMINDER_PATTERN.test(clause)) {
+    const reminder = parseReminder(clause, context);
+    if (reminder) return reminder;
+  }
+  if (TASK_PATTERN.test(clause)) return parseTask(clause, context);
+
+  // Anything else is captured as a note, matching the model's "if unsure" rule
+  const { tags, rest: untagged } = extractTags(clause);
+  const withTags = (payload) => (tags.length > 0 ? { ...payload, tags } : payload);
+  if (!NOTE_PATTERN.test(clause)) {
+    return { action: 'add_note', payload: withTags({ body: untagged.replace(/\s+/g, ' ').trim() || clause.trim() }) };
+  }
+  const { project, rest } = extractProject(untagged.replace(NOTE_PATTERN, ' '));
+  const payload = withTags({ body: tidy(rest) || clause.trim() });
+  if (project) payload.project = project;
+  return { action: 'add_note', payload };
+};
+
+const parseCommand = (
+  text,
+  { reminders = [], drafts = [], tones = [], now = Date.now(), zone = localZone, recent = [] } = {}
+) => {
+  const trimmed = text?.trim();
+  if (!trimmed) {
+    throw new Error('Text is required.');
+  }
+
+  const history = HISTORY_PATTERN.exec(trimmed);
+  if (history) return [{ action: history[1].toLowerCase(), payload: {} }];
+
+  // Email instructions often contain "and", so keep them in one piece
+  const clauses = isDraftRequest(trimmed)
+    ? trimmed.split(SEND_SPLIT)
+    : trimmed.split(CLAUSE_SPLIT).filter((clause) => clause && clause.trim());
+
+  const actions = [];
+  clauses.forEach((clause) => {
+    const draftInPlan = actions.some((entry) => entry.action === 'draft_email');
+    const action = parseClause(clause, { reminders, drafts, tones, now, zone, recent, draftInPlan });
+    if (action.action === 'send_email' && draftInPlan && !action.payload.to) {
+      // "draft an email to bob@example.com … and send it" uses the addresses in the instructions
+      const instructions = actions.findLast((entry) => entry.action === 'draft_email').payload.instructions;
+      const addresses = instructions.match(EMAIL_ADDRESS);
+      if (addresses) action.payload.to = addresses;
+    }
+    if (action.action === 'schedule_reminder' && !action.payload.message) {
+      // "add a task to X and remind me tomorrow": a bare reminder borrows the previous item's wording
+      const previous = actions.at(-1)?.payload;
+      action.payload.message = previous?.description || previous?.body || previous?.message || 'Reminder';
+    }
+    actions.push(action);
+  });
+  return actions;
+};
+
+module.exports = { parseCommand };
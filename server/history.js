@@ -0,0 +1,97 @@
+const { randomUUID } = require('crypto');
+
+// Undo/redo log for agent requests. Each entry groups every item a request
+// changed as { collection, id, before, after, beforeIndex, afterIndex }, where
+// before/after are snapshots of the item (null when it did not exist) and the
+// indexes are its position in the collection. Undo writes the `before` side
+// back, redo the `after` side. The log is kept in memory only.
+
+const diffCollections = (previous, current, collections) =>
+  collections.flatMap((collection) => {
+    const beforeItems = previous[collection] ?? [];
+    const afterItems = current[collection] ?? [];
+    const ids = new Set([...beforeItems, ...afterItems].map((item) => item.id));
+
+    return [...ids].flatMap((id) => {
+      const beforeIndex = beforeItems.findIndex((item) => item.id === id);
+      const afterIndex = afterItems.findIndex((item) => item.id === id);
+      const before = beforeIndex === -1 ? null : beforeItems[beforeIndex];
+      const after = afterIndex === -1 ? null : afterItems[afterIndex];
+      if (JSON.stringify(before) === JSON.stringify(after)) return [];
+      return [{
+        collection,
+        id,
+        before: structuredClone(before),
+        after: structuredClone(after),
+        beforeIndex,
+        afterIndex,
+      }];
+    });
+  });
+
+// Writes one side ('before' or 'after') of the operations into `store`, returning
+// { collection, id, item, previous } per change (null for a missing item) so
+// callers can re-arm timers and notify clients.
+const applySnapshots = (store, operations, side) => {
+  const ordered = side === 'before' ? [...operations].reverse() : operations;
+  return ordered.map((operation) => {
+    const { collection, id } = operation;
+    const snapshot = operation[side];
+    const position = operation[`${side}Index`];
+    const items = store[collection];
+    const index = items.findIndex((item) => item.id === id);
+    const previous = index === -1 ? null : items[index];
+
+    if (!snapshot) {
+      if (previous) items.splice(index, 1);
+      return { collection, id, item: null, previous };
+    }
+    const item = structuredClone(snapshot);
+    if (previous) {
+      items[index] = item;
+    } else {
+      items.splice(Math.min(Math.max(position, 0), items.length), 0, item);
+    }
+    return { collection, id, item, previous };
+  });
+};
+
+const summarize = ({ id, text, actions, createdAt }) => ({ id, text, actions, createdAt });
+
+const createHistory = ({ limit = 50 } = {}) => {
+  const undoStack = [];
+  const redoStack = [];
+
+  // Adds a request to the log. A new request discards anything that was undone.
+  const record = ({ text = null, actions = [], operations }) => {
+    if (operations.length === 0) return null;
+    const entry = { id: randomUUID(), text, actions, operations, createdAt: Date.now() };
+    undoStack.push(entry);
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    return entry;
+  };
+
+  // Moves the newest entry from one stack to the other after `apply` succeeds.
+  const move = (from, to, apply) => {
+    const entry = from.at(-1);
+    if (!entry) return null;
+    apply(entry);
+    to.push(from.pop());
+    return entry;
+  };
+
+  return {
+    record,
+    undo: (apply) => move(undoStack, redoStack, apply),
+    redo: (apply) => move(redoStack, undoStack, apply),
+    peekUndo: () => (undoStack.length ? summarize(undoStack.at(-1)) : null),
+    peekRedo: () => (redoStack.length ? summarize(redoStack.at(-1)) : null),
+    list: () => ({
+      undo: undoStack.map(summarize).reverse(),
+      redo: redoStack.map(summarize).reverse(),
+    }),
+  };
+};
+
+module.exports = { createHistory, diffCollections, applySnapshots };
@@ -0,0 +1,229 @@
+// Minimal iCalendar (RFC 5545) support: enough to publish reminders and tasks as
+// a subscribable feed and to read events and to-dos back from calendar exports.
+// Times are written in UTC and all-day dates as they fall in the user's zone. On
+// import, TZID times are read in the zone they name and floating times in the
+// user's.
+
+const { localZone } = require('./recurrence');
+const { createZone, isValidTimeZone } = require('./timeZones');
+
+const PRODUCT_ID = '-//Productivity Agent//Calendar Feed//EN';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Long lines are folded onto continuation lines starting with a space, without
+// splitting multi-byte characters.
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUtc = (timestamp) =>
+  new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocalDate = (timestamp, zone) => {
+  const { year, month, day } = zone.toParts(timestamp);
+  return `${year}${pad(month)}${pad(day)}`;
+};
+
+const TASK_STATUS = { open: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', done: 'COMPLETED' };
+const TASK_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+const taskStatusFrom = (status) =>
+  Object.keys(TASK_STATUS).find((key) => TASK_STATUS[key] === status) ?? 'open';
+
+// iCalendar priorities run 1 (highest) to 9; 0 means undefined
+const taskPriorityFrom = (priority) => {
+  if (!priority) return 'medium';
+  if (priority < 5) return 'high';
+  return priority > 5 ? 'low' : 'medium';
+};
+
+// A reminder in the middle of a COUNT-limited series only has the remaining
+// occurrences left.
+const remainingRule = (item) => {
+  const rule = item.recurrence?.rule;
+  if (!rule) return null;
+  return rule.replace(/COUNT=(\d+)/i, (_, count) =>
+    `COUNT=${Math.max(Number(count) - (item.occurrence ?? 1) + 1, 1)}`
+  );
+};
+
+const reminderEvent = (reminder, { uidDomain, now }) => {
+  const start = formatUtc(reminder.dueTime);
+  const rule = reminder.status === 'scheduled' ? remainingRule(reminder) : null;
+  return [
+    'BEGIN:VEVENT',
+    `UID:${reminder.icalUid ?? `${reminder.id}@${uidDomain}`}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `CREATED:${formatUtc(reminder.createdAt)}`,
+    `DTSTART:${start}`,
+    `DTEND:${start}`,
+    `SUMMARY:${escapeText(reminder.message)}`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:PT0S',
+    `DESCRIPTION:${escapeText(reminder.message)}`,
+    'END:VALARM',
+    'END:VEVENT',
+  ];
+};
+
+const taskTodo = (task, { uidDomain, now, zone }) => {
+  const rule = task.status !== 'done' ? remainingRule(task) : null;
+  return [
+    'BEGIN:VTODO',
+    `UID:${task.icalUid ?? `${task.id}@${uidDomain}`}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `CREATED:${formatUtc(task.createdAt)}`,
+    `SUMMARY:${escapeText(task.description)}`,
+    `STATUS:${TASK_STATUS[task.status] ?? 'NEEDS-ACTION'}`,
+    `PRIORITY:${TASK_PRIORITY[task.priority] ?? 5}`,
+    ...(task.dueDate ? [`DTSTART;VALUE=DATE:${formatLocalDate(task.dueDate, zone)}`] : []),
+    ...(task.dueDate ? [`DUE;VALUE=DATE:${formatLocalDate(task.dueDate, zone)}`] : []),
+    ...(task.completedAt ? [`COMPLETED:${formatUtc(task.completedAt)}`] : []),
+    ...(rule ? [`RRULE:${rule}`] : []),
+    'END:VTODO',
+  ];
+};
+
+const formatCalendar = ({
+  reminders = [],
+  tasks = [],
+  name = 'Productivity Agent',
+  uidDomain = 'productivity-agent',
+  now = Date.now(),
+  zone = localZone,
+}) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...reminders.flatMap((reminder) => reminderEvent(reminder, { uidDomain, now })),
+    ...tasks.flatMap((task) => taskTodo(task, { uidDomain, now, zone })),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n')
+    .concat('\r\n');
+
+// "NAME;PARAM=x;PARAM2="y":value" → { name, params, value }
+const parseContentLine = (line) => {
+  let index = 0;
+  let inQuotes = false;
+  while (index < line.length) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) break;
+    index += 1;
+  }
+  const [name, ...rawParams] = line.slice(0, index).split(';');
+  const params = Object.fromEntries(
+    rawParams.map((param) => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+// Reads DATE and DATE-TIME values. Date-only values become midnight in `zone`
+// and are flagged so callers can treat them as all-day.
+const parseDateValue = ({ params, value }, zone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`Invalid date value: ${value}`);
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const dateOnly = params.VALUE === 'DATE' || hour === undefined;
+  const fields = [year, month, day, hour ?? 0, minute ?? 0, second ?? 0].map(Number);
+  if (utc) return { time: Date.UTC(fields[0], fields[1] - 1, ...fields.slice(2)), dateOnly };
+  const [y, m, d, h, min, sec] = fields;
+  const local = !dateOnly && isValidTimeZone(params.TZID) ? createZone(params.TZID) : zone;
+  return { time: local.fromParts({ year: y, month: m, day: d, hour: h, minute: min, second: sec }), dateOnly };
+};
+
+const unfold = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+// Returns { events: [...], todos: [...] } with the properties this app uses.
+// Components other than VEVENT/VTODO (VTIMEZONE, VALARM, ...) are skipped.
+const parseCalendar = (text, { zone = localZone } = {}) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file: expected BEGIN:VCALENDAR.');
+  }
+  const events = [];
+  const todos = [];
+  const stack = [];
+  let current = null;
+
+  unfold(text)
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      const property = parseContentLine(line);
+      if (property.name === 'BEGIN') {
+        stack.push(property.value.toUpperCase());
+        if (stack.length === 2 && ['VEVENT', 'VTODO'].includes(stack[1])) {
+          current = { type: stack[1], properties: {} };
+        }
+        return;
+      }
+      if (property.name === 'END') {
+        if (stack.length === 2 && current) {
+          (current.type === 'VEVENT' ? events : todos).push(current.properties);
+          current = null;
+        }
+        stack.pop();
+        return;
+      }
+      // Only top-level properties of the component; nested VALARMs are ignored
+      if (current && stack.length === 2) current.properties[property.name] ??= property;
+    });
+
+  const textOf = (properties, name) => (properties[name] ? unescapeText(properties[name].value) : null);
+  const dateOf = (properties, name) => (properties[name] ? parseDateValue(properties[name], zone) : null);
+
+  return {
+    events: events.map((properties) => ({
+      uid: textOf(properties, 'UID'),
+      summary: textOf(properties, 'SUMMARY'),
+      start: dateOf(properties, 'DTSTART'),
+      rrule: properties.RRULE?.value ?? null,
+      status: properties.STATUS?.value.toUpperCase() ?? null,
+    })),
+    todos: todos.map((properties) => ({
+      uid: textOf(properties, 'UID'),
+      summary: textOf(properties, 'SUMMARY'),
+      due: dateOf(properties, 'DUE') ?? dateOf(properties, 'DTSTART'),
+      rrule: properties.RRULE?.value ?? null,
+      status: taskStatusFrom(properties.STATUS?.value.toUpperCase()),
+      priority: taskPriorityFrom(Number(properties.PRIORITY?.value)),
+      completed: dateOf(properties, 'COMPLETED'),
+    })),
+  };
+};
+
+module.exports = { formatCalendar, parseCalendar, remainingRule };
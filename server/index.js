@@ -1,64 +1,337 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { OpenAI } = require('openai');
-const chrono = require('chrono-node');
 const { randomUUID } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('./storage');
+const { httpError, notFound } = require('./errors');
+const { createAccounts } = require('./accounts');
+const { createScheduler } = require('./scheduler');
+const { createHistory, diffCollections, applySnapshots } = require('./history');
+const { createConversationMemory, buildContext, referencedIds } = require('./conversation');
+const { parseCommand } = require('./fallbackParser');
+const { getProvider } = require('./llm');
+const { streamJsonField } = require('./llm/jsonField');
+const { validateAction } = require('./actionSchema');
+const { parseRecurrence, parseRule, formatRule, nextOccurrence } = require('./recurrence');
+const { formatCalendar, parseCalendar, remainingRule } = require('./ical');
+const { createMailer, isTransientError } = require('./mailer');
+const webhooks = require('./webhooks');
+const { rateLimit } = require('./rateLimiter');
+const { createUsageLedger } = require('./usage');
+const { diffText } = require('./textDiff');
+const { createSearchIndex, highlightRanges, queryTerms } = require('./searchIndex');
+const {
+  SERVER_TIME_ZONE,
+  isValidTimeZone,
+  createZone,
+  startOfDay,
+  endOfDay,
+  addDays,
+  dateKey,
+  parseInZone,
+} = require('./timeZones');
+const {
+  BUILT_IN_TEMPLATES,
+  BUILT_IN_TONES,
+  STORE_PLACEHOLDERS,
+  placeholdersOf,
+  fillTemplate,
+  workspaceValues,
+  findByReference,
+  appendSignature,
+  removeSignature,
+} = require('./emailTemplates');
 
 dotenv.config();
 
-const { OPENAI_API_KEY } = process.env;
+// "auto" uses the configured model when it is available and answering, otherwise
+// the local rule-based parser; "model" and "rules" pin one of them.
+const AGENT_PARSER = process.env.AGENT_PARSER === 'openai' ? 'model' : process.env.AGENT_PARSER || 'auto';
 
-if (!OPENAI_API_KEY) {
-  console.warn('OPENAI_API_KEY is not set. Agent requests will fail.');
+if (!['auto', 'model', 'rules'].includes(AGENT_PARSER)) {
+  throw new Error(`Unknown AGENT_PARSER: ${AGENT_PARSER}. Use "auto", "model" or "rules".`);
+}
+
+if (!getProvider('agent').isConfigured) {
+  console.warn(
+    AGENT_PARSER === 'model'
+      ? 'No LLM is configured for the agent (set OPENAI_API_KEY or AGENT_LLM_PROVIDER). Agent requests will fail.'
+      : 'No LLM is configured for the agent (set OPENAI_API_KEY or AGENT_LLM_PROVIDER). Agent requests will use the rule-based parser.'
+  );
+}
+if (!getProvider('email').isConfigured) {
+  console.warn('No LLM is configured for email drafting. Set OPENAI_API_KEY or EMAIL_LLM_PROVIDER.');
+}
+
+const mailer = createMailer();
+if (!mailer.isConfigured) {
+  console.warn('No SMTP server is configured, so email drafts cannot be sent. Set SMTP_HOST.');
 }
 
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 const PORT = process.env.PORT || 4000;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// Rough token budget for the tasks, notes, reminders, drafts and recent
+// conversation sent along with each agent request.
+const AGENT_CONTEXT_TOKENS = Number(process.env.AGENT_CONTEXT_TOKENS) || 3000;
+// Limits that may be switched off with 0 read the variable as it is
+const envLimit = (name, fallback) => (process.env[name] === undefined ? fallback : Number(process.env[name]));
+// Caps on what clients may send: JSON bodies, any one text field, and requests or
+// instructions that are passed on to the model
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+const MAX_TEXT_LENGTH = 20000;
+const MAX_PROMPT_LENGTH = Number(process.env.MAX_PROMPT_LENGTH) || 2000;
+// Requests per minute from one address, to the login and register routes from
+// one address, and to routes that call the model from one user
+const RATE_LIMIT = envLimit('RATE_LIMIT', 300);
+const AUTH_RATE_LIMIT = envLimit('AUTH_RATE_LIMIT', 10);
+const LLM_RATE_LIMIT = envLimit('LLM_RATE_LIMIT', 20);
+// Daily LLM token budgets for the whole server and for each user; 0 means none
+const LLM_DAILY_TOKEN_BUDGET = envLimit('LLM_DAILY_TOKEN_BUDGET', 0);
+const LLM_USER_DAILY_TOKEN_BUDGET = envLimit('LLM_USER_DAILY_TOKEN_BUDGET', 0);
+// Comma-separated origins browsers may call the API from; unset allows any
+const CORS_ORIGINS = process.env.CORS_ORIGINS?.split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+// The first account can always be registered; further sign-ups need
+// ALLOW_REGISTRATION=true, so a reachable server is not open to anyone
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'json',
+  filePath: process.env.STORAGE_PATH,
+});
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the
+// client's address, which the per-address rate limits rely on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors(CORS_ORIGINS?.length ? { origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS } : undefined));
+app.use(
+  rateLimit({ limit: RATE_LIMIT, keyOf: (req) => req.ip, message: 'Too many requests from this address.' })
+);
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Projects sit with the items so undo also removes ones the agent created on the way
+const COLLECTIONS = ['tasks', 'notes', 'reminders', 'emailDrafts', 'projects'];
+// Items that carry tags and can belong to a project
+const ORGANIZED_COLLECTIONS = ['tasks', 'notes', 'reminders'];
+// Email templates, tone presets and the signature are set up by hand and stay
+// out of undo history, so they live beside the collections above, as do the
+// user's settings. A null time zone means the server's own.
+const EMAIL_SETUP_COLLECTIONS = ['emailTemplates', 'tonePresets'];
+const WEBHOOK_COLLECTIONS = ['webhooks', 'webhookDeliveries'];
+const emptyStore = () => ({
+  ...Object.fromEntries(
+    [...COLLECTIONS, ...EMAIL_SETUP_COLLECTIONS, ...WEBHOOK_COLLECTIONS].map((key) => [key, []])
+  ),
+  emailSettings: { signature: '', defaultTone: null },
+  settings: { timeZone: null },
+});
+
+const TASK_STATUSES = ['open', 'in-progress', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_SNOOZE = 'in 10 minutes';
+// Temporary SMTP failures are retried after 1, 2, 4... minutes
+const EMAIL_SEND_ATTEMPTS = Number(process.env.EMAIL_SEND_ATTEMPTS) || 3;
+const EMAIL_RETRY_DELAY = 60 * 1000;
+// Item lifecycle events webhooks can subscribe to, singly, by prefix
+// ("reminder_*") or all at once ("*"). Failed deliveries are retried after
+// 30 seconds, then 1, 2, 4... minutes.
+const WEBHOOK_EVENTS = [
+  'reminder_created',
+  'reminder_updated',
+  'reminder_due',
+  'reminder_overdue',
+  'reminder_snoozed',
+  'reminder_acknowledged',
+  'reminder_deleted',
+  'task_created',
+  'task_updated',
+  'task_completed',
+  'task_deleted',
+  'note_created',
+  'note_updated',
+  'note_deleted',
+  'email_draft_created',
+  'email_draft_sent',
+  'email_draft_failed',
+  'email_draft_deleted',
+];
+const WEBHOOK_ATTEMPTS = Number(process.env.WEBHOOK_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_DELAY = Number(process.env.WEBHOOK_RETRY_DELAY) || 30 * 1000;
+// Off by default: webhooks to localhost or private networks could reach internal services
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+// Finished deliveries beyond this many are dropped from the log, oldest first
+const WEBHOOK_LOG_LIMIT = 200;
+
+const scheduler = createScheduler();
+
+// Every user has a workspace holding their store, undo history and SSE clients.
+// Authenticated requests run inside their user's workspace (see requireAuth), so
+// the helpers below reach the right data through userStore() without passing a
+// user around; timer callbacks re-enter the workspace they were scheduled from.
+const workspaces = new Map();
+const workspaceContext = new AsyncLocalStorage();
+
+const getWorkspace = (userId) => {
+  if (!workspaces.has(userId)) {
+    workspaces.set(userId, {
+      userId,
+      store: emptyStore(),
+      history: createHistory(),
+      conversations: createConversationMemory(),
+      searchIndex: createSearchIndex(),
+      clients: new Set(),
+    });
+  }
+  return workspaces.get(userId);
+};
+
+const currentWorkspace = () => {
+  const workspace = workspaceContext.getStore();
+  if (!workspace) throw new Error('No user workspace is active.');
+  return workspace;
+};
+
+const inWorkspace = (workspace, fn) => workspaceContext.run(workspace, fn);
+const userStore = () => currentWorkspace().store;
+const userHistory = () => currentWorkspace().history;
+const userConversations = () => currentWorkspace().conversations;
+const userTimeZone = () => userStore().settings.timeZone ?? SERVER_TIME_ZONE;
+// Dates are parsed, bucketed into days and repeated in the user's time zone
+const userZone = () => createZone(userTimeZone());
+
+// Data saved before accounts existed. The first account registered claims it.
+let unclaimedStore = null;
+
+// Set while an agent plan is being applied: saves are deferred and events are
+// held back until the whole plan has succeeded (see runAtomically).
+let transaction = null;
+
+const persistStore = () => {
+  if (transaction) return;
+  try {
+    storage.save({
+      ...accounts.toJSON(),
+      ...usageLedger.toJSON(),
+      workspaces: Object.fromEntries([...workspaces].map(([userId, { store }]) => [userId, store])),
+      unclaimed: unclaimedStore,
+    });
+  } catch (error) {
+    console.error('Failed to persist store:', error);
+  }
+};
+
+let accounts = createAccounts({}, { onChange: persistStore });
+
+const serverZone = createZone(SERVER_TIME_ZONE);
+const createUsage = (saved) =>
+  createUsageLedger(saved, {
+    dayOf: (timestamp) => dateKey(timestamp, serverZone),
+    dailyBudget: LLM_DAILY_TOKEN_BUDGET,
+    userDailyBudget: LLM_USER_DAILY_TOKEN_BUDGET,
+    onChange: persistStore,
+  });
+let usageLedger = createUsage();
 
-const store = {
-  tasks: [],
-  notes: [],
-  reminders: [],
-  emailDrafts: [],
+// Every model call goes through here, so it is held to the token budgets and its
+// usage is counted for the current user.
+const complete = async (operation, request) => {
+  const { userId } = currentWorkspace();
+  usageLedger.checkBudget(userId);
+  const result = await getProvider(operation).complete(request);
+  usageLedger.record(userId, operation, result.usage);
+  return result;
 };
 
-const reminderTimers = new Map();
-const sseClients = new Set();
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const startEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.locals.eventStream = true;
+};
 
 const broadcast = (event, data) => {
-  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-  sseClients.forEach((client) => client.write(payload));
+  if (transaction) {
+    transaction.events.push([event, data]);
+    return;
+  }
+  const payload = formatEvent(event, data);
+  currentWorkspace().clients.forEach((client) => client.write(payload));
+  dispatchWebhooks(event, data);
 };
 
-const cancelReminderTimer = (id) => {
-  const timer = reminderTimers.get(id);
-  if (timer) {
-    clearTimeout(timer);
-    reminderTimers.delete(id);
+const requireText = (value, field, maxLength = MAX_TEXT_LENGTH) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw httpError(400, `${field} must be a non-empty string.`);
+  }
+  if (value.trim().length > maxLength) {
+    throw httpError(400, `${field} must be at most ${maxLength} characters.`);
   }
+  return value.trim();
+};
+
+// Text the model reads is held to a tighter limit than stored text
+const requirePrompt = (value, field) => requireText(value, field, MAX_PROMPT_LENGTH);
+
+const requireTime = (value, field) =>
+  Number.isFinite(value) ? value : requireText(value, field);
+
+const requireOneOf = (value, allowed, field) => {
+  if (!allowed.includes(value)) {
+    throw httpError(400, `${field} must be one of: ${allowed.join(', ')}.`);
+  }
+  return value;
+};
+
+const reminderJobId = (id) => `reminder:${id}`;
+
+const cancelReminderTimer = (id) => {
+  scheduler.cancel(reminderJobId(id));
+};
+
+// Marks a reminder as fired ('due', or 'overdue' when it came due while the server
+// was down) and queues the next occurrence of recurring reminders.
+const fireReminder = (reminder, status = 'due') => {
+  reminder.status = status;
+  scheduleNextOccurrence(reminder);
+  persistStore();
+  broadcast(`reminder_${status}`, reminder);
 };
 
 const scheduleReminder = (reminder) => {
   cancelReminderTimer(reminder.id);
   const delay = reminder.dueTime - Date.now();
   if (delay <= 0) {
-    reminder.status = 'due';
-    broadcast('reminder_due', reminder);
+    fireReminder(reminder);
     return;
   }
-  const timer = setTimeout(() => {
-    reminder.status = 'due';
-    broadcast('reminder_due', reminder);
-    reminderTimers.delete(reminder.id);
-  }, delay);
+  const workspace = currentWorkspace();
+  scheduler.schedule(reminderJobId(reminder.id), reminder.dueTime, () =>
+    inWorkspace(workspace, () => fireReminder(reminder))
+  );
+};
 
-  reminderTimers.set(reminder.id, timer);
+const emailJobId = (id) => `email:${id}`;
+
+const cancelEmailJob = (id) => {
+  scheduler.cancel(emailJobId(id));
+};
+
+// Queues a draft for delivery at its sendAt, or straight away. The SMTP exchange
+// always happens after the current request has finished.
+const scheduleEmailSend = (draft) => {
+  const workspace = currentWorkspace();
+  scheduler.schedule(emailJobId(draft.id), draft.sendAt ?? Date.now(), () =>
+    inWorkspace(workspace, () => deliverEmail(draft.id))
+  );
 };
 
 const systemPrompt = `
@@ -66,7 +339,7 @@ You are an AI productivity orchestrator. Always respond with strict JSON using t
 {
   "actions": [
     {
-      "action": "add_task" | "add_note" | "schedule_reminder" | "update_reminder" | "cancel_reminder" | "draft_email",
+      "action": "add_task" | "complete_task" | "update_task" | "delete_task" | "add_note" | "schedule_reminder" | "update_reminder" | "cancel_reminder" | "skip_occurrence" | "stop_recurrence" | "snooze_reminder" | "acknowledge_reminder" | "draft_email" | "revise_email" | "send_email" | "search" | "list_items" | "count_items" | "summarize_items" | "undo" | "redo",
       "payload": {}
     }
   ]
@@ -77,15 +350,29 @@ For example, "task for taking out trash and remind me tomorrow" returns TWO acti
 
 Rules:
 - If user wants to remember something without a schedule, produce add_note with "body".
-- For todos, use add_task with "description" and optional "dueDate" (for tasks scheduled on future days, use natural language like "December 25" or "next Monday", or ISO 8601 date format YYYY-MM-DD).
+- For todos, use add_task with "description" and optional "dueDate" (for tasks scheduled on future days, use natural language like "December 25" or "next Monday", or ISO 8601 date format YYYY-MM-DD) and optional "priority" ("low" | "medium" | "high").
+- When the user finished a task ("I did…", "mark … done", "check off …"), use complete_task with "taskId".
+- To change an existing task, use update_task with "taskId" and any of "description", "dueDate", "priority", or "status" ("open" | "in-progress" | "done").
+- To remove a task entirely, use delete_task with "taskId".
 - For new reminders, use schedule_reminder with "message" and "dueTime".
-- For dueTime: Use natural language relative time descriptions (e.g., "in 1 minute", "in 2 hours", "tomorrow at 8am", "next Monday at 9:00") OR ISO 8601 format (YYYY-MM-DDTHH:MM:SS). The system will parse these automatically.
+- For dueTime: Use natural language relative time descriptions (e.g., "in 1 minute", "in 2 hours", "tomorrow at 8am", "next Monday at 9:00") OR ISO 8601 format (YYYY-MM-DDTHH:MM:SS). The system will parse these automatically in the user's time zone; keep any zone the user names ("9am Pacific") in the text.
 - To change an existing reminder, use update_reminder with "reminderId" and optional "message" and/or "dueTime".
+- For repeating reminders or tasks ("every weekday at 9am", "every other Monday", "on the 1st of every month"), add "recurrence" to schedule_reminder or add_task. Use an RRULE such as "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" (optionally with INTERVAL, BYMONTHDAY, COUNT or UNTIL) or the user's own phrase like "every weekday". "dueTime"/"dueDate" is still required and should be the first occurrence (e.g. "next weekday at 9am").
+- Reminders with status "due" or "overdue" have fired and are waiting on the user. To push one back ("snooze it 10 minutes", "remind me again tomorrow morning"), use snooze_reminder with "reminderId" and "until" (e.g. "in 10 minutes", "tomorrow at 9am"). When the user says they handled it ("done", "got it", "dismiss"), use acknowledge_reminder with "reminderId".
+- To skip just the next occurrence of a repeating item, use skip_occurrence with "reminderId" or "taskId". To stop a repeating item for good, use stop_recurrence with "reminderId" or "taskId".
 - To remove, use cancel_reminder with "reminderId".
-- Never make up reminder IDs. Only reference IDs from the provided reminder list.
+- Never make up IDs. Only reference IDs from the provided reminders, tasks, notes, email drafts and recent conversation.
 - For relative times like "in a minute" or "in 5 minutes", use the exact relative description.
-- If unsure, capture info as add_note.
+- If unsure, capture info as add_note, but never record a question as a note.
+- Use the recent conversation to resolve references such as "it", "that", "the last reminder" or "make that 3pm": they mean items from the most recent requests, and you must use those items' IDs. If nothing in the conversation or the lists matches, do not guess an ID.
+- Tasks, notes and reminders can be organized. When the user files an item under a project ("add a task for project Apollo to…", "note for the Apollo project: …"), add "project" with the project's name to add_task, add_note or schedule_reminder; use an existing project's name when one matches, and new names start a new project. For tags ("#work", "tag it urgent") and contexts ("@phone", "@home"), add "tags" as a list such as ["work", "@phone"] and leave them out of the description, body or message. update_task and update_reminder accept "tags" (the full new list) and "project" (null to take the item out of its project) too.
+- To find existing items ("find my notes about the Q1 roadmap", "where's the email to Dana?"), use search with "query" (only the topic words, e.g. "Q1 roadmap") and optional "type" ("tasks" | "notes" | "reminders" | "emailDrafts"), "status", "tag" (a tag without #, or a context like "@phone"), "project" (a project name), "from" and "to" (dates such as "last Monday" or YYYY-MM-DD). Search changes nothing.
+- Questions about existing items ("what's on my plate tomorrow?", "how many tasks are still open?", "summarize this week's notes") are read-only: use list_items, count_items or summarize_items with any of "type" (one or a list of "tasks" | "notes" | "reminders" | "emailDrafts"), "status" (a status, or "pending" for anything not finished yet), "when" (a period such as "today", "tomorrow", "this week", "next month" or a single day like "Friday"), "from"/"to", "query", "tag" and "project". "What's on my plate" means pending tasks and reminders. Answer questions only with these actions.
+- When the user wants to take back their previous request ("undo that", "never mind, revert it"), use undo with an empty payload; "redo" re-applies the last undone request. Return undo or redo as the only action.
 - When the user wants an email drafted (they'll usually mention "email", "write to", "send a message", etc.), use draft_email with payload { "instructions": "<their request>" }. Keep all other actions focused on tasks/notes/reminders.
+- To start a draft from a saved email template ("use the status template"), add "template" with the template's id from the email templates list to draft_email, plus "values" for placeholders the user mentioned (e.g. { "recipient": "Dana", "meeting": "Tuesday's planning call" }). Placeholders about tasks, notes and reminders are filled in automatically. For a saved tone ("in my formal tone"), add "tone" with the tone preset's name.
+- To rework an existing draft ("make it shorter", "more formal", "mention the deadline"), use revise_email with "draftId" and "instructions" describing the change. "it" usually means the draft from the recent conversation.
+- Only when the user explicitly asks to send an email ("send it to alice@example.com"), use send_email with "draftId" and "to" (a list of addresses), plus optional "cc", "bcc" and "sendAt" to send later (e.g. "tomorrow at 9am"). "it" usually means the draft from the recent conversation. If the same request drafts the email, put send_email after draft_email and leave out "draftId". "to" may be left out when the draft already has recipients.
 `.trim();
 
 const emailDraftPrompt = `
@@ -102,8 +389,20 @@ Rules:
 - Never include markdown or HTML. Plain text only.
 `.trim();
 
+const emailRevisionPrompt = `
+You are an expert email editor. Revise the email you are given according to the user's instructions, keeping anything they did not ask to change.
+Always respond with strict JSON using this schema:
+{
+  "subject": "Subject line here",
+  "body": "Full email body here with paragraphs separated by blank lines"
+}
+
+Rules:
+- Never include markdown or HTML. Plain text only.
+`.trim();
+
 const extractJsonObject = (raw) => {
-  if (!raw) throw new Error('OpenAI returned empty response.');
+  if (!raw) throw new Error('Model returned empty response.');
   const firstBrace = raw.indexOf('{');
   const lastBrace = raw.lastIndexOf('}');
   if (firstBrace === -1 || lastBrace === -1) {
@@ -134,280 +433,3092 @@ const parseEmailDraft = (raw) => {
   return { subject: data.subject.trim(), body: data.body.trim() };
 };
 
-const interpretCommand = async (text) => {
-  if (!openai) {
-    throw new Error('OpenAI client is unavailable. Set OPENAI_API_KEY.');
+const toDateKey = (timestamp) => (timestamp ? dateKey(timestamp, userZone()) : null);
+
+// Tags and project name, left out when empty to save context space
+const organizationContext = ({ tags, projectId }) => ({
+  ...(tags?.length > 0 && { tags }),
+  ...(projectId && { project: userStore().projects.find((project) => project.id === projectId)?.name }),
+});
+
+// Everything the model may need to resolve references, most relevant first within
+// each collection: pending reminders and open tasks ahead of finished ones, and
+// newest notes and drafts first.
+const contextCollections = () => {
+  const { tasks, notes, reminders, emailDrafts } = userStore();
+  const byPending = (isPending) => (a, b) => Number(isPending(b)) - Number(isPending(a));
+  return {
+    reminders: [...reminders]
+      .sort(byPending((reminder) => reminder.status !== 'acknowledged'))
+      .map((reminder) => ({
+        id: reminder.id,
+        message: reminder.message,
+        dueTime: new Date(reminder.dueTime).toISOString(),
+        status: reminder.status,
+        repeats: reminder.recurrence?.description ?? null,
+        ...organizationContext(reminder),
+      })),
+    tasks: [...tasks]
+      .sort(byPending((task) => task.status !== 'done'))
+      .map((task) => ({
+        id: task.id,
+        description: task.description,
+        status: task.status,
+        priority: task.priority,
+        dueDate: toDateKey(task.dueDate),
+        repeats: task.recurrence?.description ?? null,
+        ...organizationContext(task),
+      })),
+    notes: [...notes].reverse().map((note) => ({
+      id: note.id,
+      body: note.body,
+      createdAt: toDateKey(note.createdAt),
+      ...organizationContext(note),
+    })),
+    emailDrafts: [...emailDrafts]
+      .sort(byPending((draft) => !draft.archivedAt))
+      .map((draft) => ({
+        id: draft.id,
+        subject: draft.subject,
+        to: draft.to,
+        status: draft.archivedAt ? 'archived' : draft.status,
+        createdAt: toDateKey(draft.createdAt),
+      })),
+  };
+};
+
+// Search covers the text of every item. `type` accepts collection names and the
+// singular words people use for them.
+const SEARCH_TYPES = {
+  tasks: 'tasks',
+  task: 'tasks',
+  todo: 'tasks',
+  todos: 'tasks',
+  notes: 'notes',
+  note: 'notes',
+  reminders: 'reminders',
+  reminder: 'reminders',
+  emailDrafts: 'emailDrafts',
+  drafts: 'emailDrafts',
+  draft: 'emailDrafts',
+  emails: 'emailDrafts',
+  email: 'emailDrafts',
+};
+const SEARCH_FIELDS = {
+  tasks: { fields: ['description'], weights: {} },
+  notes: { fields: ['body'], weights: {} },
+  reminders: { fields: ['message'], weights: {} },
+  emailDrafts: { fields: ['subject', 'body', 'to'], weights: { subject: 2 } },
+};
+const SEARCH_LIMIT = 50;
+const SNIPPET_RADIUS = 80;
+const HASHTAG = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Recipient lists are searched as one comma-separated string
+const fieldText = (item, field) => [].concat(item[field] ?? '').join(', ');
+
+const searchStatus = (collection, item) => {
+  if (collection === 'emailDrafts' && item.archivedAt) return 'archived';
+  return item.status ?? null;
+};
+
+// "pending" means anything still waiting on the user; notes never are
+const PENDING = {
+  tasks: (task) => task.status !== 'done',
+  notes: () => false,
+  reminders: (reminder) => reminder.status !== 'acknowledged',
+  emailDrafts: (draft) => !draft.archivedAt && draft.status !== 'sent',
+};
+
+const matchesStatus = (collection, item, status) =>
+  status === 'pending' ? PENDING[collection](item) : searchStatus(collection, item) === status;
+
+// The date range filter uses a reminder's due time, a task's due date (or when it
+// was added) and when a note or draft was written.
+const searchDate = (collection, item) => {
+  if (collection === 'reminders') return item.dueTime;
+  if (collection === 'tasks') return item.dueDate ?? item.createdAt;
+  return item.createdAt;
+};
+
+const hashtagsOf = (collection, item) => [
+  ...new Set(
+    SEARCH_FIELDS[collection].fields.flatMap((field) =>
+      [...fieldText(item, field).matchAll(HASHTAG)].map(([, tag]) => tag.toLowerCase())
+    )
+  ),
+];
+
+// Drafts have no tags of their own, only hashtags in their text
+const tagsOf = (collection, item) => item.tags ?? hashtagsOf(collection, item);
+
+const parseSearchTypes = (type) => {
+  if (type === undefined || type === null || type === '') return Object.keys(SEARCH_FIELDS);
+  const names = Array.isArray(type) ? type : String(type).split(',');
+  return [
+    ...new Set(
+      names.map((name) => {
+        const collection = SEARCH_TYPES[String(name).trim()] ?? SEARCH_TYPES[String(name).trim().toLowerCase()];
+        if (!collection) {
+          throw httpError(400, `type must be one of: ${Object.keys(SEARCH_FIELDS).join(', ')}.`);
+        }
+        return collection;
+      })
+    ),
+  ];
+};
+
+// Dates bounding a search: timestamps, or dates and phrases like "last Monday"
+// read as the past. A day without a time covers the whole day.
+const parseSearchDate = (value, field, { end = false } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Number.isFinite(value)) return value;
+  const zone = userZone();
+  const result = parseInZone(value, zone, { forwardDate: false });
+  if (!result) {
+    const parsed = new Date(value).getTime();
+    if (Number.isNaN(parsed)) throw httpError(400, `${field} is not a date: ${value}`);
+    return parsed;
+  }
+  if (result.hasTime) return result.time;
+  return end ? endOfDay(result.time, zone) : startOfDay(result.time, zone);
+};
+
+// A named period as [start, end]: "today", "tomorrow", "yesterday", "this week",
+// "next month", "the weekend", or any single day such as "Friday" (looking ahead).
+const parsePeriod = (phrase, now = Date.now()) => {
+  const text = String(phrase).trim().toLowerCase().replace(/^(?:on|for|in|during|over)\s+/, '').replace(/^the\s+/, '');
+  const zone = userZone();
+  const today = startOfDay(now, zone);
+  const days = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 };
+  if (text in days) {
+    const day = addDays(today, days[text], zone);
+    return [day, endOfDay(day, zone)];
+  }
+  const relative = /^(?:(this|next|last|coming)\s+)?(week|weekend|month)$/.exec(text);
+  if (relative) {
+    const offset = { this: 0, coming: 1, next: 1, last: -1 }[relative[1] ?? 'this'];
+    if (relative[2] === 'month') {
+      const { year, month } = zone.toParts(today);
+      const start = zone.fromParts({ year, month: month + offset, day: 1 });
+      return [start, zone.fromParts({ year, month: month + offset + 1, day: 1 }) - 1];
+    }
+    const { year, month, day } = zone.toParts(today);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const monday = addDays(today, -((weekday + 6) % 7) + 7 * offset, zone);
+    return relative[2] === 'week'
+      ? [monday, endOfDay(addDays(monday, 6, zone), zone)]
+      : [addDays(monday, 5, zone), endOfDay(addDays(monday, 6, zone), zone)];
   }
+  const result = parseInZone(text, zone, { now });
+  if (!result) throw httpError(400, `when is not a period: ${phrase}`);
+  return [startOfDay(result.time, zone), endOfDay(result.time, zone)];
+};
 
-  const reminderContext = store.reminders.map((reminder) => ({
-    id: reminder.id,
-    message: reminder.message,
-    dueTime: new Date(reminder.dueTime).toISOString(),
-    status: reminder.status,
-  }));
+// Cuts long text down to the part around the first match, moving the highlight
+// ranges along with it.
+const snippetOf = (text, ranges) => {
+  if (text.length <= SNIPPET_RADIUS * 2) return { text, highlights: ranges };
+  const center = ranges[0]?.[0] ?? 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+  };
+};
+
+// Runs a search in the current workspace. `when` names a period and is overridden
+// by explicit `from`/`to` dates. Without query words the filtered items are listed
+// in date order: ascending when a range is given (an agenda), newest first
+// otherwise. Returns { query, filters, total, results } where each result carries
+// its fields as { text, highlights: [[start, end], ...] }.
+const searchWorkspace = ({ query = '', type, status, tag, project, when, from, to, limit = SEARCH_LIMIT } = {}) => {
+  const store = userStore();
+  const collections = parseSearchTypes(type);
+  const period = when ? parsePeriod(when) : null;
+  const since = parseSearchDate(from, 'from') ?? period?.[0] ?? null;
+  const until = parseSearchDate(to, 'to', { end: true }) ?? period?.[1] ?? null;
+  const direction = since !== null || until !== null ? 1 : -1;
+  const { tag: wantedTag, projectId } = organizationFilter({ tag, project });
+  const max = Math.min(Math.max(Number(limit) || SEARCH_LIMIT, 1), 200);
+
+  const { searchIndex } = currentWorkspace();
+  searchIndex.sync(
+    Object.entries(SEARCH_FIELDS).flatMap(([collection, { fields, weights }]) =>
+      store[collection].map((item) => ({
+        key: `${collection}:${item.id}`,
+        fields: Object.fromEntries(fields.map((field) => [field, fieldText(item, field)])),
+        weights,
+      }))
+    )
+  );
+
+  const itemFor = (key) => {
+    const [collection, id] = key.split(/:(.*)/s);
+    return { collection, item: store[collection]?.find((entry) => entry.id === id) };
+  };
+  const hits = queryTerms(query).length > 0
+    ? searchIndex.search(query).map(({ key, score, terms }) => ({ ...itemFor(key), score, terms }))
+    : collections
+        .flatMap((collection) => store[collection].map((item) => ({ collection, item, score: 0, terms: new Set() })))
+        .sort((a, b) =>
+          direction * ((searchDate(a.collection, a.item) ?? 0) - (searchDate(b.collection, b.item) ?? 0))
+        );
+
+  const matches = hits.filter(({ collection, item }) => {
+    if (!item || !collections.includes(collection)) return false;
+    const date = searchDate(collection, item);
+    if (since !== null && !(date >= since)) return false;
+    if (until !== null && !(date <= until)) return false;
+    if (status && !matchesStatus(collection, item, status)) return false;
+    if (projectId !== undefined && (item.projectId ?? null) !== projectId) return false;
+    return !wantedTag || tagsOf(collection, item).includes(wantedTag);
+  });
+
+  return {
+    query,
+    filters: {
+      type: collections,
+      status: status ?? null,
+      tag: wantedTag,
+      project: projectId ?? null,
+      when: when ?? null,
+      from: since,
+      to: until,
+    },
+    total: matches.length,
+    results: matches.slice(0, max).map(({ collection, item, score, terms }) => ({
+      type: collection,
+      id: item.id,
+      score: Number(score.toFixed(3)),
+      date: searchDate(collection, item) ?? null,
+      due: { reminders: item.dueTime, tasks: item.dueDate }[collection] ?? null,
+      status: searchStatus(collection, item),
+      tags: tagsOf(collection, item),
+      projectId: item.projectId ?? null,
+      fields: Object.fromEntries(
+        SEARCH_FIELDS[collection].fields.map((field) => {
+          const text = fieldText(item, field);
+          return [field, snippetOf(text, highlightRanges(text, terms))];
+        })
+      ),
+    })),
+  };
+};
+
+// Read-only actions. They reuse the search filters and come back with a plain
+// answer next to the matching items; /agent joins the answers into its `reply`.
+const QUERY_ACTIONS = ['list_items', 'count_items', 'summarize_items'];
+const READ_ACTIONS = ['search', ...QUERY_ACTIONS];
+const ANSWER_LIST_LIMIT = 10;
+const RESULT_NOUNS = {
+  tasks: ['task', 'tasks'],
+  notes: ['note', 'notes'],
+  reminders: ['reminder', 'reminders'],
+  emailDrafts: ['email draft', 'email drafts'],
+};
+
+const summaryPrompt = `
+You answer questions about the user's own tasks, notes, reminders and email drafts.
+Reply in two to four plain-text sentences using only the items provided, mentioning dates where they matter. No markdown, no lists.
+`.trim();
+
+const formatDue = (type, timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    timeZone: userTimeZone(),
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(type === 'reminders' ? { hour: 'numeric', minute: '2-digit' } : {}),
+  });
+
+const resultLabel = (result) => result.fields[SEARCH_FIELDS[result.type].fields[0]].text;
+
+const nounFor = (types, count) => {
+  const [one, many] = types.length === 1 ? RESULT_NOUNS[types[0]] : ['item', 'items'];
+  return count === 1 ? one : many;
+};
+
+// "about “Q1 roadmap” tagged #work for this week"
+const describeScope = ({ query, tag, project, when, from, to }) => {
+  const date = (value) => (Number.isFinite(value) ? formatDue('tasks', value) : value);
+  return [
+    query?.trim() && `about “${query.trim()}”`,
+    project && (project === 'none' ? 'outside any project' : `in project ${findProject(project).name}`),
+    tag && `tagged ${String(tag).startsWith('@') ? '' : '#'}${String(tag).replace(/^#/, '')}`,
+    when ? `for ${when}` : [from && `from ${date(from)}`, to && `until ${date(to)}`].filter(Boolean).join(' '),
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+const describeResult = (result, { showType, showStatus }) => {
+  const details = [
+    showType && RESULT_NOUNS[result.type][0],
+    result.due && `${result.type === 'tasks' ? 'due ' : ''}${formatDue(result.type, result.due)}`,
+    showStatus && result.status,
+  ].filter(Boolean);
+  return `- ${resultLabel(result)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+};
+
+// Counts per type with a status breakdown, then the next dated item still ahead
+const summarizeFound = (found, scope) => {
+  if (found.total === 0) return `Nothing ${scope || 'matches'}.`;
+  const parts = found.filters.type
+    .map((type) => {
+      const matching = found.results.filter((result) => result.type === type);
+      if (matching.length === 0) return null;
+      const statuses = Object.entries(
+        matching.reduce((counts, { status }) => (status ? { ...counts, [status]: (counts[status] ?? 0) + 1 } : counts), {})
+      ).map(([status, count]) => `${count} ${status}`);
+      const noun = RESULT_NOUNS[type][matching.length === 1 ? 0 : 1];
+      return `${matching.length} ${noun}${statuses.length > 1 ? ` (${statuses.join(', ')})` : ''}`;
+    })
+    .filter(Boolean);
+  const next = found.results
+    .filter((result) => result.due && result.due >= Date.now())
+    .sort((a, b) => a.due - b.due)[0];
+  const heading = scope ? `${scope[0].toUpperCase()}${scope.slice(1)}: ` : '';
+  const upcoming = next ? ` Next up: ${resultLabel(next)}, ${formatDue(next.type, next.due)}.` : '';
+  return `${heading}${parts.join(', ')}.${upcoming}`;
+};
+
+const answerFor = (action, payload, found) => {
+  const scope = describeScope(payload);
+  const tail = scope ? ` ${scope}` : '';
+  const status = payload.status ? `${payload.status} ` : '';
+  const subject = `${found.total === 0 ? 'no' : found.total} ${status}${nounFor(found.filters.type, found.total)}`;
+
+  if (action === 'search') return `Found ${subject}${tail}.`;
+  if (action === 'count_items' || found.total === 0) return `You have ${subject}${tail}.`;
+  if (action === 'summarize_items') return summarizeFound(found, scope);
+
+  const options = { showType: found.filters.type.length > 1, showStatus: !payload.status };
+  const lines = found.results.slice(0, ANSWER_LIST_LIMIT).map((result) => describeResult(result, options));
+  if (found.total > lines.length) lines.push(`…and ${found.total - lines.length} more`);
+  return `You have ${subject}${tail}:\n${lines.join('\n')}`;
+};
+
+const answerQuery = (action, payload) => {
+  const found = searchWorkspace(payload);
+  return { operation: action.replace('_items', ''), ...found, answer: answerFor(action, payload, found) };
+};
+
+// Replaces a summary's built-in answer with one written by the model, when there
+// is one. Called after the plan has been applied, so the items are current.
+const summarizeWithModel = async (question, found) => {
+  const provider = getProvider('agent');
+  if (found.total === 0 || !provider.isConfigured || AGENT_PARSER === 'rules') return found.answer;
+  try {
+    const items = found.results.map((result) => ({
+      type: RESULT_NOUNS[result.type][0],
+      text: resultLabel(result),
+      status: result.status,
+      due: result.due ? formatDue(result.type, result.due) : null,
+      tags: result.tags,
+    }));
+    const { content } = await complete('agent', {
+      messages: [
+        { role: 'system', content: summaryPrompt },
+        {
+          role: 'user',
+          content: `Now: ${localNow()}\nQuestion: ${question}\nItems (${found.total} in total):\n${JSON.stringify(items, null, 2)}`,
+        },
+      ],
+      temperature: 0.2,
+      input: question,
+    });
+    return content?.trim() || found.answer;
+  } catch (error) {
+    console.warn(`${provider.name} summary failed, using the built-in one:`, error.message);
+    return found.answer;
+  }
+};
+
+// The current time as the user would read it, for prompts
+const localNow = () =>
+  `${new Date().toLocaleString('en-US', { timeZone: userTimeZone(), dateStyle: 'full', timeStyle: 'short' })} (${userTimeZone()})`;
+
+const interpretCommand = async (text, turns = []) => {
+  const { conversation, items, omitted } = buildContext({
+    turns: turns.map(({ at, text: request, actions }) => ({
+      at: new Date(at).toISOString(),
+      request,
+      actions: actions.map(({ action, id, label }) => (id ? { action, id, label } : { action })),
+    })),
+    collections: contextCollections(),
+    budget: AGENT_CONTEXT_TOKENS,
+  });
+  const omittedNote = Object.keys(omitted).length
+    ? `\n        Left out to save space (counts): ${JSON.stringify(omitted)}\n`
+    : '';
 
   const messages = [
     { role: 'system', content: systemPrompt },
     {
       role: 'user',
       content: `
+        Recent conversation (oldest first):
+        ${JSON.stringify(conversation, null, 2)}
+
         Current reminders:
-        ${JSON.stringify(reminderContext, null, 2)}
+        ${JSON.stringify(items.reminders, null, 2)}
+
+        Current tasks:
+        ${JSON.stringify(items.tasks, null, 2)}
+
+        Current notes:
+        ${JSON.stringify(items.notes, null, 2)}
+
+        Current email drafts:
+        ${JSON.stringify(items.emailDrafts, null, 2)}
 
+        Email templates:
+        ${JSON.stringify(emailTemplates().map(({ id, name, placeholders }) => ({ id, name, placeholders })))}
+
+        Tone presets: ${JSON.stringify(tonePresets().map(({ name }) => name))}
+
+        Projects: ${JSON.stringify(userStore().projects.filter((project) => !project.archivedAt).map(({ name }) => name))}
+
+        Current time: ${localNow()}
+${omittedNote}
         User request: """${text}"""
         Respond with JSON only.`,
     },
   ];
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.1,
-    response_format: { type: 'json_object' },
-    messages,
-  });
-
-  return completion.choices[0].message?.content;
+  const { content } = await complete('agent', { messages, temperature: 0.1, json: true, input: text });
+  return content;
 };
 
-const createTask = (description, dueDate = null) => {
-  const task = {
-    id: randomUUID(),
-    description,
-    createdAt: Date.now(),
-    dueDate: dueDate ? parseTaskDate(dueDate) : null,
+// Turns a command into an action list, falling back to the rule-based parser when
+// the model is unavailable or its reply cannot be used. `sessionId` selects the
+// conversation memory used to resolve "it" and "that".
+const planCommand = async (text, { sessionId = null } = {}) => {
+  const turns = userConversations().recent(sessionId);
+  // The rule-based parser only fails on requests it cannot make sense of
+  const parseWithRules = () => {
+    try {
+      return {
+        parser: 'rules',
+        actions: parseCommand(text, {
+          reminders: userStore().reminders,
+          drafts: userStore().emailDrafts,
+          tones: tonePresets(),
+          zone: userZone(),
+          recent: referencedIds(turns),
+        }),
+      };
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
   };
-  store.tasks.push(task);
-  return task;
-};
+  const provider = getProvider('agent');
 
-const createNote = (body) => {
-  const note = { id: randomUUID(), body, createdAt: Date.now() };
-  store.notes.push(note);
-  return note;
-};
+  if (AGENT_PARSER === 'rules' || (AGENT_PARSER === 'auto' && !provider.isConfigured)) {
+    return parseWithRules();
+  }
 
-const draftEmail = async (instructions, { persist = true } = {}) => {
-  if (!openai) {
-    throw new Error('OpenAI client is unavailable. Set OPENAI_API_KEY.');
+  try {
+    const aiRaw = await interpretCommand(text, turns);
+    return { parser: provider.name, actions: parseAiResponse(aiRaw) };
+  } catch (error) {
+    // An exhausted token budget is the user's answer, not a reason to fall back
+    if (AGENT_PARSER !== 'auto' || error.status === 429) throw error;
+    console.warn(`${provider.name} request failed, using rule-based parser instead:`, error.message);
+    return parseWithRules();
   }
+};
 
-  const trimmed = instructions?.trim();
-  if (!trimmed) {
-    throw new Error('Email drafting instructions are required.');
+// Tags are lowercase words, optionally written with a leading # ("work"), or
+// contexts starting with @ ("@phone"). Any written into an item's text are added
+// to the item's tags.
+const TAG_PATTERN = /^@?[\p{L}\p{N}_-]{1,40}$/u;
+const TEXT_TAG = /(?:^|\s)([#@][\p{L}\p{N}_-]+)/gu;
+const ITEM_TEXT_FIELDS = { tasks: 'description', notes: 'body', reminders: 'message' };
+
+const itemText = (collection, item) => item[ITEM_TEXT_FIELDS[collection]] ?? '';
+
+const normalizeTag = (value) => {
+  const tag = String(value).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-');
+  if (!TAG_PATTERN.test(tag)) {
+    throw httpError(400, `Tags must be single words such as "work" or "@phone": ${value}`);
   }
+  return tag;
+};
 
-  const messages = [
-    { role: 'system', content: emailDraftPrompt },
-    { role: 'user', content: trimmed },
-  ];
+// A list, or one comma- or space-separated string
+const requireTags = (value) => {
+  if (value === null) return [];
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/) : null;
+  if (!values) throw httpError(400, 'tags must be a list of words.');
+  return [...new Set(values.filter((tag) => String(tag).trim()).map(normalizeTag))];
+};
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.2,
-    response_format: { type: 'json_object' },
-    messages,
-  });
+const tagsInText = (text) => [
+  ...new Set([...String(text).matchAll(TEXT_TAG)].map(([, tag]) => tag.replace(/^#/, '').toLowerCase())),
+];
 
-  const raw = completion.choices[0].message?.content;
-  const { subject, body } = parseEmailDraft(raw);
-  const draft = {
+const findProject = (reference) => {
+  const wanted = String(reference).trim().replace(/^#/, '').toLowerCase();
+  const project = userStore().projects.find(
+    (entry) => entry.id === reference || entry.name.toLowerCase() === wanted
+  );
+  if (!project) throw notFound(`Project ${reference} not found.`);
+  return project;
+};
+
+const createProject = ({ name, description = null }) => {
+  const project = {
     id: randomUUID(),
-    instructions: trimmed,
-    subject,
-    body,
+    name: requireUniqueName(userStore().projects, requireText(name, 'name', 80), 'project'),
+    description: description ? requireText(description, 'description') : null,
+    archivedAt: null,
     createdAt: Date.now(),
   };
+  userStore().projects.push(project);
+  persistStore();
+  broadcast('project_created', project);
+  return project;
+};
 
-  if (persist) {
-    store.emailDrafts.unshift(draft);
-    if (store.emailDrafts.length > 10) {
-      store.emailDrafts.length = 10;
-    }
+const updateProject = (projectId, { name, description, archived }) => {
+  const project = findProject(projectId);
+  if (name !== undefined) {
+    project.name = requireUniqueName(userStore().projects, requireText(name, 'name', 80), 'project', project.id);
   }
+  if (description !== undefined) project.description = description ? requireText(description, 'description') : null;
+  if (archived !== undefined) project.archivedAt = archived ? (project.archivedAt ?? Date.now()) : null;
+  persistStore();
+  broadcast('project_updated', project);
+  return project;
+};
 
-  return draft;
+// The project's items stay, without a project
+const deleteProject = (projectId) => {
+  const project = findProject(projectId);
+  const store = userStore();
+  store.projects.splice(store.projects.indexOf(project), 1);
+  ORGANIZED_COLLECTIONS.forEach((collection) => {
+    store[collection]
+      .filter((item) => item.projectId === project.id)
+      .forEach((item) => {
+        item.projectId = null;
+        broadcast(`${EVENT_PREFIXES[collection]}_updated`, item);
+      });
+  });
+  persistStore();
+  broadcast('project_deleted', project);
+  return project;
 };
 
-const parseTaskDate = (dueDate) => {
-  let parsed = null;
-  
-  // Try parsing with chrono for natural language dates like "December 25", "next Monday"
-  parsed = chrono.parseDate(dueDate, new Date(), { forwardDate: true });
-  
-  // If chrono fails, try ISO date format (YYYY-MM-DD)
-  if (!parsed || Number.isNaN(parsed.getTime())) {
-    // Check if it's ISO date format and parse it as midnight local time
-    if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
-      const [y, m, d] = dueDate.split('-').map(Number);
-      parsed = new Date(y, m - 1, d, 0, 0, 0, 0);
-    }
-  }
-  
-  if (!parsed || Number.isNaN(parsed.getTime())) {
-    throw new Error(`Invalid task date: ${dueDate}. Please use formats like "December 25" or "2025-12-25".`);
+// `projectId` must name an existing project; `project` may also be a name, and
+// names not seen before start a new project, so "for project Apollo" just works.
+// Undefined when neither is given, null to take an item out of its project.
+const resolveProject = ({ project, projectId }) => {
+  if (projectId !== undefined) return projectId === null ? null : findProject(projectId).id;
+  if (project === undefined) return undefined;
+  if (project === null || project === '') return null;
+  const name = requireText(project, 'project', 80).replace(/^project\s+/i, '');
+  const existing = userStore().projects.find(
+    (entry) => entry.id === name || entry.name.toLowerCase() === name.toLowerCase()
+  );
+  return (existing ?? createProject({ name })).id;
+};
+
+// Applies the tags and project of an add or update to `item`. Given tags replace
+// the item's own; tags written into the text are always kept.
+const organizeItem = (collection, item, { tags, project, projectId } = {}) => {
+  if (tags !== undefined) item.tags = requireTags(tags);
+  item.tags = [...new Set([...(item.tags ?? []), ...tagsInText(itemText(collection, item))])];
+  const resolved = resolveProject({ project, projectId });
+  if (resolved !== undefined) item.projectId = resolved;
+  else item.projectId ??= null;
+  return item;
+};
+
+// Tag and project filters shared by the item lists, /projects/:id/state and search
+const matchesOrganization = (item, { tag, projectId }) =>
+  (!tag || (item.tags ?? []).includes(tag)) && (projectId === undefined || item.projectId === projectId);
+
+const organizationFilter = ({ tag, project }) => ({
+  tag: tag ? normalizeTag(tag) : null,
+  projectId: project === undefined || project === '' ? undefined : project === 'none' ? null : findProject(project).id,
+});
+
+const projectSummary = (project) => {
+  const store = userStore();
+  const items = (collection) => store[collection].filter((item) => item.projectId === project.id);
+  return {
+    ...project,
+    counts: {
+      tasks: items('tasks').length,
+      openTasks: items('tasks').filter((task) => task.status !== 'done').length,
+      notes: items('notes').length,
+      reminders: items('reminders').filter((reminder) => reminder.status !== 'acknowledged').length,
+    },
+  };
+};
+
+// Every tag in use with how many items carry it, most used first
+const tagSummary = () => {
+  const counts = new Map();
+  ORGANIZED_COLLECTIONS.forEach((collection) => {
+    userStore()[collection].forEach((item) => {
+      (item.tags ?? []).forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1));
+    });
+  });
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count, context: tag.startsWith('@') }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+const createTask = (description, dueDate = null, { priority = 'medium', recurrence = null, ...organization } = {}) => {
+  const id = randomUUID();
+  let parsedDueDate = dueDate ? parseTaskDate(dueDate) : null;
+  let taskRecurrence = null;
+  if (recurrence) {
+    // Recurring tasks need a due date to anchor the series; default to today
+    const anchor = parsedDueDate ?? startOfDay(Date.now(), userZone());
+    taskRecurrence = buildRecurrence(recurrence, anchor);
+    parsedDueDate = taskRecurrence.anchor;
   }
-  
-  // Set to midnight for date-only tasks
-  parsed.setHours(0, 0, 0, 0);
-  return parsed.getTime();
+
+  const task = {
+    id,
+    description,
+    status: 'open',
+    priority: requireOneOf(priority, TASK_PRIORITIES, 'priority'),
+    createdAt: Date.now(),
+    dueDate: parsedDueDate,
+    completedAt: null,
+    recurrence: taskRecurrence,
+    seriesId: taskRecurrence ? id : null,
+    occurrence: 1,
+  };
+  organizeItem('tasks', task, organization);
+  userStore().tasks.push(task);
+  persistStore();
+  broadcast('task_created', task);
+  return task;
 };
 
-const parseReminderTime = (dueTime) => {
-  const now = new Date();
-  let parsed = null;
-  
-  // First, try parsing with chrono (handles relative times like "in 1 minute", "tomorrow at 8am")
-  // Use a fresh Date object to avoid timezone issues
-  parsed = chrono.parseDate(dueTime, new Date(), { forwardDate: true });
-  
-  // If chrono fails or produces an invalid date, try parsing as ISO string
-  if (!parsed || Number.isNaN(parsed.getTime())) {
-    const isoParsed = new Date(dueTime);
-    if (!Number.isNaN(isoParsed.getTime())) {
-      parsed = isoParsed;
+const updateTask = ({ taskId, description, dueDate, priority, status, recurrence, tags, project, projectId }) => {
+  const task = userStore().tasks.find((t) => t.id === taskId);
+  if (!task) {
+    throw notFound(`Task ${taskId} not found.`);
+  }
+
+  const wasDone = task.status === 'done';
+  if (description !== undefined) task.description = requireText(description, 'description');
+  if (dueDate !== undefined) task.dueDate = dueDate ? parseTaskDate(dueDate) : null;
+  if (priority !== undefined) task.priority = requireOneOf(priority, TASK_PRIORITIES, 'priority');
+  organizeItem('tasks', task, { tags, project, projectId });
+  if (recurrence !== undefined) {
+    task.recurrence = recurrence
+      ? buildRecurrence(recurrence, task.dueDate ?? startOfDay(Date.now(), userZone()))
+      : null;
+    if (task.recurrence) {
+      task.dueDate = task.recurrence.anchor;
+      task.seriesId ??= task.id;
     }
   }
-  
-  // Final validation
-  if (!parsed || Number.isNaN(parsed.getTime())) {
-    throw new Error(`Invalid reminder time: ${dueTime}. Please use formats like "in 5 minutes", "tomorrow at 8am", or ISO 8601.`);
+  if (status !== undefined) {
+    task.status = requireOneOf(status, TASK_STATUSES, 'status');
+    if (task.status === 'done' && !wasDone) task.completedAt = Date.now();
+    if (task.status !== 'done') task.completedAt = null;
   }
-  
-  // Ensure the date is in the future (allow 1 minute grace for "now" commands)
-  if (parsed.getTime() < now.getTime() - 60000) {
-    throw new Error(`Reminder time must be in the future: ${dueTime}`);
+
+  const completed = task.status === 'done' && !wasDone;
+  if (completed) createNextTaskOccurrence(task);
+
+  persistStore();
+  broadcast('task_updated', task);
+  if (completed) broadcast('task_completed', task);
+  return task;
+};
+
+const completeTask = (taskId) => updateTask({ taskId, status: 'done' });
+
+const deleteTask = (taskId) => {
+  const index = userStore().tasks.findIndex((t) => t.id === taskId);
+  if (index === -1) {
+    throw notFound(`Task ${taskId} not found.`);
   }
-  
-  return parsed.getTime();
+  const [removed] = userStore().tasks.splice(index, 1);
+  persistStore();
+  broadcast('task_deleted', removed);
+  return removed;
 };
 
-const createReminder = ({ message, dueTime }) => {
-  const reminder = {
+// Finishing one occurrence of a recurring task opens the next one. Completed
+// occurrences keep their recurrence for reference but hand the series on.
+const createNextTaskOccurrence = (task) => {
+  if (!task.recurrence || task.nextOccurrenceId) return null;
+  const rule = parseRule(task.recurrence.rule);
+  const occurrence = task.occurrence ?? 1;
+  if (rule.count && occurrence >= rule.count) return null;
+  const dueDate = nextOccurrence(rule, task.recurrence.anchor, task.dueDate ?? Date.now(), userZone());
+  if (!dueDate) return null;
+
+  // The next occurrence is a new calendar item and starts its own chain
+  const { icalUid, nextOccurrenceId, ...series } = task;
+  const next = {
+    ...series,
     id: randomUUID(),
-    message,
-    dueTime: parseReminderTime(dueTime),
-    status: 'scheduled',
+    status: 'open',
     createdAt: Date.now(),
+    dueDate,
+    completedAt: null,
+    seriesId: task.seriesId ?? task.id,
+    occurrence: occurrence + 1,
   };
+  task.nextOccurrenceId = next.id;
+  userStore().tasks.push(next);
+  broadcast('task_created', next);
+  return next;
+};
 
-  store.reminders.push(reminder);
-  scheduleReminder(reminder);
-  broadcast('reminder_created', reminder);
-  return reminder;
+const findPendingInSeries = (collection, item, isPending) => {
+  if (!item.recurrence) {
+    throw httpError(400, 'This item does not repeat.');
+  }
+  if (isPending(item)) return item;
+  const pending = userStore()[collection].find(
+    (entry) => entry.seriesId && entry.seriesId === item.seriesId && isPending(entry)
+  );
+  if (!pending) {
+    throw httpError(400, 'This series has no upcoming occurrence.');
+  }
+  return pending;
 };
 
-const updateReminder = ({ reminderId, message, dueTime }) => {
-  const reminder = store.reminders.find((r) => r.id === reminderId);
-  if (!reminder) {
-    throw new Error(`Reminder ${reminderId} not found.`);
+const skipTaskOccurrence = (taskId) => {
+  const task = userStore().tasks.find((t) => t.id === taskId);
+  if (!task) {
+    throw notFound(`Task ${taskId} not found.`);
+  }
+  const pending = findPendingInSeries('tasks', task, (t) => t.status !== 'done');
+  const rule = parseRule(pending.recurrence.rule);
+  const occurrence = pending.occurrence ?? 1;
+  const dueDate = rule.count && occurrence >= rule.count
+    ? null
+    : nextOccurrence(rule, pending.recurrence.anchor, pending.dueDate ?? Date.now(), userZone());
+  if (!dueDate) {
+    return deleteTask(pending.id);
   }
 
-  if (message) reminder.message = message;
-  if (dueTime) {
-    reminder.dueTime = parseReminderTime(dueTime);
-    reminder.status = 'scheduled';
-    scheduleReminder(reminder);
+  pending.dueDate = dueDate;
+  pending.occurrence = occurrence + 1;
+  persistStore();
+  broadcast('task_updated', pending);
+  return pending;
+};
+
+const stopTaskRecurrence = (taskId) => {
+  const task = userStore().tasks.find((t) => t.id === taskId);
+  if (!task) {
+    throw notFound(`Task ${taskId} not found.`);
   }
+  const pending = findPendingInSeries('tasks', task, (t) => t.status !== 'done');
+  pending.recurrence = null;
+  persistStore();
+  broadcast('task_updated', pending);
+  return pending;
+};
 
-  broadcast('reminder_updated', reminder);
-  return reminder;
+const createNote = (body, organization) => {
+  const note = organizeItem('notes', { id: randomUUID(), body, createdAt: Date.now() }, organization);
+  userStore().notes.push(note);
+  persistStore();
+  broadcast('note_created', note);
+  return note;
 };
 
-const deleteReminder = (reminderId) => {
-  const index = store.reminders.findIndex((r) => r.id === reminderId);
+const updateNote = ({ noteId, body, tags, project, projectId }) => {
+  const note = userStore().notes.find((n) => n.id === noteId);
+  if (!note) {
+    throw notFound(`Note ${noteId} not found.`);
+  }
+
+  if (body !== undefined) note.body = requireText(body, 'body');
+  organizeItem('notes', note, { tags, project, projectId });
+
+  persistStore();
+  broadcast('note_updated', note);
+  return note;
+};
+
+const deleteNote = (noteId) => {
+  const index = userStore().notes.findIndex((n) => n.id === noteId);
   if (index === -1) {
-    throw new Error(`Reminder ${reminderId} not found.`);
+    throw notFound(`Note ${noteId} not found.`);
   }
-  const [removed] = store.reminders.splice(index, 1);
-  cancelReminderTimer(removed.id);
-  broadcast('reminder_deleted', removed);
+  const [removed] = userStore().notes.splice(index, 1);
+  persistStore();
+  broadcast('note_deleted', removed);
   return removed;
 };
 
-app.get('/state', (_, res) => {
-  res.json(store);
-});
-
+// Asks the email model for { subject, body }. `onToken(field, delta)` receives the
+// subject and body text while the model is still writing them.
+const generateEmail = async (messages, onToken) => {
+  const readers = onToken
+    ? ['subject', 'body'].map((field) => streamJsonField(field, (delta) => onToken(field, delta)))
+    : null;
+  const { content: raw } = await complete('email', {
+    messages,
+    temperature: 0.2,
+    json: true,
+    onToken: readers && ((delta) => readers.forEach((read) => read(delta))),
+  });
+  return parseEmailDraft(raw);
+};
+
+// Built-in templates and tones come first and cannot be changed; the user's own
+// follow in the order they were added.
+const emailTemplates = () =>
+  [...BUILT_IN_TEMPLATES.map((template) => ({ ...template, builtIn: true })), ...userStore().emailTemplates].map(
+    (template) => ({ ...template, placeholders: placeholdersOf(template) })
+  );
+
+const tonePresets = () => [...BUILT_IN_TONES.map((tone) => ({ ...tone, builtIn: true })), ...userStore().tonePresets];
+
+const findTemplate = (reference) => {
+  const template = findByReference(emailTemplates(), reference);
+  if (!template) throw notFound(`Email template ${reference} not found.`);
+  return template;
+};
+
+const findTone = (reference) => {
+  const tone = findByReference(tonePresets(), reference);
+  if (!tone) throw notFound(`Tone preset ${reference} not found.`);
+  return tone;
+};
+
+// Looks up one of the user's own templates or tones for editing
+const findCustom = (collection, id, label) => {
+  const item = userStore()[collection].find((entry) => entry.id === id);
+  if (item) return item;
+  const builtIns = collection === 'emailTemplates' ? BUILT_IN_TEMPLATES : BUILT_IN_TONES;
+  if (builtIns.some((entry) => entry.id === id)) {
+    throw httpError(409, `${label} ${id} is built in and cannot be changed.`);
+  }
+  throw notFound(`${label} ${id} not found.`);
+};
+
+const requireUniqueName = (items, name, label, exceptId = null) => {
+  const taken = items.some(
+    (item) => item.id !== exceptId && item.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) throw httpError(409, `A ${label} named "${name}" already exists.`);
+  return name;
+};
+
+const optionalTone = (tone) => (tone === undefined || tone === null || tone === '' ? null : findTone(tone).id);
+
+const createEmailTemplate = ({ name, subject, body, tone }) => {
+  const template = {
+    id: randomUUID(),
+    name: requireUniqueName(emailTemplates(), requireText(name, 'name'), 'template'),
+    subject: requireText(subject, 'subject'),
+    body: requireText(body, 'body'),
+    tone: optionalTone(tone),
+    createdAt: Date.now(),
+  };
+  userStore().emailTemplates.push(template);
+  persistStore();
+  broadcast('email_template_created', template);
+  return template;
+};
+
+const updateEmailTemplate = (templateId, { name, subject, body, tone }) => {
+  const template = findCustom('emailTemplates', templateId, 'Email template');
+  const changes = {};
+  if (name !== undefined) {
+    changes.name = requireUniqueName(emailTemplates(), requireText(name, 'name'), 'template', template.id);
+  }
+  if (subject !== undefined) changes.subject = requireText(subject, 'subject');
+  if (body !== undefined) changes.body = requireText(body, 'body');
+  if (tone !== undefined) changes.tone = optionalTone(tone);
+  Object.assign(template, changes);
+  persistStore();
+  broadcast('email_template_updated', template);
+  return template;
+};
+
+const deleteEmailTemplate = (templateId) => {
+  const template = findCustom('emailTemplates', templateId, 'Email template');
+  userStore().emailTemplates.splice(userStore().emailTemplates.indexOf(template), 1);
+  persistStore();
+  broadcast('email_template_deleted', template);
+  return template;
+};
+
+// Shows a template filled from the workspace and `values`, without the model
+const previewEmailTemplate = (templateId, values) => {
+  const template = findTemplate(templateId);
+  const filled = fillTemplate(template, { ...workspaceValues(userStore(), { zone: userZone() }), ...templateValues(values) });
+  return { ...filled, body: appendSignature(filled.body, userStore().emailSettings.signature) };
+};
+
+const createTonePreset = ({ name, instructions }) => {
+  const tone = {
+    id: randomUUID(),
+    name: requireUniqueName(tonePresets(), requireText(name, 'name'), 'tone preset'),
+    instructions: requireText(instructions, 'instructions'),
+    createdAt: Date.now(),
+  };
+  userStore().tonePresets.push(tone);
+  persistStore();
+  broadcast('tone_preset_created', tone);
+  return tone;
+};
+
+const updateTonePreset = (toneId, { name, instructions }) => {
+  const tone = findCustom('tonePresets', toneId, 'Tone preset');
+  if (name !== undefined) {
+    tone.name = requireUniqueName(tonePresets(), requireText(name, 'name'), 'tone preset', tone.id);
+  }
+  if (instructions !== undefined) tone.instructions = requireText(instructions, 'instructions');
+  persistStore();
+  broadcast('tone_preset_updated', tone);
+  return tone;
+};
+
+// Templates and the default that used the tone fall back to no preset
+const deleteTonePreset = (toneId) => {
+  const tone = findCustom('tonePresets', toneId, 'Tone preset');
+  const store = userStore();
+  store.tonePresets.splice(store.tonePresets.indexOf(tone), 1);
+  store.emailTemplates.filter((t) => t.tone === tone.id).forEach((t) => {
+    t.tone = null;
+  });
+  if (store.emailSettings.defaultTone === tone.id) store.emailSettings.defaultTone = null;
+  persistStore();
+  broadcast('tone_preset_deleted', tone);
+  return tone;
+};
+
+const emailSettings = () => ({
+  sendingEnabled: mailer.isConfigured,
+  from: mailer.from,
+  ...userStore().emailSettings,
+});
+
+const updateEmailSettings = ({ signature, defaultTone }) => {
+  const settings = userStore().emailSettings;
+  if (signature !== undefined) {
+    if (signature !== null && typeof signature !== 'string') {
+      throw httpError(400, 'signature must be a string.');
+    }
+    settings.signature = signature?.trim() ?? '';
+  }
+  if (defaultTone !== undefined) settings.defaultTone = optionalTone(defaultTone);
+  persistStore();
+  broadcast('email_settings_updated', emailSettings());
+  return emailSettings();
+};
+
+// Placeholder values given with a request, e.g. { recipient: 'Dana' }
+const templateValues = (values) => {
+  if (values === undefined || values === null) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw httpError(400, 'values must be an object of placeholder names and text.');
+  }
+  return Object.fromEntries(
+    Object.entries(values).map(([name, value]) => {
+      if (!['string', 'number'].includes(typeof value)) {
+        throw httpError(400, `values.${name} must be text.`);
+      }
+      return [name.toLowerCase(), String(value)];
+    })
+  );
+};
+
+// The drafting and revision prompts plus the chosen tone, and a note to leave the
+// sign-off out when a signature will be added.
+const emailSystemPrompt = (prompt, { tone, signature }) =>
+  [
+    prompt,
+    tone && `- Tone (${tone.name}): ${tone.instructions}`,
+    signature &&
+      '- Leave out the closing and the sender\'s name (e.g. "Best regards, Sam"): their saved signature is added automatically.',
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// `template` and `tone` are ids or names. Without a template the model writes
+// from the instructions alone; with one it completes the filled-in template, or
+// the filled-in template is used as is when no email model is configured.
+const draftEmail = async (
+  instructions,
+  { persist = true, onToken, template: templateRef, tone: toneRef, values } = {}
+) => {
+  const trimmed = instructions?.trim();
+  if (!trimmed) {
+    throw httpError(400, 'Email drafting instructions are required.');
+  }
+
+  const { signature, defaultTone } = userStore().emailSettings;
+  const template = templateRef ? findTemplate(templateRef) : null;
+  const toneId = toneRef ?? template?.tone ?? defaultTone;
+  const tone = toneId ? findTone(toneId) : null;
+  const filled = template
+    ? fillTemplate(template, { ...workspaceValues(userStore(), { zone: userZone() }), ...templateValues(values) })
+    : null;
+
+  let email;
+  if (filled && !getProvider('email').isConfigured) {
+    email = { subject: filled.subject, body: filled.body };
+    onToken?.('subject', email.subject);
+    onToken?.('body', email.body);
+  } else {
+    const request = filled
+      ? [
+          trimmed,
+          'Start from this template. Keep its structure and wording where they fit, and fill any remaining {{placeholders}} from the instructions; leave a placeholder as it is when the instructions do not say what belongs there.',
+          `Subject: ${filled.subject}`,
+          filled.body,
+        ].join('\n\n')
+      : trimmed;
+    email = await generateEmail(
+      [
+        { role: 'system', content: emailSystemPrompt(emailDraftPrompt, { tone, signature }) },
+        { role: 'user', content: request },
+      ],
+      onToken
+    );
+  }
+
+  const draft = newEmailDraft({
+    instructions: trimmed,
+    subject: email.subject,
+    body: appendSignature(email.body, signature),
+    source: 'generated',
+  });
+
+  if (persist) {
+    saveEmailDraft(draft);
+  }
+
+  return draft;
+};
+
+// Every change to the subject or body is kept in `versions`, oldest first, tagged
+// with where it came from: 'generated', 'written', 'edited', 'revised' (by the
+// model) or 'restored'. The last entry matches the current content.
+const versionOf = (draft, source, extra = {}) => ({
+  version: (draft.versions?.at(-1)?.version ?? 0) + 1,
+  subject: draft.subject,
+  body: draft.body,
+  source,
+  createdAt: Date.now(),
+  ...extra,
+});
+
+const addDraftVersion = (draft, source, extra) => {
+  draft.versions.push(versionOf(draft, source, extra));
+};
+
+// Drafts move from 'draft' to 'scheduled' when queued, then 'sending' and finally
+// 'sent' or 'failed'. Archived drafts keep their status but are set aside.
+const newEmailDraft = ({ instructions, subject, body, source, to = [], cc = [], bcc = [] }) => {
+  const draft = {
+    id: randomUUID(),
+    instructions,
+    subject,
+    body,
+    to,
+    cc,
+    bcc,
+    status: 'draft',
+    sendAt: null,
+    sentAt: null,
+    attempts: 0,
+    lastError: null,
+    messageId: null,
+    archivedAt: null,
+    createdAt: Date.now(),
+  };
+  draft.versions = [versionOf(draft, source)];
+  return draft;
+};
+
+const isQueued = (draft) => draft.status === 'scheduled' || draft.status === 'sending';
+
+const saveEmailDraft = (draft) => {
+  userStore().emailDrafts.unshift(draft);
+  persistStore();
+  broadcast('email_draft_created', draft);
+  return draft;
+};
+
+const EMAIL_ADDRESS = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+// Accepts a list or a comma/semicolon separated string of addresses, each
+// optionally written as "Name <address>".
+const parseRecipients = (value, field) => {
+  if (value === undefined || value === null) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const address = /<([^>]+)>$/.exec(entry)?.[1] ?? entry;
+      if (!EMAIL_ADDRESS.test(address)) {
+        throw httpError(400, `${field} contains an invalid email address: ${entry}`);
+      }
+      return entry;
+    });
+};
+
+const createEmailDraft = ({ subject, body, instructions, to, cc, bcc }) =>
+  saveEmailDraft(
+    newEmailDraft({
+      instructions: instructions?.trim() || '',
+      subject: requireText(subject, 'subject'),
+      body: requireText(body, 'body'),
+      source: 'written',
+      to: parseRecipients(to, 'to'),
+      cc: parseRecipients(cc, 'cc'),
+      bcc: parseRecipients(bcc, 'bcc'),
+    })
+  );
+
+const findEmailDraft = (draftId) => {
+  const draft = userStore().emailDrafts.find((d) => d.id === draftId);
+  if (!draft) {
+    throw notFound(`Email draft ${draftId} not found.`);
+  }
+  return draft;
+};
+
+const requireUnsent = (draft) => {
+  if (draft.status === 'sending' || draft.status === 'sent') {
+    throw httpError(409, `Email draft ${draft.id} has already been ${draft.status === 'sent' ? 'sent' : 'handed to the mail server'}.`);
+  }
+};
+
+const updateEmailDraft = ({ draftId, subject, body, to, cc, bcc }) => {
+  const draft = findEmailDraft(draftId);
+  requireUnsent(draft);
+
+  const changes = {};
+  if (subject !== undefined) changes.subject = requireText(subject, 'subject');
+  if (body !== undefined) changes.body = requireText(body, 'body');
+  if (to !== undefined) changes.to = parseRecipients(to, 'to');
+  if (cc !== undefined) changes.cc = parseRecipients(cc, 'cc');
+  if (bcc !== undefined) changes.bcc = parseRecipients(bcc, 'bcc');
+  const rewritten = ['subject', 'body'].some(
+    (field) => changes[field] !== undefined && changes[field] !== draft[field]
+  );
+  Object.assign(draft, changes);
+  if (rewritten) addDraftVersion(draft, 'edited');
+
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+// Asks the email model to rework a draft; nothing is saved until the result is
+// passed to applyEmailRevision. The signature is taken off first and put back on
+// the result, so the model never rewrites it.
+const reviseEmail = async (draft, instructions, { onToken } = {}) => {
+  const { signature } = userStore().emailSettings;
+  const { subject, body } = await generateEmail(
+    [
+      { role: 'system', content: emailSystemPrompt(emailRevisionPrompt, { signature }) },
+      {
+        role: 'user',
+        content: `Instructions: ${instructions.trim()}\n\nSubject: ${draft.subject}\n\n${removeSignature(draft.body, signature)}`,
+      },
+    ],
+    onToken
+  );
+  return { subject, body: appendSignature(body, signature) };
+};
+
+const applyEmailRevision = (draftId, instructions, { subject, body }) => {
+  const draft = findEmailDraft(draftId);
+  requireUnsent(draft);
+  Object.assign(draft, { subject, body });
+  addDraftVersion(draft, 'revised', { instructions: instructions.trim() });
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+const findDraftVersion = (draft, version) => {
+  const entry = draft.versions.find((v) => v.version === Number(version));
+  if (!entry) throw notFound(`Email draft ${draft.id} has no version ${version}.`);
+  return entry;
+};
+
+// Restoring copies an old version's content into a new version, so nothing is lost.
+const restoreEmailDraftVersion = (draftId, version) => {
+  const draft = findEmailDraft(draftId);
+  requireUnsent(draft);
+  const entry = findDraftVersion(draft, version);
+  Object.assign(draft, { subject: entry.subject, body: entry.body });
+  addDraftVersion(draft, 'restored', { restoredFrom: entry.version });
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+// Compares two versions (by default the current one against the one before it).
+const diffEmailDraftVersions = (draftId, { from, to } = {}) => {
+  const draft = findEmailDraft(draftId);
+  const after = to === undefined ? draft.versions.at(-1) : findDraftVersion(draft, to);
+  const before = from === undefined
+    ? draft.versions.filter((v) => v.version < after.version).at(-1) ?? null
+    : findDraftVersion(draft, from);
+  return {
+    from: before?.version ?? null,
+    to: after.version,
+    subject: diffText(before?.subject, after.subject),
+    body: diffText(before?.body, after.body),
+  };
+};
+
+const archiveEmailDraft = (draftId, archived = true) => {
+  const draft = findEmailDraft(draftId);
+  if (archived && isQueued(draft)) {
+    throw httpError(409, `Email draft ${draftId} is waiting to be sent. Cancel the send before archiving it.`);
+  }
+  draft.archivedAt = archived ? draft.archivedAt ?? Date.now() : null;
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+// Queues a draft for sending now or at `sendAt`; recipients given here replace the
+// draft's own. Failed drafts are sent again the same way.
+const sendEmailDraft = ({ draftId, to, cc, bcc, sendAt }) => {
+  const draft = findEmailDraft(draftId);
+  if (!mailer.isConfigured) {
+    throw httpError(503, 'Email sending is not configured on this server. Set SMTP_HOST.');
+  }
+  requireUnsent(draft);
+
+  const recipients = {
+    to: to === undefined ? draft.to : parseRecipients(to, 'to'),
+    cc: cc === undefined ? draft.cc : parseRecipients(cc, 'cc'),
+    bcc: bcc === undefined ? draft.bcc : parseRecipients(bcc, 'bcc'),
+  };
+  if (recipients.to.length === 0) {
+    throw httpError(400, 'Add at least one recipient in "to" before sending.');
+  }
+  const sendTime = sendAt ? parseReminderTime(sendAt) : null;
+
+  Object.assign(draft, recipients, { status: 'scheduled', sendAt: sendTime, attempts: 0, lastError: null });
+  scheduleEmailSend(draft);
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+const cancelEmailSend = (draftId) => {
+  const draft = findEmailDraft(draftId);
+  if (draft.status !== 'scheduled') {
+    throw httpError(409, `Email draft ${draftId} is not waiting to be sent.`);
+  }
+  cancelEmailJob(draft.id);
+  Object.assign(draft, { status: 'draft', sendAt: null });
+  persistStore();
+  broadcast('email_draft_updated', draft);
+  return draft;
+};
+
+// Hands a queued draft to the SMTP server. Temporary failures are retried with a
+// doubling delay up to EMAIL_SEND_ATTEMPTS; the last error stays on the draft.
+// The draft is looked up again after sending, since it may have been replaced or
+// deleted in the meantime.
+const deliverEmail = async (draftId) => {
+  const draft = userStore().emailDrafts.find((d) => d.id === draftId);
+  if (!draft || draft.status !== 'scheduled') return;
+  draft.status = 'sending';
+  draft.attempts += 1;
+  persistStore();
+  broadcast('email_draft_updated', draft);
+
+  let outcome;
+  try {
+    const { messageId } = await mailer.send({
+      to: draft.to,
+      cc: draft.cc,
+      bcc: draft.bcc,
+      subject: draft.subject,
+      text: draft.body,
+    });
+    outcome = { status: 'sent', sentAt: Date.now(), sendAt: null, messageId, lastError: null };
+  } catch (error) {
+    const retry = isTransientError(error) && draft.attempts < EMAIL_SEND_ATTEMPTS;
+    outcome = {
+      status: retry ? 'scheduled' : 'failed',
+      sendAt: retry ? Date.now() + EMAIL_RETRY_DELAY * 2 ** (draft.attempts - 1) : null,
+      lastError: error.message,
+    };
+  }
+
+  const current = userStore().emailDrafts.find((d) => d.id === draftId);
+  if (!current) return;
+  Object.assign(current, outcome);
+  if (current.status === 'scheduled') scheduleEmailSend(current);
+  persistStore();
+  broadcast('email_draft_updated', current);
+  if (current.status !== 'scheduled') broadcast(`email_draft_${current.status}`, current);
+};
+
+const deleteEmailDraft = (draftId) => {
+  const index = userStore().emailDrafts.findIndex((d) => d.id === draftId);
+  if (index === -1) {
+    throw notFound(`Email draft ${draftId} not found.`);
+  }
+  const [removed] = userStore().emailDrafts.splice(index, 1);
+  cancelEmailJob(removed.id);
+  persistStore();
+  broadcast('email_draft_deleted', removed);
+  return removed;
+};
+
+const webhookJobId = (id) => `webhook:${id}`;
+
+const matchesEvent = (patterns, event) =>
+  patterns.some(
+    (pattern) => pattern === '*' || pattern === event || (pattern.endsWith('*') && event.startsWith(pattern.slice(0, -1)))
+  );
+
+const requireWebhookEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => typeof event !== 'string')) {
+    throw httpError(400, 'events must be a non-empty array of event names.');
+  }
+  const unknown = events.filter((pattern) => !WEBHOOK_EVENTS.some((event) => matchesEvent([pattern], event)));
+  if (unknown.length > 0) {
+    throw httpError(
+      400,
+      `Unknown webhook events: ${unknown.join(', ')}. Use any of ${WEBHOOK_EVENTS.join(', ')}, a prefix such as reminder_*, or *.`
+    );
+  }
+  return [...new Set(events)];
+};
+
+const requireWebhookUrl = (value) => {
+  let url = null;
+  try {
+    url = new URL(requireText(value, 'url'));
+  } catch (error) {
+    if (error.status) throw error;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw httpError(400, 'url must be an http:// or https:// address.');
+  }
+  if (!WEBHOOK_ALLOW_PRIVATE_URLS && webhooks.isPrivateUrl(url)) {
+    throw httpError(400, 'url must not point at a local or private address.');
+  }
+  return url.toString();
+};
+
+const findWebhook = (webhookId) => {
+  const webhook = userStore().webhooks.find((w) => w.id === webhookId);
+  if (!webhook) {
+    throw notFound(`Webhook ${webhookId} not found.`);
+  }
+  return webhook;
+};
+
+const scheduleWebhookDelivery = (delivery) => {
+  const workspace = currentWorkspace();
+  scheduler.schedule(webhookJobId(delivery.id), delivery.nextAttemptAt, () =>
+    inWorkspace(workspace, () => attemptWebhookDelivery(delivery.id))
+  );
+};
+
+// Logs a delivery of `event` to the webhook. The payload is a snapshot, so later
+// changes to the item do not leak into retries.
+const createWebhookDelivery = (webhook, event, data) => {
+  const id = randomUUID();
+  const now = Date.now();
+  const delivery = {
+    id,
+    webhookId: webhook.id,
+    event,
+    payload: { id, event, createdAt: now, data: structuredClone(data) },
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    lastError: null,
+    createdAt: now,
+    nextAttemptAt: now,
+    deliveredAt: null,
+  };
+  const log = userStore().webhookDeliveries;
+  log.push(delivery);
+  const finished = log.filter((entry) => ['delivered', 'failed'].includes(entry.status));
+  finished.slice(0, Math.max(log.length - WEBHOOK_LOG_LIMIT, 0)).forEach((entry) => {
+    log.splice(log.indexOf(entry), 1);
+  });
+  return delivery;
+};
+
+// Queues a delivery to every active webhook subscribed to `event`
+const dispatchWebhooks = (event, data) => {
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+  const targets = userStore().webhooks.filter((webhook) => webhook.active && matchesEvent(webhook.events, event));
+  if (targets.length === 0) return;
+  targets.forEach((webhook) => scheduleWebhookDelivery(createWebhookDelivery(webhook, event, data)));
+  persistStore();
+};
+
+// One attempt at a delivery. Unreachable receivers, timeouts and 5xx/429 replies
+// are retried with exponential backoff until WEBHOOK_ATTEMPTS is used up.
+const attemptWebhookDelivery = async (deliveryId) => {
+  const delivery = userStore().webhookDeliveries.find((d) => d.id === deliveryId);
+  const webhook = delivery && userStore().webhooks.find((w) => w.id === delivery.webhookId);
+  if (!webhook || !['pending', 'retrying'].includes(delivery.status)) return delivery;
+  delivery.status = 'sending';
+  delivery.attempts += 1;
+
+  let outcome;
+  try {
+    const { status } = await webhooks.sendWebhook({
+      url: webhook.url,
+      secret: webhook.secret,
+      event: delivery.event,
+      deliveryId: delivery.id,
+      payload: delivery.payload,
+      allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS,
+    });
+    outcome = { status: 'delivered', responseStatus: status, lastError: null, nextAttemptAt: null, deliveredAt: Date.now() };
+  } catch (error) {
+    const retry = webhooks.isTransientError(error) && delivery.attempts < WEBHOOK_ATTEMPTS;
+    outcome = {
+      status: retry ? 'retrying' : 'failed',
+      responseStatus: error.status ?? null,
+      lastError: error.message,
+      nextAttemptAt: retry ? Date.now() + WEBHOOK_RETRY_DELAY * 2 ** (delivery.attempts - 1) : null,
+    };
+  }
+
+  const current = userStore().webhookDeliveries.find((d) => d.id === deliveryId);
+  if (!current) return delivery;
+  Object.assign(current, outcome);
+  if (current.status === 'retrying') scheduleWebhookDelivery(current);
+  persistStore();
+  return current;
+};
+
+const createWebhook = ({ url, events, description = null, active = true }) => {
+  const webhook = {
+    id: randomUUID(),
+    url: requireWebhookUrl(url),
+    events: requireWebhookEvents(events),
+    description: description ? requireText(description, 'description') : null,
+    active: Boolean(active),
+    secret: webhooks.createSecret(),
+    createdAt: Date.now(),
+  };
+  userStore().webhooks.push(webhook);
+  persistStore();
+  return webhook;
+};
+
+// `rotateSecret: true` issues a new signing secret
+const updateWebhook = (webhookId, { url, events, description, active, rotateSecret }) => {
+  const webhook = findWebhook(webhookId);
+  const changes = {};
+  if (url !== undefined) changes.url = requireWebhookUrl(url);
+  if (events !== undefined) changes.events = requireWebhookEvents(events);
+  if (description !== undefined) changes.description = description ? requireText(description, 'description') : null;
+  if (active !== undefined) changes.active = Boolean(active);
+  if (rotateSecret) changes.secret = webhooks.createSecret();
+  Object.assign(webhook, changes);
+  persistStore();
+  return webhook;
+};
+
+const deleteWebhook = (webhookId) => {
+  const webhook = findWebhook(webhookId);
+  const store = userStore();
+  store.webhooks.splice(store.webhooks.indexOf(webhook), 1);
+  store.webhookDeliveries
+    .filter((delivery) => delivery.webhookId === webhook.id)
+    .forEach((delivery) => scheduler.cancel(webhookJobId(delivery.id)));
+  store.webhookDeliveries = store.webhookDeliveries.filter((delivery) => delivery.webhookId !== webhook.id);
+  persistStore();
+  return webhook;
+};
+
+// Sends a webhook_test delivery straight away, whatever the webhook subscribes
+// to and even when it is paused, and resolves to the logged delivery.
+const testWebhook = (webhookId) => {
+  const webhook = findWebhook(webhookId);
+  const delivery = createWebhookDelivery(webhook, 'webhook_test', {
+    message: 'Test delivery from the productivity agent.',
+    webhookId: webhook.id,
+  });
+  return attemptWebhookDelivery(delivery.id);
+};
+
+// Sends a failed or pending delivery again with a fresh set of attempts
+const redeliverWebhook = (deliveryId) => {
+  const delivery = userStore().webhookDeliveries.find((d) => d.id === deliveryId);
+  if (!delivery) {
+    throw notFound(`Webhook delivery ${deliveryId} not found.`);
+  }
+  if (delivery.status === 'sending') {
+    throw httpError(409, 'This delivery is being sent right now.');
+  }
+  scheduler.cancel(webhookJobId(delivery.id));
+  Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+  return attemptWebhookDelivery(delivery.id);
+};
+
+const webhookDeliveries = (webhookId, { status, limit } = {}) => {
+  findWebhook(webhookId);
+  return userStore()
+    .webhookDeliveries.filter((delivery) => delivery.webhookId === webhookId && (!status || delivery.status === status))
+    .reverse()
+    .slice(0, Math.min(Math.max(Number(limit) || 50, 1), WEBHOOK_LOG_LIMIT));
+};
+
+const parseTaskDate = (dueDate) => {
+  const zone = userZone();
+  let date = null;
+
+  // ISO dates (YYYY-MM-DD) name a calendar day as they are
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dueDate);
+  if (iso) {
+    const [, year, month, day] = iso.map(Number);
+    date = { year, month, day };
+  } else {
+    // Natural language dates like "December 25" or "next Monday", read in the user's zone
+    date = parseInZone(dueDate, zone)?.date ?? null;
+  }
+
+  if (!date) {
+    throw httpError(400, `Invalid task date: ${dueDate}. Please use formats like "December 25" or "2025-12-25".`);
+  }
+
+  // Date-only tasks are due at midnight where the user is
+  return zone.fromParts(date);
+};
+
+const parseReminderTime = (dueTime) => {
+  const now = Date.now();
+  let parsed = null;
+
+  // Epoch milliseconds (e.g. from REST clients) need no parsing
+  if (typeof dueTime === 'number') {
+    parsed = dueTime;
+  } else {
+    // Relative times ("in 1 minute"), wall-clock times in the user's zone
+    // ("tomorrow at 8am") and named zones ("9am Pacific")
+    parsed = parseInZone(dueTime, userZone(), { now })?.time ?? null;
+  }
+
+  // If chrono fails, try parsing as an ISO string
+  if (parsed === null || Number.isNaN(parsed)) {
+    const isoParsed = new Date(dueTime).getTime();
+    if (!Number.isNaN(isoParsed)) {
+      parsed = isoParsed;
+    }
+  }
+
+  // Final validation
+  if (parsed === null || Number.isNaN(parsed)) {
+    throw httpError(400, `Invalid reminder time: ${dueTime}. Please use formats like "in 5 minutes", "tomorrow at 8am", "9am Pacific", or ISO 8601.`);
+  }
+
+  // Ensure the date is in the future (allow 1 minute grace for "now" commands)
+  if (parsed < now - 60000) {
+    throw httpError(400, `Reminder time must be in the future: ${dueTime}`);
+  }
+
+  return parsed;
+};
+
+// Parses a recurrence phrase or RRULE and snaps the anchor onto the first
+// occurrence, so "every weekday at 9am" said on a Saturday starts on Monday.
+const buildRecurrence = (input, anchorTime) => {
+  const zone = userZone();
+  let parsed;
+  try {
+    parsed = parseRecurrence(String(input), { zone });
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  if (!parsed) {
+    throw httpError(400, `Could not understand recurrence: ${input}`);
+  }
+  // Occurrences are computed at whole-second precision
+  const start = Math.floor(anchorTime / 1000) * 1000;
+  const anchor = nextOccurrence(parsed.rule, start, start - 1, zone);
+  if (!anchor) {
+    throw httpError(400, `Recurrence ${parsed.rrule} has no occurrences after the start time.`);
+  }
+  return { rule: parsed.rrule, description: parsed.description, anchor };
+};
+
+const createReminder = ({ message, dueTime, recurrence = null, tags, project, projectId }) => {
+  const id = randomUUID();
+  let parsedDueTime = parseReminderTime(dueTime);
+  const reminderRecurrence = recurrence ? buildRecurrence(recurrence, parsedDueTime) : null;
+  if (reminderRecurrence) parsedDueTime = reminderRecurrence.anchor;
+
+  const reminder = {
+    id,
+    message,
+    dueTime: parsedDueTime,
+    status: 'scheduled',
+    createdAt: Date.now(),
+    recurrence: reminderRecurrence,
+    seriesId: reminderRecurrence ? id : null,
+    occurrence: 1,
+  };
+  organizeItem('reminders', reminder, { tags, project, projectId });
+
+  userStore().reminders.push(reminder);
+  scheduleReminder(reminder);
+  persistStore();
+  broadcast('reminder_created', reminder);
+  return reminder;
+};
+
+const updateReminder = ({ reminderId, message, dueTime, recurrence, tags, project, projectId }) => {
+  const reminder = userStore().reminders.find((r) => r.id === reminderId);
+  if (!reminder) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+
+  if (message) reminder.message = message;
+  organizeItem('reminders', reminder, { tags, project, projectId });
+  if (dueTime) {
+    reminder.dueTime = parseReminderTime(dueTime);
+    reminder.status = 'scheduled';
+  }
+  if (recurrence !== undefined) {
+    reminder.recurrence = recurrence ? buildRecurrence(recurrence, reminder.dueTime) : null;
+    if (reminder.recurrence) {
+      reminder.dueTime = reminder.recurrence.anchor;
+      reminder.seriesId ??= reminder.id;
+    }
+  }
+  if (dueTime || recurrence) {
+    scheduleReminder(reminder);
+  }
+
+  persistStore();
+  broadcast('reminder_updated', reminder);
+  return reminder;
+};
+
+// Queues the occurrence after a fired recurring reminder. Occurrences missed while
+// the server was down are skipped (but still count towards COUNT).
+const scheduleNextOccurrence = (reminder) => {
+  if (!reminder.recurrence || reminder.nextOccurrenceId) return null;
+  const rule = parseRule(reminder.recurrence.rule);
+  const now = Date.now();
+  let occurrence = reminder.occurrence ?? 1;
+  let dueTime = reminder.dueTime;
+  do {
+    if (rule.count && occurrence >= rule.count) return null;
+    dueTime = nextOccurrence(rule, reminder.recurrence.anchor, dueTime, userZone());
+    if (!dueTime) return null;
+    occurrence += 1;
+  } while (dueTime <= now);
+
+  const next = {
+    id: randomUUID(),
+    message: reminder.message,
+    dueTime,
+    status: 'scheduled',
+    createdAt: now,
+    recurrence: reminder.recurrence,
+    seriesId: reminder.seriesId ?? reminder.id,
+    occurrence,
+    tags: reminder.tags ?? [],
+    projectId: reminder.projectId ?? null,
+  };
+  reminder.nextOccurrenceId = next.id;
+  userStore().reminders.push(next);
+  scheduleReminder(next);
+  broadcast('reminder_created', next);
+  return next;
+};
+
+const skipReminderOccurrence = (reminderId) => {
+  const reminder = userStore().reminders.find((r) => r.id === reminderId);
+  if (!reminder) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+  const pending = findPendingInSeries('reminders', reminder, (r) => r.status === 'scheduled');
+  const rule = parseRule(pending.recurrence.rule);
+  const occurrence = pending.occurrence ?? 1;
+  const dueTime = rule.count && occurrence >= rule.count
+    ? null
+    : nextOccurrence(rule, pending.recurrence.anchor, pending.dueTime, userZone());
+  if (!dueTime) {
+    return deleteReminder(pending.id);
+  }
+
+  pending.dueTime = dueTime;
+  pending.occurrence = occurrence + 1;
+  scheduleReminder(pending);
+  persistStore();
+  broadcast('reminder_updated', pending);
+  return pending;
+};
+
+// Ends a series: the upcoming occurrence is cancelled and no more are created.
+const stopReminderRecurrence = (reminderId) => {
+  const reminder = userStore().reminders.find((r) => r.id === reminderId);
+  if (!reminder) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+  const pending = findPendingInSeries('reminders', reminder, (r) => r.status === 'scheduled');
+  userStore().reminders
+    .filter((r) => r.seriesId === pending.seriesId && r.id !== pending.id && r.recurrence)
+    .forEach((r) => {
+      r.recurrence = null;
+      broadcast('reminder_updated', r);
+    });
+  return deleteReminder(pending.id);
+};
+
+const acknowledgeReminder = (reminderId) => {
+  const reminder = userStore().reminders.find((r) => r.id === reminderId);
+  if (!reminder) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+  if (reminder.status !== 'due' && reminder.status !== 'overdue') {
+    throw httpError(400, `Reminder ${reminderId} has not fired yet.`);
+  }
+
+  reminder.status = 'acknowledged';
+  reminder.acknowledgedAt = Date.now();
+  persistStore();
+  broadcast('reminder_acknowledged', reminder);
+  return reminder;
+};
+
+// Bare durations like "10 minutes" are read as relative to now.
+const parseSnoozeTime = (until) => {
+  if (Number.isFinite(until)) return Date.now() + until * 60000;
+  const phrase = String(until ?? '').trim() || DEFAULT_SNOOZE;
+  return parseReminderTime(
+    /^\d+\s*(?:s|sec|second|m|min|minute|h|hr|hour|d|day)s?$/i.test(phrase) ? `in ${phrase}` : phrase
+  );
+};
+
+const snoozeReminder = ({ reminderId, until }) => {
+  const reminder = userStore().reminders.find((r) => r.id === reminderId);
+  if (!reminder) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+  if (reminder.status === 'acknowledged') {
+    throw httpError(400, `Reminder ${reminderId} was already acknowledged.`);
+  }
+
+  reminder.dueTime = parseSnoozeTime(until);
+  reminder.status = 'scheduled';
+  reminder.snoozeCount = (reminder.snoozeCount ?? 0) + 1;
+  scheduleReminder(reminder);
+  persistStore();
+  broadcast('reminder_snoozed', reminder);
+  return reminder;
+};
+
+const deleteReminder = (reminderId) => {
+  const index = userStore().reminders.findIndex((r) => r.id === reminderId);
+  if (index === -1) {
+    throw notFound(`Reminder ${reminderId} not found.`);
+  }
+  const [removed] = userStore().reminders.splice(index, 1);
+  cancelReminderTimer(removed.id);
+  persistStore();
+  broadcast('reminder_deleted', removed);
+  return removed;
+};
+
+const normalizeStore = (saved) => {
+  const store = emptyStore();
+  [...COLLECTIONS, ...EMAIL_SETUP_COLLECTIONS, ...WEBHOOK_COLLECTIONS].forEach((key) => {
+    if (Array.isArray(saved?.[key])) store[key] = saved[key];
+  });
+  Object.assign(store.emailSettings, saved?.emailSettings);
+  Object.assign(store.settings, saved?.settings);
+  // Items saved before tags and projects existed keep the hashtags in their text
+  ORGANIZED_COLLECTIONS.forEach((collection) => {
+    store[collection].forEach((item) => {
+      item.tags ??= tagsInText(itemText(collection, item));
+      item.projectId ??= null;
+    });
+  });
+  // Tasks saved before statuses and priorities existed start out open
+  store.tasks.forEach((task) => {
+    task.status ??= 'open';
+    task.priority ??= 'medium';
+    task.completedAt ??= null;
+  });
+  // Drafts saved before sending and versioning existed
+  store.emailDrafts.forEach((draft) => {
+    draft.to ??= [];
+    draft.cc ??= [];
+    draft.bcc ??= [];
+    draft.status ??= 'draft';
+    draft.sendAt ??= null;
+    draft.sentAt ??= null;
+    draft.attempts ??= 0;
+    draft.lastError ??= null;
+    draft.messageId ??= null;
+    draft.archivedAt ??= null;
+    draft.versions ??= [versionOf(draft, 'generated', { createdAt: draft.createdAt })];
+  });
+  return store;
+};
+
+// Re-arms a workspace's pending reminders after a restart; ones that came due
+// while the server was down are flagged as overdue instead of firing late.
+const resumeReminders = () => {
+  const now = Date.now();
+  // Copy first: firing a recurring reminder appends its next occurrence
+  [...userStore().reminders].forEach((reminder) => {
+    if (reminder.status !== 'scheduled') return;
+    if (reminder.dueTime <= now) {
+      fireReminder(reminder, 'overdue');
+    } else {
+      scheduleReminder(reminder);
+    }
+  });
+};
+
+// Re-queues scheduled emails after a restart. One that was being sent when the
+// server stopped may or may not have gone out, so it is marked failed for the
+// user to check and retry instead of risking a duplicate.
+const resumeEmailSends = () => {
+  userStore().emailDrafts.forEach((draft) => {
+    if (draft.status === 'scheduled') scheduleEmailSend(draft);
+    if (draft.status === 'sending') {
+      draft.status = 'failed';
+      draft.lastError = 'The server stopped while sending this email. Check whether it arrived before retrying.';
+    }
+  });
+};
+
+// Picks up webhook deliveries that were waiting for a retry, or in flight, when
+// the server stopped. Receivers can use X-Webhook-Delivery to drop a duplicate.
+const resumeWebhookDeliveries = () => {
+  userStore().webhookDeliveries.forEach((delivery) => {
+    if (!['pending', 'retrying', 'sending'].includes(delivery.status)) return;
+    if (delivery.status === 'sending') delivery.status = 'retrying';
+    delivery.nextAttemptAt = Math.max(delivery.nextAttemptAt ?? 0, Date.now());
+    scheduleWebhookDelivery(delivery);
+  });
+};
+
+const resumeWorkspace = () => {
+  resumeReminders();
+  resumeEmailSends();
+  resumeWebhookDeliveries();
+};
+
+// Reload saved accounts and workspaces on boot. A store saved before accounts
+// existed (a flat { tasks, notes, ... } object) is kept aside for the first user.
+const restoreStore = () => {
+  let saved;
+  try {
+    saved = storage.load();
+  } catch (error) {
+    console.error('Failed to load saved store, starting empty:', error);
+    return;
+  }
+  if (!saved) return;
+
+  accounts = createAccounts(saved, { onChange: persistStore });
+  usageLedger = createUsage(saved);
+  if (saved.workspaces) {
+    unclaimedStore = saved.unclaimed ? normalizeStore(saved.unclaimed) : null;
+  } else {
+    unclaimedStore = normalizeStore(saved);
+  }
+
+  accounts.userIds().forEach((userId) => {
+    const workspace = getWorkspace(userId);
+    workspace.store = normalizeStore(saved.workspaces?.[userId]);
+    inWorkspace(workspace, resumeWorkspace);
+  });
+  persistStore();
+};
+
+restoreStore();
+
+const userSettings = () => ({ ...userStore().settings, timeZone: userTimeZone() });
+
+const updateUserSettings = ({ timeZone }) => {
+  if (timeZone !== undefined) {
+    if (timeZone !== null && !isValidTimeZone(timeZone)) {
+      throw httpError(400, `timeZone must be an IANA time zone such as "Europe/Berlin": ${timeZone}`);
+    }
+    userStore().settings.timeZone = timeZone;
+  }
+  persistStore();
+  broadcast('settings_updated', userSettings());
+  return userSettings();
+};
+
+// EventSource and calendar apps cannot send headers, so these accept ?token= too.
+// Everywhere else it would only put tokens into URLs and logs.
+const QUERY_TOKEN_PATHS = ['/events', '/calendar.ics'];
+
+// Resolves the bearer token and runs the rest of the request inside the user's
+// workspace.
+const requireAuth = (req, res, next) => {
+  const header = req.get('authorization') ?? '';
+  const token = header.startsWith('Bearer ')
+    ? header.slice(7).trim()
+    : QUERY_TOKEN_PATHS.includes(req.path) && req.query.token;
+  const session = accounts.authenticate(token);
+  if (!session) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+  req.user = session.user;
+  req.tokenId = session.tokenId;
+  return inWorkspace(getWorkspace(session.user.id), next);
+};
+
+// Slows down password guessing and mass sign-ups
+const authRateLimit = rateLimit({
+  limit: AUTH_RATE_LIMIT,
+  keyOf: (req) => req.ip,
+  message: 'Too many sign-in attempts from this address.',
+});
+
+app.post('/auth/register', authRateLimit, (req, res) => {
+  if (accounts.userCount > 0 && !ALLOW_REGISTRATION) {
+    return res.status(403).json({ error: 'Registration is disabled on this server.' });
+  }
+  try {
+    const isFirstUser = accounts.userCount === 0;
+    const user = accounts.register(req.body);
+    if (isFirstUser && unclaimedStore) {
+      const workspace = getWorkspace(user.id);
+      workspace.store = unclaimedStore;
+      unclaimedStore = null;
+      inWorkspace(workspace, resumeWorkspace);
+    }
+    const { token } = accounts.issueToken(user.id);
+    persistStore();
+    return res.status(201).json({ token, user });
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.post('/auth/login', authRateLimit, (req, res) => {
+  try {
+    return res.json(accounts.login(req.body));
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Everything below requires a signed-in user
+app.use(requireAuth);
+
+// For routes that may call the model, on top of the per-address limit
+const llmRateLimit = rateLimit({
+  limit: LLM_RATE_LIMIT,
+  keyOf: (req) => req.user.id,
+  message: 'Too many agent and drafting requests.',
+});
+
+// The web client sends its browser's zone with every request. It is saved only while
+// the user has no zone yet, so another device or a UTC shell cannot move the times
+// of existing reminders; PATCH /settings changes it after that.
+app.use((req, res, next) => {
+  const timeZone = req.get('x-time-zone');
+  if (timeZone && !userStore().settings.timeZone && isValidTimeZone(timeZone)) {
+    updateUserSettings({ timeZone });
+  }
+  next();
+});
+
+app.get('/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.post('/auth/logout', (req, res) => {
+  accounts.revokeToken(req.user.id, req.tokenId);
+  res.status(204).end();
+});
+
+app.get('/state', (_, res) => {
+  res.json(userStore());
+});
+
 app.get('/events', (req, res) => {
-  res.set({
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    Connection: 'keep-alive',
-  });
-  res.flushHeaders();
+  startEventStream(res);
   res.write('retry: 5000\n\n');
-  sseClients.add(res);
+  const { clients } = currentWorkspace();
+  clients.add(res);
   req.on('close', () => {
-    sseClients.delete(res);
+    clients.delete(res);
   });
 });
 
-app.post('/agent', async (req, res) => {
-  const text = req.body?.text?.trim();
-  if (!text) {
-    return res.status(400).json({ error: 'Text is required' });
-  }
+// Applies `work` synchronously as a unit. If it throws, the store is restored to
+// its previous contents, reminder and email timers are re-armed from the restored
+// copy and the buffered events are dropped, so clients never see half-applied plans.
+const runAtomically = (work) => {
+  if (transaction) return work();
 
+  const store = userStore();
+  const snapshot = structuredClone(store);
+  transaction = { events: [] };
   try {
-    const aiRaw = await interpretCommand(text);
-    const actionsList = parseAiResponse(aiRaw);
+    const result = work();
+    const { events } = transaction;
+    transaction = null;
+    persistStore();
+    events.forEach(([event, data]) => broadcast(event, data));
+    return result;
+  } catch (error) {
+    transaction = null;
+    store.reminders.forEach((reminder) => cancelReminderTimer(reminder.id));
+    store.emailDrafts.forEach((draft) => cancelEmailJob(draft.id));
+    Object.assign(store, snapshot);
+    store.reminders
+      .filter((reminder) => reminder.status === 'scheduled')
+      .forEach((reminder) => scheduleReminder(reminder));
+    store.emailDrafts
+      .filter((draft) => draft.status === 'scheduled')
+      .forEach((draft) => scheduleEmailSend(draft));
+    throw error;
+  }
+};
 
-    const results = [];
-    for (const { action, payload } of actionsList) {
-      if (!action || typeof payload !== 'object') {
-        throw new Error('Agent response missing action or payload.');
-      }
+const EVENT_PREFIXES = {
+  tasks: 'task',
+  notes: 'note',
+  reminders: 'reminder',
+  emailDrafts: 'email_draft',
+  projects: 'project',
+};
+const HISTORY_ACTIONS = ['undo', 'redo'];
+
+// Undoes or redoes the newest agent request in the history log, re-arming the
+// timers of any reminders and queued emails it touches. `expectedId` guards
+// against reverting a different request than the one the caller saw. Requests
+// whose emails have gone out cannot be reverted.
+const replayHistory = (direction, expectedId) => {
+  const history = userHistory();
+  const entry = direction === 'undo' ? history.peekUndo() : history.peekRedo();
+  if (!entry) throw httpError(409, `Nothing to ${direction}.`);
+  if (expectedId && entry.id !== expectedId) {
+    throw httpError(409, `Only the most recent request can be ${direction === 'undo' ? 'undone' : 'redone'}.`);
+  }
+
+  const side = direction === 'undo' ? 'before' : 'after';
+  runAtomically(() =>
+    history[direction]((logged) => {
+      logged.operations.forEach(({ collection, id, [side]: snapshot }) => {
+        if (collection !== 'emailDrafts') return;
+        const draft = userStore().emailDrafts.find((d) => d.id === id);
+        if (['sending', 'sent'].includes(draft?.status) && snapshot?.status !== draft.status) {
+          const verb = direction === 'undo' ? 'undone' : 'redone';
+          throw httpError(409, `The email "${draft.subject}" has already been sent, so this request cannot be ${verb}.`);
+        }
+      });
+      applySnapshots(userStore(), logged.operations, side).forEach(({ collection, id, item, previous }) => {
+        const prefix = EVENT_PREFIXES[collection];
+        if (collection === 'reminders') {
+          cancelReminderTimer(id);
+          if (item?.status === 'scheduled') scheduleReminder(item);
+        }
+        if (collection === 'emailDrafts') {
+          cancelEmailJob(id);
+          if (item?.status === 'scheduled') scheduleEmailSend(item);
+        }
+        if (!item) {
+          broadcast(`${prefix}_deleted`, previous);
+        } else {
+          broadcast(`${prefix}_${previous ? 'updated' : 'created'}`, item);
+        }
+      });
+    })
+  );
+  return entry;
+};
+
+const REFERENCE_FIELDS = {
+  taskId: { collection: 'tasks', label: 'Task' },
+  reminderId: { collection: 'reminders', label: 'Reminder' },
+  draftId: { collection: 'emailDrafts', label: 'Email draft' },
+};
+
+// Checks beyond the payload shape: referenced items exist and times parse.
+const checkActionSemantics = ({ action, payload }) => {
+  const errors = [];
+  Object.entries(REFERENCE_FIELDS).forEach(([field, { collection, label }]) => {
+    if (payload[field] !== undefined && !userStore()[collection].some((item) => item.id === payload[field])) {
+      errors.push({ path: `payload.${field}`, message: `${label} ${payload[field]} not found` });
+    }
+  });
 
-      let item;
-      switch (action) {
-        case 'add_task':
-          item = createTask(payload.description || text, payload.dueDate || null);
-          break;
-        case 'add_note':
-          item = createNote(payload.body || text);
-          break;
-        case 'schedule_reminder':
-          if (!payload.message || !payload.dueTime) {
-            throw new Error('schedule_reminder requires message and dueTime.');
-          }
-          item = createReminder(payload);
-          break;
-        case 'update_reminder':
-          item = updateReminder(payload);
-          break;
-        case 'cancel_reminder':
-          item = deleteReminder(payload.reminderId);
-          break;
-        case 'draft_email':
-          item = await draftEmail(payload.instructions || text);
-          break;
-        default:
-          throw new Error(`Unsupported action: ${action}`);
+  const tryParse = (field, parse) => {
+    if (payload[field] === undefined || payload[field] === null) return;
+    try {
+      parse(payload[field]);
+    } catch (error) {
+      errors.push({ path: `payload.${field}`, message: error.message });
+    }
+  };
+  if (action === 'schedule_reminder' || action === 'update_reminder') {
+    tryParse('dueTime', parseReminderTime);
+  }
+  if (action === 'add_task' || action === 'update_task') {
+    tryParse('dueDate', parseTaskDate);
+  }
+  if (action === 'snooze_reminder') tryParse('until', parseSnoozeTime);
+  tryParse('tags', requireTags);
+  if (READ_ACTIONS.includes(action)) {
+    tryParse('type', parseSearchTypes);
+    tryParse('tag', normalizeTag);
+    tryParse('project', findProject);
+    tryParse('when', parsePeriod);
+    tryParse('from', (value) => parseSearchDate(value, 'from'));
+    tryParse('to', (value) => parseSearchDate(value, 'to'));
+  }
+  if (action === 'draft_email') {
+    tryParse('template', findTemplate);
+    tryParse('tone', findTone);
+    tryParse('values', templateValues);
+  }
+  const draft = userStore().emailDrafts.find((d) => d.id === payload.draftId);
+  if (action === 'revise_email' && draft) tryParse('draftId', () => requireUnsent(draft));
+  if (action === 'send_email') {
+    ['to', 'cc', 'bcc'].forEach((field) => tryParse(field, (value) => parseRecipients(value, field)));
+    tryParse('sendAt', parseReminderTime);
+    if (!mailer.isConfigured) {
+      errors.push({ path: 'action', message: 'email sending is not configured on this server' });
+    }
+    if (draft) tryParse('draftId', () => requireUnsent(draft));
+    if (payload.to === undefined && (!payload.draftId || draft?.to.length === 0)) {
+      errors.push({ path: 'payload.to', message: 'is required when the draft has no recipients' });
+    }
+  }
+  if (action === 'undo' && !userHistory().peekUndo()) {
+    errors.push({ path: 'action', message: 'there is nothing to undo' });
+  }
+  if (action === 'redo' && !userHistory().peekRedo()) {
+    errors.push({ path: 'action', message: 'there is nothing to redo' });
+  }
+  tryParse('recurrence', (value) => {
+    if (value && !parseRecurrence(String(value))) {
+      throw new Error(`Could not understand recurrence: ${value}`);
+    }
+  });
+  return errors;
+};
+
+// Validates every action before any of them runs. Returns one entry per invalid
+// action: { index, action, errors: [{ path, message }] }.
+const validatePlan = (actions) =>
+  actions
+    .map((entry, index) => {
+      const errors = validateAction(entry);
+      if (errors.length === 0) errors.push(...checkActionSemantics(entry));
+      if (HISTORY_ACTIONS.includes(entry?.action) && actions.length > 1) {
+        errors.push({ path: 'action', message: `${entry.action} must be the only action in a request` });
+      }
+      const draftsEarlier = actions.slice(0, index).some((earlier) => earlier?.action === 'draft_email');
+      if (entry?.action === 'send_email' && entry.payload?.draftId === undefined && !draftsEarlier) {
+        errors.push({ path: 'payload.draftId', message: 'is required unless the email is drafted earlier in the request' });
       }
+      return { index, action: entry?.action ?? null, errors };
+    })
+    .filter(({ errors }) => errors.length > 0);
 
-      results.push({ action, item });
+// Runs one validated action. draft_email and revise_email receive their text
+// pre-generated, since model calls happen before the plan is applied; send_email
+// without a draftId receives the draft written earlier in the same plan.
+const executeAction = ({ action, payload }, preparedDraft) => {
+  let item;
+  switch (action) {
+    case 'add_task':
+      item = createTask(payload.description, payload.dueDate || null, {
+        priority: payload.priority || 'medium',
+        recurrence: payload.recurrence || null,
+        tags: payload.tags,
+        project: payload.project,
+      });
+      break;
+    case 'complete_task':
+      item = completeTask(payload.taskId);
+      break;
+    case 'update_task':
+      item = updateTask(payload);
+      break;
+    case 'delete_task':
+      item = deleteTask(payload.taskId);
+      break;
+    case 'add_note':
+      item = createNote(payload.body, { tags: payload.tags, project: payload.project });
+      break;
+    case 'schedule_reminder':
+      item = createReminder(payload);
+      break;
+    case 'update_reminder':
+      item = updateReminder(payload);
+      break;
+    case 'cancel_reminder':
+      item = deleteReminder(payload.reminderId);
+      break;
+    case 'snooze_reminder':
+      item = snoozeReminder(payload);
+      break;
+    case 'acknowledge_reminder':
+      item = acknowledgeReminder(payload.reminderId);
+      break;
+    case 'skip_occurrence':
+      item = payload.taskId
+        ? skipTaskOccurrence(payload.taskId)
+        : skipReminderOccurrence(payload.reminderId);
+      break;
+    case 'stop_recurrence':
+      item = payload.taskId
+        ? stopTaskRecurrence(payload.taskId)
+        : stopReminderRecurrence(payload.reminderId);
+      break;
+    case 'draft_email':
+      item = saveEmailDraft(preparedDraft);
+      break;
+    case 'revise_email':
+      item = applyEmailRevision(payload.draftId, payload.instructions, preparedDraft);
+      break;
+    case 'send_email':
+      item = sendEmailDraft({ ...payload, draftId: payload.draftId ?? preparedDraft.id });
+      break;
+    case 'search':
+      item = searchWorkspace(payload);
+      item.answer = answerFor(action, payload, item);
+      break;
+    case 'list_items':
+    case 'count_items':
+    case 'summarize_items':
+      item = answerQuery(action, payload);
+      break;
+    case 'undo':
+    case 'redo':
+      item = replayHistory(action);
+      break;
+    default:
+      throw httpError(400, `Unsupported action: ${action}`);
+  }
+  return item;
+};
+
+// Actions that remove or overwrite existing items, or reach outside the app.
+// Clients can auto-confirm plans without any of these and ask the user about the rest.
+const DESTRUCTIVE_ACTIONS = [
+  'update_task',
+  'delete_task',
+  'update_reminder',
+  'cancel_reminder',
+  'skip_occurrence',
+  'stop_recurrence',
+  'revise_email',
+  'send_email',
+];
+
+const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+// What an action would do, without doing it: resolved times plus the existing
+// item it touches. Parse failures are already reported by validatePlan.
+const describeAction = ({ action, payload }, index) => {
+  const resolved = {};
+  const attempt = (fn) => {
+    try {
+      fn();
+    } catch {
+      // Reported through validationErrors
     }
+  };
+
+  if (action === 'schedule_reminder' || (action === 'update_reminder' && payload.dueTime)) {
+    attempt(() => {
+      const dueTime = parseReminderTime(payload.dueTime);
+      const recurrence = payload.recurrence ? buildRecurrence(payload.recurrence, dueTime) : null;
+      resolved.dueTime = toIso(recurrence?.anchor ?? dueTime);
+      if (recurrence) resolved.recurrence = recurrence.description;
+    });
+  }
+  if ((action === 'add_task' || action === 'update_task') && payload.dueDate) {
+    attempt(() => {
+      resolved.dueDate = toIso(parseTaskDate(payload.dueDate));
+    });
+  }
+  if (action === 'add_task' && payload.recurrence) {
+    attempt(() => {
+      resolved.recurrence = buildRecurrence(payload.recurrence, Date.now()).description;
+    });
+  }
+  if (action === 'snooze_reminder') {
+    attempt(() => {
+      resolved.dueTime = toIso(parseSnoozeTime(payload.until));
+    });
+  }
+  if (payload.project && !READ_ACTIONS.includes(action)) {
+    const name = String(payload.project).replace(/^project\s+/i, '');
+    const existing = userStore().projects.find((project) => project.name.toLowerCase() === name.toLowerCase());
+    resolved.project = existing ? existing.name : `${name} (new project)`;
+  }
+
+  if (action === 'send_email') {
+    attempt(() => {
+      resolved.sendAt = payload.sendAt ? toIso(parseReminderTime(payload.sendAt)) : null;
+    });
+  }
+
+  if (HISTORY_ACTIONS.includes(action)) {
+    resolved.reverts = (action === 'undo' ? userHistory().peekUndo() : userHistory().peekRedo())?.text ?? null;
+  }
+
+  const reference = Object.entries(REFERENCE_FIELDS)
+    .filter(([field]) => payload[field] !== undefined)
+    .map(([field, { collection }]) => userStore()[collection].find((item) => item.id === payload[field]))
+    .find(Boolean);
+
+  return {
+    index,
+    action,
+    payload,
+    destructive: DESTRUCTIVE_ACTIONS.includes(action),
+    resolved,
+    affected: reference ?? null,
+  };
+};
+
+// Validates and applies a plan, resolving to the response status and body.
+// Applied plans are logged as one history entry so they can be undone together,
+// and remembered in the session's conversation for follow-up requests.
+// `onEvent(event, data)` reports progress for streaming clients: draft_started and
+// draft_token while emails are written, then one `action` as each action is applied.
+// A later action failing still rolls the whole plan back and ends with an error.
+const applyPlan = async (
+  actionsList,
+  parser,
+  { text = null, sessionId = null, onEvent = () => {} } = {}
+) => {
+  const validationErrors = validatePlan(actionsList);
+  if (validationErrors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'The agent proposed actions that failed validation. Nothing was changed.',
+        parser,
+        actions: actionsList,
+        validationErrors,
+      },
+    };
+  }
+
+  let failedIndex = null;
+  try {
+    const drafts = await Promise.all(
+      actionsList.map(({ action, payload }, index) => {
+        if (action !== 'draft_email' && action !== 'revise_email') return null;
+        onEvent('draft_started', {
+          index,
+          instructions: payload.instructions,
+          draftId: payload.draftId ?? null,
+        });
+        const onToken = (field, delta) => onEvent('draft_token', { index, field, delta });
+        return action === 'draft_email'
+          ? draftEmail(payload.instructions, {
+              persist: false,
+              onToken,
+              template: payload.template,
+              tone: payload.tone,
+              values: payload.values,
+            })
+          : reviseEmail(findEmailDraft(payload.draftId), payload.instructions, { onToken });
+      })
+    );
+
+    const before = structuredClone(userStore());
+    const results = runAtomically(() =>
+      actionsList.map((entry, index) => {
+        failedIndex = index;
+        const prepared = entry.action === 'send_email'
+          ? drafts.slice(0, index).findLast((_, earlier) => actionsList[earlier].action === 'draft_email')
+          : drafts[index];
+        const result = { action: entry.action, item: executeAction(entry, prepared) };
+        onEvent('action', { index, ...result });
+        return result;
+      })
+    );
+
+    const logged = HISTORY_ACTIONS.includes(actionsList[0].action)
+      ? null
+      : userHistory().record({
+          text,
+          actions: results.map(({ action }) => action),
+          operations: diffCollections(before, userStore(), COLLECTIONS),
+        });
+
+    await Promise.all(
+      results
+        .filter(({ action }) => action === 'summarize_items')
+        .map(async ({ item }) => {
+          item.answer = await summarizeWithModel(text, item);
+        })
+    );
+    const answers = results.filter(({ action }) => READ_ACTIONS.includes(action)).map(({ item }) => item.answer);
+
+    if (text) userConversations().record(sessionId, { text, results });
+
+    return {
+      status: 200,
+      body: {
+        actions: results,
+        reply: answers.length > 0 ? answers.join('\n\n') : null,
+        parser,
+        historyId: logged?.id ?? null,
+        state: userStore(),
+      },
+    };
+  } catch (error) {
+    console.error('Agent error:', error);
+    return {
+      status: error.status ?? 500,
+      body: {
+        error: error.message,
+        parser,
+        rolledBack: true,
+        failedAction: failedIndex === null
+          ? null
+          : { index: failedIndex, action: actionsList[failedIndex].action },
+      },
+    };
+  }
+};
+
+// Sends the outcome of applyPlan as JSON or, once an event stream has been
+// started, as its closing `done` / `error` event.
+const sendPlanResult = (res, { status, body }) => {
+  if (!res.locals.eventStream) return res.status(status).json(body);
+  res.write(formatEvent(status === 200 ? 'done' : 'error', { status, ...body }));
+  return res.end();
+};
+
+const applyPlanFor = async (req, res, actionsList, parser, text) => {
+  const onEvent = res.locals.eventStream
+    ? (event, data) => res.write(formatEvent(event, data))
+    : undefined;
+  const result = await applyPlan(actionsList, parser, { text, sessionId: req.tokenId, onEvent });
+  return sendPlanResult(res, result);
+};
+
+// The response to a dry run: the plan with what each action would touch
+const previewPlan = (text, parser, actionsList) => {
+  const validationErrors = validatePlan(actionsList);
+  const actions = actionsList.map((entry, index) =>
+    validationErrors.some((failure) => failure.index === index)
+      ? {
+          index,
+          action: entry?.action ?? null,
+          payload: entry?.payload ?? null,
+          destructive: DESTRUCTIVE_ACTIONS.includes(entry?.action),
+          resolved: {},
+          affected: null,
+        }
+      : describeAction(entry, index)
+  );
+  return {
+    preview: true,
+    text,
+    parser,
+    actions,
+    validationErrors,
+    requiresConfirmation: actions.some((entry) => entry.destructive),
+  };
+};
 
-    return res.json({ actions: results, state: store });
+// With { dryRun: true } the plan is only previewed; POST /agent/confirm applies
+// a (possibly edited) plan afterwards. { confirmDestructive: true } previews only
+// plans that delete, cancel or send something and applies the rest, so clients
+// need a second request just when there is something to confirm. With
+// { stream: true } the response is an event stream: `plan` once the request is
+// understood, the progress events of applyPlan, then `done` with the usual
+// response body or `error`.
+app.post('/agent', llmRateLimit, async (req, res) => {
+  const text = req.body?.text?.trim();
+  if (!text) {
+    return res.status(400).json({ error: 'Text is required' });
+  }
+  if (text.length > MAX_PROMPT_LENGTH) {
+    return res.status(400).json({ error: `Text must be at most ${MAX_PROMPT_LENGTH} characters.` });
+  }
+  const { dryRun, confirmDestructive } = req.body;
+  if (req.body.stream && !dryRun && !confirmDestructive) startEventStream(res);
+
+  let actionsList;
+  let parser;
+  try {
+    ({ parser, actions: actionsList } = await planCommand(text, { sessionId: req.tokenId }));
   } catch (error) {
     console.error('Agent error:', error);
-    return res.status(400).json({ error: error.message });
+    return sendPlanResult(res, { status: error.status ?? 500, body: { error: error.message } });
+  }
+
+  if (dryRun || (confirmDestructive && actionsList.some((entry) => DESTRUCTIVE_ACTIONS.includes(entry?.action)))) {
+    return res.json(previewPlan(text, parser, actionsList));
+  }
+
+  if (res.locals.eventStream) res.write(formatEvent('plan', { parser, actions: actionsList }));
+  return applyPlanFor(req, res, actionsList, parser, text);
+});
+
+app.post('/agent/confirm', llmRateLimit, async (req, res) => {
+  const actionsList = req.body?.actions;
+  if (!Array.isArray(actionsList) || actionsList.length === 0) {
+    return res.status(400).json({ error: 'actions must be a non-empty array.' });
+  }
+
+  const plan = actionsList.map((entry) => ({ action: entry?.action, payload: entry?.payload }));
+  const text = typeof req.body.text === 'string' ? req.body.text.slice(0, MAX_PROMPT_LENGTH) : null;
+  if (req.body.stream) {
+    startEventStream(res);
+    res.write(formatEvent('plan', { parser: 'confirmed', actions: plan }));
   }
+  return applyPlanFor(req, res, plan, 'confirmed', text);
 });
 
-app.post('/draft-email', async (req, res) => {
+app.post('/draft-email', llmRateLimit, async (req, res) => {
+  const { template, tone, values } = req.body ?? {};
   const instructions = req.body?.instructions?.trim();
   if (!instructions) {
     return res.status(400).json({ error: 'Instructions are required' });
   }
+  if (instructions.length > MAX_PROMPT_LENGTH) {
+    return res.status(400).json({ error: `Instructions must be at most ${MAX_PROMPT_LENGTH} characters.` });
+  }
 
   try {
-    const draft = await draftEmail(instructions, { persist: false });
+    const draft = await draftEmail(instructions, { persist: false, template, tone, values });
     return res.json({ draft });
   } catch (error) {
     console.error('Email draft error:', error);
-    return res.status(400).json({ error: error.message || 'Unable to draft email.' });
+    return res.status(error.status ?? 500).json({ error: error.message || 'Unable to draft email.' });
+  }
+});
+
+// Wraps a CRUD handler so thrown errors map to JSON responses; helpers throw
+// httpError/notFound to pick the status, anything else is a server-side failure.
+const crudRoute = (handler, successStatus = 200) => async (req, res) => {
+  try {
+    const result = await handler(req);
+    return res.status(successStatus).json(result);
+  } catch (error) {
+    if (!error.status) console.error(`${req.method} ${req.path} error:`, error);
+    return res.status(error.status ?? 500).json({ error: error.message });
+  }
+};
+
+const findById = (collection, id, label) => {
+  const item = userStore()[collection].find((entry) => entry.id === id);
+  if (!item) throw notFound(`${label} ${id} not found.`);
+  return item;
+};
+
+const requirePatch = (body, fields) => {
+  if (!body || !fields.some((field) => body[field] !== undefined)) {
+    throw httpError(400, `Provide at least one of: ${fields.join(', ')}.`);
+  }
+  return body;
+};
+
+// Long-lived tokens for scripts; the raw token is only returned once.
+app.get('/auth/tokens', (req, res) => {
+  res.json(accounts.listTokens(req.user.id));
+});
+
+app.post('/auth/tokens', crudRoute((req) => {
+  const label = req.body?.label === undefined ? null : requireText(req.body.label, 'label');
+  return accounts.issueToken(req.user.id, { kind: 'api', label });
+}, 201));
+
+app.delete('/auth/tokens/:id', crudRoute((req) => accounts.revokeToken(req.user.id, req.params.id)));
+
+app.get('/history', (_, res) => {
+  res.json(userHistory().list());
+});
+
+// Both accept an optional { id } naming the request the client expects to revert.
+app.post('/undo', crudRoute((req) => ({ undone: replayHistory('undo', req.body?.id), state: userStore() })));
+
+app.post('/redo', crudRoute((req) => ({ redone: replayHistory('redo', req.body?.id), state: userStore() })));
+
+// Items exported by this server use "<id>@<CALENDAR_UID_DOMAIN>" as their UID, so
+// importing our own feed updates them instead of duplicating them.
+const CALENDAR_UID_DOMAIN = 'productivity-agent';
+
+const findByUid = (collection, uid) =>
+  userStore()[collection].find(
+    (item) => item.icalUid === uid || `${item.id}@${CALENDAR_UID_DOMAIN}` === uid
+  );
+
+const sameRule = (recurrence, rrule) =>
+  (recurrence?.rule ?? null) === (rrule ? formatRule(parseRule(rrule)) : null);
+
+// Our export rewrites COUNT to the occurrences still to come (see remainingRule).
+// Reading that back means the series is unchanged, so the original rule is kept
+// rather than ending the series early.
+const importedRule = (existing, rrule) =>
+  rrule && existing.recurrence && sameRule({ rule: remainingRule(existing) }, rrule)
+    ? existing.recurrence.rule
+    : rrule;
+
+// iCalendar times have whole-second precision
+const sameSecond = (a, b) => Math.floor(a / 1000) === Math.floor(b / 1000);
+
+// Returns 'created', 'updated' or 'unchanged'; throws with the reason to skip it.
+const importEvent = (event, now) => {
+  if (event.status === 'CANCELLED') throw new Error('Event is cancelled.');
+  if (!event.start) throw new Error('Event has no start time.');
+  const message = event.summary || 'Calendar event';
+  let dueTime = event.start.time;
+  if (dueTime <= now) {
+    if (!event.rrule) throw new Error('Event is in the past.');
+    dueTime = nextOccurrence(parseRule(event.rrule), dueTime, now, userZone());
+    if (!dueTime) throw new Error('Recurring event has no future occurrences.');
+  }
+
+  const existing = findByUid('reminders', event.uid);
+  if (!existing) {
+    const reminder = createReminder({ message, dueTime, recurrence: event.rrule });
+    reminder.icalUid = event.uid;
+    return 'created';
+  }
+  const rrule = importedRule(existing, event.rrule);
+  const ruleChanged = !sameRule(existing.recurrence, rrule);
+  const dueChanged = !sameSecond(existing.dueTime, dueTime);
+  if (existing.message === message && !dueChanged && !ruleChanged) {
+    return 'unchanged';
+  }
+  updateReminder({
+    reminderId: existing.id,
+    message,
+    dueTime: dueChanged ? dueTime : undefined,
+    recurrence: ruleChanged ? rrule : undefined,
+  });
+  return 'updated';
+};
+
+const importTodo = (todo) => {
+  const description = todo.summary || 'Calendar to-do';
+  const dueDate = todo.due ? toDateKey(todo.due.time) : null;
+  const existing = findByUid('tasks', todo.uid);
+  if (!existing) {
+    if (todo.status === 'done') throw new Error('To-do is already completed.');
+    const task = createTask(description, dueDate, { priority: todo.priority, recurrence: todo.rrule });
+    if (todo.status !== 'open') updateTask({ taskId: task.id, status: todo.status });
+    task.icalUid = todo.uid;
+    return 'created';
+  }
+
+  const changes = {
+    description: existing.description === description ? undefined : description,
+    dueDate: (existing.dueDate ? toDateKey(existing.dueDate) : null) === dueDate ? undefined : dueDate,
+    priority: existing.priority === todo.priority ? undefined : todo.priority,
+    status: existing.status === todo.status ? undefined : todo.status,
+  };
+  if (Object.values(changes).every((value) => value === undefined)) return 'unchanged';
+  updateTask({ taskId: existing.id, ...changes });
+  return 'updated';
+};
+
+// Creates or updates reminders and tasks from an iCalendar file, matching items by
+// UID. Entries that cannot be imported are reported as skipped rather than failing
+// the whole file, and the import is recorded so it can be undone.
+const importCalendar = (text) => {
+  let calendar;
+  try {
+    calendar = parseCalendar(text, { zone: userZone() });
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  const { events, todos } = calendar;
+  const summary = { created: { reminders: 0, tasks: 0 }, updated: { reminders: 0, tasks: 0 }, skipped: [] };
+  const entries = [
+    ...events.map((entry) => ({ entry, collection: 'reminders', apply: (now) => importEvent(entry, now) })),
+    ...todos.map((entry) => ({ entry, collection: 'tasks', apply: () => importTodo(entry) })),
+  ];
+
+  const before = structuredClone(userStore());
+  runAtomically(() => {
+    const now = Date.now();
+    entries.forEach(({ entry, collection, apply }) => {
+      if (!entry.uid) {
+        summary.skipped.push({ uid: null, summary: entry.summary, reason: 'Missing UID.' });
+        return;
+      }
+      try {
+        const outcome = apply(now);
+        if (outcome === 'unchanged') {
+          summary.skipped.push({ uid: entry.uid, summary: entry.summary, reason: 'Already up to date.' });
+        } else {
+          summary[outcome][collection] += 1;
+        }
+      } catch (error) {
+        summary.skipped.push({ uid: entry.uid, summary: entry.summary, reason: error.message });
+      }
+    });
+  });
+
+  const logged = userHistory().record({
+    text: 'Import calendar',
+    actions: ['import_calendar'],
+    operations: diffCollections(before, userStore(), COLLECTIONS),
+  });
+  return { ...summary, historyId: logged?.id ?? null, state: userStore() };
+};
+
+// Subscribe with /calendar.ics?token=<API token>; ?include=reminders or tasks
+// limits the feed to one kind.
+app.get('/calendar.ics', (req, res) => {
+  const include = typeof req.query.include === 'string' ? req.query.include.split(',') : null;
+  const wants = (kind) => !include || include.includes(kind);
+  res.type('text/calendar').send(
+    formatCalendar({
+      reminders: wants('reminders') ? userStore().reminders : [],
+      tasks: wants('tasks') ? userStore().tasks : [],
+      name: `${req.user.username}'s agenda`,
+      uidDomain: CALENDAR_UID_DOMAIN,
+      zone: userZone(),
+    })
+  );
+});
+
+// Accepts the file as a text/calendar body or as JSON { ics }.
+app.post(
+  '/calendar/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  crudRoute((req) => {
+    const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+    return importCalendar(requireText(text, 'ics', Infinity));
+  })
+);
+
+// ?q=<words>&type=notes,tasks&status=&tag=&project=&when=&from=&to=&limit=
+app.get('/search', crudRoute((req) => {
+  const { q, type, status, tag, project, when, from, to, limit } = req.query;
+  return searchWorkspace({ query: typeof q === 'string' ? q : '', type, status, tag, project, when, from, to, limit });
+}));
+
+// Item lists take ?tag=<tag> and ?project=<id or name>, or ?project=none for items
+// outside any project
+const organizedItems = (collection, query) => {
+  const filter = organizationFilter(query);
+  return userStore()[collection].filter((item) => matchesOrganization(item, filter));
+};
+
+app.get('/tasks', crudRoute((req) => organizedItems('tasks', req.query)));
+
+app.get('/tasks/:id', crudRoute((req) => findById('tasks', req.params.id, 'Task')));
+
+app.post('/tasks', crudRoute((req) => {
+  const { description, dueDate, priority, recurrence, tags, project, projectId } = req.body ?? {};
+  return createTask(requireText(description, 'description'), dueDate || null, {
+    priority: priority ?? 'medium',
+    recurrence: recurrence || null,
+    tags,
+    project,
+    projectId,
+  });
+}, 201));
+
+app.patch('/tasks/:id', crudRoute((req) => {
+  const fields = requirePatch(req.body, [
+    'description',
+    'dueDate',
+    'priority',
+    'status',
+    'recurrence',
+    'tags',
+    'project',
+    'projectId',
+  ]);
+  return updateTask({ ...fields, taskId: req.params.id });
+}));
+
+app.delete('/tasks/:id', crudRoute((req) => deleteTask(req.params.id)));
+
+app.post('/tasks/:id/skip', crudRoute((req) => skipTaskOccurrence(req.params.id)));
+
+app.post('/tasks/:id/stop', crudRoute((req) => stopTaskRecurrence(req.params.id)));
+
+app.get('/notes', crudRoute((req) => organizedItems('notes', req.query)));
+
+app.get('/notes/:id', crudRoute((req) => findById('notes', req.params.id, 'Note')));
+
+app.post('/notes', crudRoute((req) => {
+  const { body, tags, project, projectId } = req.body ?? {};
+  return createNote(requireText(body, 'body'), { tags, project, projectId });
+}, 201));
+
+app.patch('/notes/:id', crudRoute((req) =>
+  updateNote({ ...requirePatch(req.body, ['body', 'tags', 'project', 'projectId']), noteId: req.params.id })
+));
+
+app.delete('/notes/:id', crudRoute((req) => deleteNote(req.params.id)));
+
+app.get('/reminders', crudRoute((req) => organizedItems('reminders', req.query)));
+
+app.get('/reminders/:id', crudRoute((req) => findById('reminders', req.params.id, 'Reminder')));
+
+app.post('/reminders', crudRoute((req) => {
+  const { message, dueTime, recurrence, tags, project, projectId } = req.body ?? {};
+  return createReminder({
+    message: requireText(message, 'message'),
+    dueTime: requireTime(dueTime, 'dueTime'),
+    recurrence: recurrence || null,
+    tags,
+    project,
+    projectId,
+  });
+}, 201));
+
+app.patch('/reminders/:id', crudRoute((req) => {
+  const { message, dueTime, ...fields } = requirePatch(req.body, [
+    'message',
+    'dueTime',
+    'recurrence',
+    'tags',
+    'project',
+    'projectId',
+  ]);
+  return updateReminder({
+    ...fields,
+    reminderId: req.params.id,
+    message: message === undefined ? undefined : requireText(message, 'message'),
+    dueTime: dueTime === undefined ? undefined : requireTime(dueTime, 'dueTime'),
+  });
+}));
+
+app.delete('/reminders/:id', crudRoute((req) => deleteReminder(req.params.id)));
+
+app.post('/reminders/:id/acknowledge', crudRoute((req) => acknowledgeReminder(req.params.id)));
+
+// Body: { until: "in 10 minutes" | "tomorrow at 9am" } or { minutes: 10 }; defaults to 10 minutes.
+app.post('/reminders/:id/snooze', crudRoute((req) => {
+  const { until, minutes } = req.body ?? {};
+  if (minutes !== undefined && !(Number.isFinite(minutes) && minutes > 0)) {
+    throw httpError(400, 'minutes must be a positive number.');
+  }
+  return snoozeReminder({ reminderId: req.params.id, until: minutes ?? until });
+}));
+
+app.post('/reminders/:id/skip', crudRoute((req) => skipReminderOccurrence(req.params.id)));
+
+app.post('/reminders/:id/stop', crudRoute((req) => stopReminderRecurrence(req.params.id)));
+
+// ?archived=true lists only archived drafts, ?archived=false only the others
+app.get('/email-drafts', (req, res) => {
+  const { emailDrafts } = userStore();
+  const { archived } = req.query;
+  res.json(
+    archived === undefined
+      ? emailDrafts
+      : emailDrafts.filter((draft) => Boolean(draft.archivedAt) === (archived === 'true'))
+  );
+});
+
+app.get('/email-drafts/:id', crudRoute((req) => findById('emailDrafts', req.params.id, 'Email draft')));
+
+// Accepts either a finished subject/body pair or drafting instructions for the
+// model, optionally with a template, tone and placeholder values.
+// Only drafts written by the model count towards the model rate limit
+const limitDrafting = (req, res, next) =>
+  req.body?.subject === undefined && req.body?.body === undefined ? llmRateLimit(req, res, next) : next();
+
+app.post('/email-drafts', limitDrafting, crudRoute((req) => {
+  const { subject, body, instructions, to, cc, bcc, template, tone, values } = req.body ?? {};
+  if (subject === undefined && body === undefined) {
+    return draftEmail(requirePrompt(instructions, 'instructions'), { template, tone, values });
+  }
+  return createEmailDraft({ subject, body, instructions, to, cc, bcc });
+}, 201));
+
+app.patch('/email-drafts/:id', crudRoute((req) => {
+  const { subject, body, to, cc, bcc } = requirePatch(req.body, ['subject', 'body', 'to', 'cc', 'bcc']);
+  return updateEmailDraft({ draftId: req.params.id, subject, body, to, cc, bcc });
+}));
+
+app.delete('/email-drafts/:id', crudRoute((req) => deleteEmailDraft(req.params.id)));
+
+// Body: optional { to, cc, bcc, sendAt }. Also retries a failed send.
+app.post('/email-drafts/:id/send', crudRoute((req) => {
+  const { to, cc, bcc, sendAt } = req.body ?? {};
+  return sendEmailDraft({ draftId: req.params.id, to, cc, bcc, sendAt });
+}));
+
+app.post('/email-drafts/:id/cancel-send', crudRoute((req) => cancelEmailSend(req.params.id)));
+
+app.post('/email-drafts/:id/archive', crudRoute((req) => archiveEmailDraft(req.params.id)));
+
+app.post('/email-drafts/:id/unarchive', crudRoute((req) => archiveEmailDraft(req.params.id, false)));
+
+app.post('/email-drafts/:id/revise', llmRateLimit, crudRoute(async (req) => {
+  const instructions = requirePrompt(req.body?.instructions, 'instructions');
+  const draft = findEmailDraft(req.params.id);
+  requireUnsent(draft);
+  const revision = await reviseEmail(draft, instructions);
+  return applyEmailRevision(draft.id, instructions, revision);
+}));
+
+app.get('/email-drafts/:id/versions', crudRoute((req) => findEmailDraft(req.params.id).versions));
+
+// ?from=<version>&to=<version>; by default the latest version against the one before
+app.get('/email-drafts/:id/diff', crudRoute((req) =>
+  diffEmailDraftVersions(req.params.id, { from: req.query.from, to: req.query.to })
+));
+
+app.post('/email-drafts/:id/versions/:version/restore', crudRoute((req) =>
+  restoreEmailDraftVersion(req.params.id, req.params.version)
+));
+
+app.get('/webhooks', (_, res) => {
+  res.json(userStore().webhooks);
+});
+
+// Body: { url, events, description?, active? }; events are names from
+// WEBHOOK_EVENTS, prefixes such as "reminder_*", or "*"
+app.post('/webhooks', crudRoute((req) => createWebhook(req.body ?? {}), 201));
+
+app.patch('/webhooks/:id', crudRoute((req) =>
+  updateWebhook(req.params.id, requirePatch(req.body, ['url', 'events', 'description', 'active', 'rotateSecret']))
+));
+
+app.delete('/webhooks/:id', crudRoute((req) => deleteWebhook(req.params.id)));
+
+app.post('/webhooks/:id/test', crudRoute((req) => testWebhook(req.params.id)));
+
+// Newest first; ?status=failed and ?limit= narrow the list
+app.get('/webhooks/:id/deliveries', crudRoute((req) =>
+  webhookDeliveries(req.params.id, { status: req.query.status, limit: req.query.limit })
+));
+
+app.post('/webhooks/deliveries/:id/redeliver', crudRoute((req) => redeliverWebhook(req.params.id)));
+
+// ?archived=true lists only archived projects, ?archived=false only the others
+app.get('/projects', (req, res) => {
+  const { archived } = req.query;
+  res.json(
+    userStore()
+      .projects.filter((project) => archived === undefined || Boolean(project.archivedAt) === (archived === 'true'))
+      .map(projectSummary)
+  );
+});
+
+app.post('/projects', crudRoute((req) => projectSummary(createProject(req.body ?? {})), 201));
+
+app.get('/projects/:id', crudRoute((req) => projectSummary(findProject(req.params.id))));
+
+app.patch('/projects/:id', crudRoute((req) =>
+  projectSummary(updateProject(req.params.id, requirePatch(req.body, ['name', 'description', 'archived'])))
+));
+
+app.delete('/projects/:id', crudRoute((req) => deleteProject(req.params.id)));
+
+// Everything in one project, shaped like /state; ?tag= narrows it further
+app.get('/projects/:id/state', crudRoute((req) => {
+  const project = findProject(req.params.id);
+  const filter = { tag: req.query.tag ? normalizeTag(req.query.tag) : null, projectId: project.id };
+  const items = (collection) => userStore()[collection].filter((item) => matchesOrganization(item, filter));
+  return {
+    project: projectSummary(project),
+    tasks: items('tasks'),
+    notes: items('notes'),
+    reminders: items('reminders'),
+  };
+}));
+
+app.get('/tags', (_, res) => {
+  res.json(tagSummary());
+});
+
+app.get('/settings', (_, res) => {
+  res.json(userSettings());
+});
+
+// Body: { timeZone } as an IANA name, or null for the server's zone
+app.patch('/settings', crudRoute((req) => updateUserSettings(requirePatch(req.body, ['timeZone']))));
+
+// Today's LLM token usage against the budgets, and the last ?days=<n> days
+app.get('/usage', crudRoute((req) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    throw httpError(400, 'days must be a whole number from 1 to 90.');
+  }
+  return usageLedger.report(req.user.id, { limit: days });
+}));
+
+app.get('/email/settings', (_, res) => {
+  res.json(emailSettings());
+});
+
+// Body: { signature, defaultTone } where defaultTone is a tone preset id, name or null
+app.patch('/email/settings', crudRoute((req) =>
+  updateEmailSettings(requirePatch(req.body, ['signature', 'defaultTone']))
+));
+
+app.get('/email/templates', (_, res) => {
+  res.json({ templates: emailTemplates(), storePlaceholders: STORE_PLACEHOLDERS });
+});
+
+app.post('/email/templates', crudRoute((req) => createEmailTemplate(req.body ?? {}), 201));
+
+app.patch('/email/templates/:id', crudRoute((req) =>
+  updateEmailTemplate(req.params.id, requirePatch(req.body, ['name', 'subject', 'body', 'tone']))
+));
+
+app.delete('/email/templates/:id', crudRoute((req) => deleteEmailTemplate(req.params.id)));
+
+// Body: optional { values }. Returns { subject, body, missing } with the signature added.
+app.post('/email/templates/:id/preview', crudRoute((req) =>
+  previewEmailTemplate(req.params.id, req.body?.values)
+));
+
+app.get('/email/tones', (_, res) => {
+  res.json(tonePresets());
+});
+
+app.post('/email/tones', crudRoute((req) => createTonePreset(req.body ?? {}), 201));
+
+app.patch('/email/tones/:id', crudRoute((req) =>
+  updateTonePreset(req.params.id, requirePatch(req.body, ['name', 'instructions']))
+));
+
+app.delete('/email/tones/:id', crudRoute((req) => deleteTonePreset(req.params.id)));
+
+// Oversized or malformed request bodies get a JSON error like every other failure
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than the ${Math.round(error.limit / 1024)} KB limit.` });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON.' });
   }
+  console.error(`${req.method} ${req.path} error:`, error);
+  return res.status(error.status || 500).json({ error: 'Something went wrong.' });
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,70 @@
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+
+// Providers are configured from the environment. LLM_* settings apply to every
+// operation and <OPERATION>_LLM_* overrides them for one operation, e.g.
+// EMAIL_LLM_PROVIDER=ollama with EMAIL_LLM_MODEL=llama3.1 drafts emails locally
+// while the agent keeps using OpenAI.
+//
+// Every provider exposes complete({ messages, temperature, json, model, onToken, input })
+// resolving to { content, usage, model }. With `onToken` the reply is streamed and
+// each text delta is passed to it as it arrives. `input` is the user's request on its
+// own; real providers ignore it and the mock matches its canned responses against it.
+const PROVIDERS = ['openai', 'openai-compatible', 'ollama', 'mock'];
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'default',
+  ollama: 'llama3.1',
+  mock: 'mock',
+};
+
+const readConfig = (operation, env = process.env) => {
+  const prefix = `${operation.toUpperCase()}_LLM_`;
+  const pick = (key) => env[`${prefix}${key}`] || env[`LLM_${key}`];
+  const provider = pick('PROVIDER') || 'openai';
+  return {
+    provider,
+    model: pick('MODEL') || (provider === 'openai' && env.OPENAI_MODEL) || DEFAULT_MODELS[provider],
+    baseURL: pick('BASE_URL'),
+    // OPENAI_API_KEY is only ever sent to OpenAI itself, never to a custom base URL
+    apiKey: pick('API_KEY') || (provider === 'openai' ? env.OPENAI_API_KEY : undefined),
+    responses: pick('MOCK_RESPONSES'),
+  };
+};
+
+const createProvider = (config) => {
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider({ ...config, name: 'openai' });
+    case 'openai-compatible':
+      if (!config.baseURL) {
+        throw new Error('The openai-compatible LLM provider requires LLM_BASE_URL.');
+      }
+      return createOpenAIProvider({ ...config, name: 'openai-compatible' });
+    case 'ollama':
+      return createOllamaProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}. Use one of: ${PROVIDERS.join(', ')}.`);
+  }
+};
+
+const providers = new Map();
+
+// Returns the (cached) provider configured for an operation such as "agent" or "email".
+const getProvider = (operation) => {
+  if (!providers.has(operation)) {
+    providers.set(operation, createProvider(readConfig(operation)));
+  }
+  return providers.get(operation);
+};
+
+// Lets callers swap in a provider directly, e.g. a mock with inline responses.
+const setProvider = (operation, provider) => {
+  providers.set(operation, provider);
+};
+
+module.exports = { PROVIDERS, createProvider, getProvider, setProvider, readConfig };
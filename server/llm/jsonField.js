@@ -0,0 +1,53 @@
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Follows a streamed JSON reply and passes along the decoded text of one
+// top-level string field as it arrives, e.g. the "body" of an email draft while
+// the model is still writing it. Returns a function to feed each delta to.
+const streamJsonField = (field, onText) => {
+  const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+  let buffer = '';
+  let state = 'seeking';
+
+  return (delta) => {
+    if (state === 'done') return;
+    buffer += delta;
+
+    if (state === 'seeking') {
+      const match = opening.exec(buffer);
+      if (!match) return;
+      buffer = buffer.slice(match.index + match[0].length);
+      state = 'reading';
+    }
+
+    let text = '';
+    let index = 0;
+    while (index < buffer.length) {
+      const char = buffer[index];
+      if (char === '"') {
+        state = 'done';
+        break;
+      }
+      if (char !== '\\') {
+        text += char;
+        index += 1;
+        continue;
+      }
+      // Escapes can be split across deltas; wait for the rest
+      const code = buffer[index + 1];
+      if (code === undefined) break;
+      if (code === 'u') {
+        const hex = buffer.slice(index + 2, index + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        index += 6;
+      } else {
+        text += ESCAPES[code] ?? code;
+        index += 2;
+      }
+    }
+    buffer = buffer.slice(index);
+    if (text) onText(text);
+  };
+};
+
+module.exports = { streamJsonField };
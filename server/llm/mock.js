@@ -0,0 +1,66 @@
+const fs = require('fs');
+
+// Replays canned completions so the agent pipeline runs without network access.
+// Each entry is either a string (served in order, the last one repeats) or
+// { match, response } where `match` is a regex tested against the request's `input`
+// (the user's own words, without the context the prompt wraps around them), or the
+// latest user message when there is none. Every request is recorded in `calls`.
+const loadResponses = (source) => {
+  if (!source) return [];
+  if (Array.isArray(source)) return source;
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+};
+
+const createMockProvider = ({ model = 'mock', responses } = {}) => {
+  const entries = loadResponses(responses).map((entry) =>
+    typeof entry === 'string' ? { response: entry } : entry
+  );
+  const sequential = entries.filter((entry) => !entry.match);
+  const matchers = entries
+    .filter((entry) => entry.match)
+    .map((entry) => ({ ...entry, pattern: new RegExp(entry.match, 'i') }));
+  const calls = [];
+  let cursor = 0;
+
+  const nextResponse = (prompt) => {
+    const matched = matchers.find(({ pattern }) => pattern.test(prompt));
+    if (matched) return matched.response;
+    if (sequential.length === 0) {
+      throw new Error('Mock LLM provider has no canned response for this request.');
+    }
+    const entry = sequential[Math.min(cursor, sequential.length - 1)];
+    cursor += 1;
+    return entry.response;
+  };
+
+  return {
+    name: 'mock',
+    model,
+    isConfigured: true,
+    calls,
+    complete: async (request) => {
+      calls.push(request);
+      const prompt =
+        request.input ?? [...request.messages].reverse().find((m) => m.role === 'user')?.content ?? '';
+      const response = nextResponse(prompt);
+      const content = typeof response === 'string' ? response : JSON.stringify(response);
+      if (request.onToken) {
+        // Replay word by word, yielding between chunks like a real stream
+        for (const delta of content.match(/\S+\s*|\s+/g) ?? []) {
+          await new Promise((resolve) => setImmediate(resolve));
+          request.onToken(delta);
+        }
+      }
+      // Rough counts (four characters a token) so usage and budgets can be tried out
+      const promptTokens = Math.ceil(request.messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        model: request.model || model,
+      };
+    },
+  };
+};
+
+module.exports = { createMockProvider };
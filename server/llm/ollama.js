@@ -0,0 +1,62 @@
+// Adapter for Ollama's native chat API (http://localhost:11434 by default).
+const createOllamaProvider = ({ baseURL = 'http://localhost:11434', model }) => {
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/api/chat`;
+
+  return {
+    name: 'ollama',
+    model,
+    isConfigured: true,
+    complete: async ({ messages, temperature = 0.2, json = false, model: override, onToken }) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: override || model,
+          messages,
+          stream: Boolean(onToken),
+          ...(json ? { format: 'json' } : {}),
+          options: { temperature },
+        }),
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Ollama request failed (${response.status}): ${detail || response.statusText}`);
+      }
+
+      let data;
+      let content = '';
+      if (onToken) {
+        // Streaming replies are newline-delimited JSON; the last line has done: true
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.filter((line) => line.trim()).forEach((line) => {
+            data = JSON.parse(line);
+            const delta = data.message?.content;
+            if (delta) {
+              content += delta;
+              onToken(delta);
+            }
+          });
+        }
+        if (buffer.trim()) data = JSON.parse(buffer);
+      } else {
+        data = await response.json();
+        content = data.message?.content;
+      }
+
+      const promptTokens = data?.prompt_eval_count ?? 0;
+      const completionTokens = data?.eval_count ?? 0;
+      return {
+        content,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        model: data?.model || override || model,
+      };
+    },
+  };
+};
+
+module.exports = { createOllamaProvider };
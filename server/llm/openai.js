@@ -0,0 +1,66 @@
+const { OpenAI } = require('openai');
+
+const toUsage = (usage) =>
+  usage
+    ? {
+        promptTokens: usage.prompt_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? 0,
+        totalTokens: usage.total_tokens ?? 0,
+      }
+    : null;
+
+// Adapter for OpenAI itself and for any server exposing the OpenAI chat
+// completions API (vLLM, LM Studio, llama.cpp's llama-server, OpenRouter, ...).
+const createOpenAIProvider = ({ name = 'openai', apiKey, baseURL, model }) => {
+  // Self-hosted compatible servers usually ignore the key, but the SDK insists on one
+  const key = apiKey || (baseURL ? 'not-needed' : null);
+  const client = key ? new OpenAI({ apiKey: key, baseURL: baseURL || undefined }) : null;
+
+  return {
+    name,
+    model,
+    isConfigured: Boolean(client),
+    complete: async ({ messages, temperature = 0.2, json = false, model: override, onToken }) => {
+      if (!client) {
+        throw new Error('OpenAI client is unavailable. Set OPENAI_API_KEY.');
+      }
+      const request = {
+        model: override || model,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+        messages,
+      };
+
+      if (onToken) {
+        const stream = await client.chat.completions.create({
+          ...request,
+          stream: true,
+          stream_options: { include_usage: true },
+        });
+        let content = '';
+        let usage = null;
+        let modelName = null;
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          // The final chunk carries usage and no choices
+          if (chunk.usage) usage = chunk.usage;
+          modelName ??= chunk.model;
+        }
+        return { content, usage: toUsage(usage), model: modelName || override || model };
+      }
+
+      const completion = await client.chat.completions.create(request);
+      return {
+        content: completion.choices[0].message?.content,
+        usage: toUsage(completion.usage),
+        model: completion.model || override || model,
+      };
+    },
+  };
+};
+
+module.exports = { createOpenAIProvider };
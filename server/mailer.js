@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail goes through one SMTP transport configured from the environment:
+// SMTP_HOST, SMTP_PORT (587 by default, 465 with SMTP_SECURE=true), optional
+// SMTP_USER / SMTP_PASS, and SMTP_FROM as the sender address. For local testing run
+// `npm run smtp-sink` and set SMTP_HOST=localhost SMTP_PORT=2525.
+
+const readConfig = (env = process.env) => {
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    host: env.SMTP_HOST || null,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.SMTP_FROM || (env.SMTP_USER?.includes('@') ? env.SMTP_USER : 'agent@localhost'),
+  };
+};
+
+// Connection problems and 4xx replies are temporary in SMTP terms; everything
+// else (rejected recipients, bad credentials, 5xx replies) will fail again.
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+const isTransientError = (error) =>
+  (error.responseCode >= 400 && error.responseCode < 500) || TRANSIENT_CODES.includes(error.code);
+
+const createMailer = (config = readConfig()) => {
+  const transport = config.host
+    ? nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 30000,
+      })
+    : null;
+
+  // Resolves to { messageId, accepted, rejected } once the server takes the message.
+  const send = async ({ to, cc, bcc, subject, text }) => {
+    if (!transport) {
+      throw new Error('Email sending is not configured. Set SMTP_HOST.');
+    }
+    const info = await transport.sendMail({ from: config.from, to, cc, bcc, subject, text });
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+  };
+
+  return { isConfigured: Boolean(transport), from: config.from, send };
+};
+
+module.exports = { createMailer, isTransientError };
@@ -0,0 +1,58 @@
+// Fixed-window request counters keyed by client or user. Each key may make `limit`
+// requests per `windowMs`; the window starts with the key's first request. Expired
+// windows are swept as new requests arrive, so idle clients cost nothing.
+
+const createRateLimiter = ({ limit, windowMs = 60 * 1000, now = Date.now }) => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  const sweep = (time) => {
+    if (time < nextSweep) return;
+    windows.forEach((window, key) => {
+      if (window.resetAt <= time) windows.delete(key);
+    });
+    nextSweep = time + windowMs;
+  };
+
+  // Counts one request for `key`; { allowed, limit, remaining, resetAt }
+  const take = (key) => {
+    const time = now();
+    sweep(time);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      resetAt: window.resetAt,
+    };
+  };
+
+  return { take };
+};
+
+// Express middleware counting every request against `keyOf(req)`. Responses carry
+// RateLimit-* headers; once the limit is reached they are 429s with Retry-After.
+// A limit of 0 turns the limiter off.
+const rateLimit = ({ limit, windowMs, keyOf, message = 'Too many requests.' }) => {
+  if (!limit) return (req, res, next) => next();
+  const limiter = createRateLimiter({ limit, windowMs });
+  return (req, res, next) => {
+    const { allowed, remaining, resetAt } = limiter.take(keyOf(req));
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(retryAfter),
+    });
+    if (allowed) return next();
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `${message} Try again in ${retryAfter} seconds.` });
+  };
+};
+
+module.exports = { createRateLimiter, rateLimit };
@@ -0,0 +1,448 @@
+const { parseInZone } = require('./timeZones');
+
+// Recurrence rules use a subset of RFC 5545 RRULE: FREQ (DAILY/WEEKLY/MONTHLY/YEARLY),
+// INTERVAL, BYDAY (with optional ordinal for monthly rules, e.g. 1MO or -1FR),
+// BYMONTHDAY, COUNT and UNTIL. Occurrences keep the wall-clock time of the series
+// anchor, so calendar math happens on date parts supplied by a zone adapter.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Larger intervals describe nothing a reminder needs and only make the search slower
+const MAX_INTERVAL = 366;
+// How many periods (days, weeks, months or years) nextOccurrence scans before giving
+// up: eight years' worth at INTERVAL=1, enough to reach the next 29 February.
+const SEARCH_PERIODS = { DAILY: 366 * 8, WEEKLY: 53 * 8, MONTHLY: 12 * 8, YEARLY: 8 };
+
+const DAY_ALIASES = {
+  sun: 'SU',
+  mon: 'MO',
+  tue: 'TU',
+  tues: 'TU',
+  wed: 'WE',
+  weds: 'WE',
+  thu: 'TH',
+  thur: 'TH',
+  thurs: 'TH',
+  fri: 'FR',
+  sat: 'SA',
+};
+WEEKDAY_NAMES.forEach((name, index) => {
+  DAY_ALIASES[name.toLowerCase()] = WEEKDAY_CODES[index];
+});
+
+const ORDINALS = {
+  first: 1,
+  '1st': 1,
+  second: 2,
+  '2nd': 2,
+  third: 3,
+  '3rd': 3,
+  fourth: 4,
+  '4th': 4,
+  last: -1,
+};
+
+// Default zone adapter: the server's local time zone.
+const localZone = {
+  toParts: (timestamp) => {
+    const d = new Date(timestamp);
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth() + 1,
+      day: d.getDate(),
+      hour: d.getHours(),
+      minute: d.getMinutes(),
+      second: d.getSeconds(),
+    };
+  },
+  fromParts: ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+    new Date(year, month - 1, day, hour, minute, second, 0).getTime(),
+  offset: (timestamp) => -new Date(timestamp).getTimezoneOffset(),
+};
+
+const dayNumber = ({ year, month, day }) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+const weekdayOf = (parts) => (dayNumber(parts) + 4) % 7; // 1970-01-01 was a Thursday
+const weekStartOf = (parts) => dayNumber(parts) - ((weekdayOf(parts) + 6) % 7); // WKST=MO
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const partsFromDayNumber = (number) => {
+  const d = new Date(number * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) throw new Error(`Invalid UNTIL value: ${value}`);
+  const [, y, m, d, hh = '23', mm = '59', ss = '59', utc] = match;
+  const args = [Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)];
+  return utc ? Date.UTC(...args) : new Date(...args).getTime();
+};
+
+const formatUntil = (timestamp) => {
+  const d = new Date(timestamp);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(
+    d.getUTCHours()
+  )}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const validateRule = (rule) => {
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Recurrence FREQ must be one of: ${FREQUENCIES.join(', ')}.`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+    throw new Error(`Recurrence INTERVAL must be an integer from 1 to ${MAX_INTERVAL}.`);
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new Error('Recurrence COUNT must be a positive integer.');
+  }
+  if (rule.byMonthDay.some((day) => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+    throw new Error('Recurrence BYMONTHDAY values must be between 1 and 31 (or -1 to -31).');
+  }
+  return rule;
+};
+
+const parseRule = (input) => {
+  const source = String(input).trim().replace(/^RRULE:/i, '');
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+  source.split(';').filter(Boolean).forEach((part) => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((entry) => {
+          const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          if (!match) throw new Error(`Invalid BYDAY value: ${entry}`);
+          return { weekday: match[2], nth: match[1] ? Number(match[1]) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw new Error(`Unsupported recurrence field: ${key}`);
+    }
+  });
+
+  return validateRule(rule);
+};
+
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, nth }) => `${nth ?? ''}${weekday}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+const ordinalLabel = (nth) =>
+  nth === -1 ? 'last' : ['first', 'second', 'third', 'fourth', 'fifth'][nth - 1] || `${nth}th`;
+
+const joinWords = (words) =>
+  words.length <= 1 ? words.join('') : `${words.slice(0, -1).join(', ')} and ${words.at(-1)}`;
+
+const describeRule = (rule, zone = localZone) => {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  const dayNames = rule.byDay.map(({ weekday, nth }) => {
+    const name = WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(weekday)];
+    return nth ? `${ordinalLabel(nth)} ${name}` : name;
+  });
+  const codes = rule.byDay.map(({ weekday }) => weekday).sort().join(',');
+
+  let text;
+  if (rule.freq === 'WEEKLY' && rule.interval === 1 && codes === 'FR,MO,TH,TU,WE') {
+    text = 'every weekday';
+  } else if (rule.freq === 'WEEKLY' && rule.interval === 1 && codes === 'SA,SU') {
+    text = 'every weekend';
+  } else if (rule.freq === 'WEEKLY' && dayNames.length > 0) {
+    text = rule.interval === 1
+      ? `every ${joinWords(dayNames)}`
+      : `every ${rule.interval} weeks on ${joinWords(dayNames)}`;
+  } else {
+    text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+    if (dayNames.length > 0) text += ` on the ${joinWords(dayNames)}`;
+    if (rule.byMonthDay.length > 0) {
+      const days = rule.byMonthDay.map((day) => (day === -1 ? 'last day' : `day ${day}`));
+      text += ` on ${joinWords(days)}`;
+    }
+  }
+
+  if (rule.count) text += `, ${rule.count} time${rule.count > 1 ? 's' : ''}`;
+  if (rule.until) {
+    const { year, month, day } = zone.toParts(rule.until);
+    text += `, until ${new Date(year, month - 1, day).toDateString()}`;
+  }
+  return text;
+};
+
+const matchesMonthDay = (rule, parts, anchor) => {
+  const dim = daysInMonth(parts.year, parts.month);
+  if (rule.byDay.length > 0) {
+    const weekday = WEEKDAY_CODES[weekdayOf(parts)];
+    return rule.byDay.some(({ weekday: code, nth }) => {
+      if (code !== weekday) return false;
+      if (!nth) return true;
+      if (nth > 0) return Math.ceil(parts.day / 7) === nth;
+      return parts.day > dim + 7 * nth && parts.day <= dim + 7 * (nth + 1);
+    });
+  }
+  const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [anchor.day];
+  return monthDays.some((day) => (day > 0 ? day : dim + day + 1) === parts.day);
+};
+
+const matchesDate = (rule, parts, anchor) => {
+  const interval = rule.interval || 1;
+  const weekday = WEEKDAY_CODES[weekdayOf(parts)];
+  switch (rule.freq) {
+    case 'DAILY': {
+      if ((dayNumber(parts) - dayNumber(anchor)) % interval !== 0) return false;
+      if (rule.byDay.length > 0 && !rule.byDay.some((entry) => entry.weekday === weekday)) return false;
+      return rule.byMonthDay.length === 0 || matchesMonthDay({ ...rule, byDay: [] }, parts, anchor);
+    }
+    case 'WEEKLY': {
+      if (((weekStartOf(parts) - weekStartOf(anchor)) / 7) % interval !== 0) return false;
+      const days = rule.byDay.length > 0
+        ? rule.byDay.map((entry) => entry.weekday)
+        : [WEEKDAY_CODES[weekdayOf(anchor)]];
+      return days.includes(weekday);
+    }
+    case 'MONTHLY': {
+      const months = (parts.year - anchor.year) * 12 + (parts.month - anchor.month);
+      return months % interval === 0 && matchesMonthDay(rule, parts, anchor);
+    }
+    case 'YEARLY': {
+      if ((parts.year - anchor.year) % interval !== 0 || parts.month !== anchor.month) return false;
+      return matchesMonthDay(rule, parts, anchor);
+    }
+    default:
+      return false;
+  }
+};
+
+// Day numbers covered by the k-th period of the series, counting from the period
+// holding the anchor and stepping by the rule's interval.
+const periodDays = (rule, anchor, k) => {
+  const step = k * rule.interval;
+  switch (rule.freq) {
+    case 'DAILY':
+      return [dayNumber(anchor) + step];
+    case 'WEEKLY': {
+      const first = weekStartOf(anchor) + step * 7;
+      return Array.from({ length: 7 }, (_, i) => first + i);
+    }
+    default: {
+      const months = rule.freq === 'MONTHLY' ? anchor.month - 1 + step : anchor.month - 1 + step * 12;
+      const year = anchor.year + Math.floor(months / 12);
+      const month = (months % 12) + 1;
+      const first = dayNumber({ year, month, day: 1 });
+      return Array.from({ length: daysInMonth(year, month) }, (_, i) => first + i);
+    }
+  }
+};
+
+// Index of the period holding `day`, or the one before it when `day` falls in a gap.
+const periodIndexOf = (rule, anchor, day) => {
+  const parts = partsFromDayNumber(day);
+  const span = {
+    DAILY: () => day - dayNumber(anchor),
+    WEEKLY: () => (weekStartOf(parts) - weekStartOf(anchor)) / 7,
+    MONTHLY: () => (parts.year - anchor.year) * 12 + (parts.month - anchor.month),
+    YEARLY: () => parts.year - anchor.year,
+  }[rule.freq]();
+  return Math.max(0, Math.floor(span / rule.interval));
+};
+
+// First occurrence strictly after `after`, never earlier than the anchor itself.
+// Returns null once the series has passed its UNTIL date. COUNT is tracked by the
+// caller, which knows how many occurrences have already happened. The search walks
+// whole periods of the rule, so its cost does not grow with INTERVAL.
+const nextOccurrence = (rule, anchorTime, after, zone = localZone) => {
+  const anchor = zone.toParts(anchorTime);
+  const start = Math.max(dayNumber(zone.toParts(Math.max(after, anchorTime))) - 1, dayNumber(anchor));
+  const first = periodIndexOf(rule, anchor, start);
+
+  for (let k = first; k <= first + SEARCH_PERIODS[rule.freq]; k += 1) {
+    for (const day of periodDays(rule, anchor, k)) {
+      if (day < start) continue;
+      const date = partsFromDayNumber(day);
+      if (!matchesDate(rule, date, anchor)) continue;
+      const candidate = zone.fromParts({
+        ...date,
+        hour: anchor.hour,
+        minute: anchor.minute,
+        second: anchor.second,
+      });
+      if (candidate <= after || candidate < anchorTime) continue;
+      if (rule.until && candidate > rule.until) return null;
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const dayPattern = Object.keys(DAY_ALIASES)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+const dayListPattern = `(?:${dayPattern})s?(?:\\s*(?:,|and|&|or)\\s*(?:${dayPattern})s?)*`;
+
+const toByDay = (list) =>
+  [...new Set(
+    list
+      .toLowerCase()
+      .split(/\s*(?:,|and|&|or)\s*/)
+      .map((name) => DAY_ALIASES[name.replace(/s$/, '')] || DAY_ALIASES[name])
+      .filter(Boolean)
+  )].map((weekday) => ({ weekday, nth: null }));
+
+const UNIT_FREQ = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+// Natural-language patterns, most specific first. Each returns a partial rule.
+const PHRASES = [
+  {
+    pattern: /\b(?:every|each|on)\s+weekdays?\b|\bweekdays\b/i,
+    build: () => ({ freq: 'WEEKLY', byDay: toByDay('mon,tue,wed,thu,fri') }),
+  },
+  {
+    pattern: /\b(?:every|each|on)\s+weekends?\b|\bweekends\b/i,
+    build: () => ({ freq: 'WEEKLY', byDay: toByDay('sat,sun') }),
+  },
+  {
+    pattern: new RegExp(
+      `\\b(?:(?:on|every|each)\\s+)?(?:the\\s+)?(first|second|third|fourth|last|1st|2nd|3rd|4th)\\s+(${dayPattern})\\s+(?:of\\s+)?(?:every|each|the)\\s+month\\b`,
+      'i'
+    ),
+    build: ([, ordinal, day]) => ({
+      freq: 'MONTHLY',
+      byDay: [{ weekday: DAY_ALIASES[day.toLowerCase()], nth: ORDINALS[ordinal.toLowerCase()] }],
+    }),
+  },
+  {
+    pattern: /\b(?:on\s+)?the\s+(\d{1,2}|last)(?:st|nd|rd|th)?(?:\s+day)?\s+of\s+(?:every|each|the)\s+month\b/i,
+    build: ([, day]) => ({ freq: 'MONTHLY', byMonthDay: [day.toLowerCase() === 'last' ? -1 : Number(day)] }),
+  },
+  {
+    pattern: /\b(?:every\s+month|monthly)\s+on\s+the\s+(\d{1,2}|last)(?:st|nd|rd|th)?(?:\s+day)?\b/i,
+    build: ([, day]) => ({ freq: 'MONTHLY', byMonthDay: [day.toLowerCase() === 'last' ? -1 : Number(day)] }),
+  },
+  {
+    pattern: new RegExp(`\\bevery\\s+(other|\\d+(?:st|nd|rd|th)?)\\s+(?:week\\s+on\\s+)?(${dayListPattern})\\b`, 'i'),
+    build: ([, every, days]) => ({
+      freq: 'WEEKLY',
+      interval: every.toLowerCase() === 'other' ? 2 : parseInt(every, 10),
+      byDay: toByDay(days),
+    }),
+  },
+  {
+    pattern: /\bevery\s+(other|\d+)\s+(day|week|month|year)s?\b/i,
+    build: ([, every, unit]) => ({
+      freq: UNIT_FREQ[unit.toLowerCase()],
+      interval: every.toLowerCase() === 'other' ? 2 : Number(every),
+    }),
+  },
+  {
+    pattern: new RegExp(`\\b(?:every|each)\\s+(${dayListPattern})\\b|\\bon\\s+(${dayPattern})s(?:\\s*(?:,|and|&)\\s*(?:${dayPattern})s)*\\b`, 'i'),
+    build: ([match]) => ({
+      freq: 'WEEKLY',
+      byDay: toByDay(match.replace(/^(?:every|each|on)\s+/, '')),
+    }),
+  },
+  {
+    pattern: /\b(?:every|each)\s+(?:day|morning|evening|night|afternoon)\b|\b(?:daily|nightly)\b/i,
+    build: () => ({ freq: 'DAILY' }),
+  },
+  { pattern: /\b(?:every|each)\s+week\b|\bweekly\b/i, build: () => ({ freq: 'WEEKLY' }) },
+  { pattern: /\b(?:every|each)\s+month\b|\bmonthly\b/i, build: () => ({ freq: 'MONTHLY' }) },
+  {
+    pattern: /\b(?:every|each)\s+year\b|\b(?:yearly|annually)\b/i,
+    build: () => ({ freq: 'YEARLY' }),
+  },
+];
+
+const END_PHRASES = [
+  {
+    pattern: /\b(?:for\s+)?(\d+)\s+(?:times|occurrences)\b/i,
+    apply: (rule, [, count]) => {
+      rule.count = Number(count);
+    },
+  },
+  {
+    pattern: /\buntil\s+(.+?)(?=\s+(?:at|to|that)\b|$)/i,
+    apply: (rule, [, phrase], { now, zone }) => {
+      const until = parseInZone(phrase, zone, { now });
+      if (until) rule.until = zone.fromParts({ ...until.date, hour: 23, minute: 59, second: 59 });
+    },
+  },
+];
+
+// Parses either an RRULE string or a phrase like "every weekday" / "every other
+// Monday until June". Returns { rule, rrule, description, remainder } where the
+// remainder is the input with the recurrence wording stripped, or null when the
+// text describes no recurrence. An UNTIL date covers that whole day in `zone`.
+const parseRecurrence = (input, { now = Date.now(), zone = localZone } = {}) => {
+  if (!input || typeof input !== 'string') return null;
+  const text = input.trim();
+
+  if (/^(?:RRULE:)?FREQ=/i.test(text)) {
+    const rule = parseRule(text);
+    return { rule, rrule: formatRule(rule), description: describeRule(rule, zone), remainder: '' };
+  }
+
+  let remainder = text;
+  let rule = null;
+  for (const { pattern, build } of PHRASES) {
+    const match = pattern.exec(remainder);
+    if (match) {
+      rule = { interval: 1, byDay: [], byMonthDay: [], count: null, until: null, ...build(match) };
+      remainder = remainder.replace(match[0], ' ');
+      break;
+    }
+  }
+  if (!rule) return null;
+  validateRule(rule);
+
+  END_PHRASES.forEach(({ pattern, apply }) => {
+    const match = pattern.exec(remainder);
+    if (match) {
+      apply(rule, match, { now, zone });
+      remainder = remainder.replace(match[0], ' ');
+    }
+  });
+
+  return {
+    rule,
+    rrule: formatRule(rule),
+    description: describeRule(rule, zone),
+    remainder: remainder.replace(/\s+/g, ' ').trim(),
+  };
+};
+
+module.exports = {
+  localZone,
+  parseRule,
+  formatRule,
+  describeRule,
+  nextOccurrence,
+  parseRecurrence,
+};
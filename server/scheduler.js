@@ -0,0 +1,152 @@
+// Single-timer job scheduler backed by a binary min-heap ordered by due time.
+//
+// Only one host timer is armed at a time, for the earliest job. Waits are capped at
+// `maxSleep`, so due times beyond setTimeout's 32-bit limit work, and clock jumps
+// or system sleep are noticed on the next wake-up: every wake re-reads `now()`
+// and runs whatever has come due. Clock and timer functions are injectable so the
+// scheduler can be driven by a fake clock.
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const createScheduler = ({
+  now = Date.now,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  maxSleep = 60 * 1000,
+  onError = (error, id) => console.error(`Scheduled job ${id} failed:`, error),
+} = {}) => {
+  const heap = [];
+  const jobs = new Map();
+  let timer = null;
+  let wakeAt = null;
+  let sequence = 0;
+
+  // Ties on due time run in insertion order
+  const before = (a, b) => a.dueTime < b.dueTime || (a.dueTime === b.dueTime && a.seq < b.seq);
+
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+    heap[i].index = i;
+    heap[j].index = j;
+  };
+
+  const siftUp = (index) => {
+    let i = index;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const siftDown = (index) => {
+    let i = index;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+      if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+      if (smallest === i) break;
+      swap(i, smallest);
+      i = smallest;
+    }
+  };
+
+  const removeAt = (index) => {
+    const last = heap.pop();
+    if (index < heap.length) {
+      heap[index] = last;
+      last.index = index;
+      siftDown(index);
+      siftUp(index);
+    }
+  };
+
+  const disarm = () => {
+    if (timer !== null) {
+      clearTimer(timer);
+      timer = null;
+      wakeAt = null;
+    }
+  };
+
+  const arm = () => {
+    if (heap.length === 0) {
+      disarm();
+      return;
+    }
+    const current = now();
+    const target = Math.min(heap[0].dueTime, current + maxSleep);
+    if (timer !== null && wakeAt === target) return;
+    disarm();
+    const delay = Math.min(Math.max(target - current, 0), MAX_TIMER_DELAY);
+    wakeAt = target;
+    timer = setTimer(() => {
+      timer = null;
+      wakeAt = null;
+      tick();
+    }, delay);
+    timer?.unref?.();
+  };
+
+  // Runs every job whose due time has passed, then re-arms for the next one.
+  const tick = () => {
+    const current = now();
+    while (heap.length > 0 && heap[0].dueTime <= current) {
+      const job = heap[0];
+      removeAt(0);
+      jobs.delete(job.id);
+      try {
+        job.callback();
+      } catch (error) {
+        onError(error, job.id);
+      }
+    }
+    arm();
+  };
+
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return false;
+    jobs.delete(id);
+    removeAt(job.index);
+    arm();
+    return true;
+  };
+
+  // Scheduling an id that is already queued replaces the earlier job.
+  const schedule = (id, dueTime, callback) => {
+    if (!Number.isFinite(dueTime)) {
+      throw new Error(`Cannot schedule ${id}: due time must be a finite timestamp.`);
+    }
+    cancel(id);
+    const job = { id, dueTime, callback, seq: sequence++, index: heap.length };
+    heap.push(job);
+    jobs.set(id, job);
+    siftUp(job.index);
+    arm();
+  };
+
+  const stop = () => {
+    disarm();
+    heap.length = 0;
+    jobs.clear();
+  };
+
+  return {
+    schedule,
+    cancel,
+    tick,
+    stop,
+    has: (id) => jobs.has(id),
+    dueTimeOf: (id) => jobs.get(id)?.dueTime ?? null,
+    nextDueTime: () => heap[0]?.dueTime ?? null,
+    get size() {
+      return heap.length;
+    },
+  };
+};
+
+module.exports = { createScheduler, MAX_TIMER_DELAY };
@@ -0,0 +1,168 @@
+// In-memory full-text index over a workspace's items. Documents are
+// { key, fields: { name: text }, weights: { name: number } }; each word is
+// lowercased and lightly stemmed, and an inverted index maps every term to the
+// documents containing it. Queries match all of their words, each one
+// exactly, as a prefix of a longer word or within a small edit distance.
+
+const STOP_WORDS = new Set(
+  'a an and are about as at be by for from has have i in is it its me my of on or our that the this to was were with'.split(' ')
+);
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Weights for how a query word reached a term
+const EXACT = 1;
+const PREFIX = 0.7;
+const FUZZY = 0.5;
+
+// Plural first, so "meetings" and "meeting" both become "meet"
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  let base = word;
+  if (base.endsWith('ies') && base.length > 4) return `${base.slice(0, -3)}y`;
+  if (base.endsWith('s') && !base.endsWith('ss')) base = base.slice(0, -1);
+  if (base.endsWith('ing') && base.length > 5) return base.slice(0, -3);
+  if (base.endsWith('ed') && base.length > 4) return base.slice(0, -2);
+  return base;
+};
+
+// [{ term, start, end }] for every indexable word of `text`
+const tokenize = (text) =>
+  [...String(text ?? '').matchAll(WORD)]
+    .map((match) => ({
+      term: stem(match[0].toLowerCase()),
+      start: match.index,
+      end: match.index + match[0].length,
+    }))
+    .filter(({ term }) => !STOP_WORDS.has(term));
+
+const queryTerms = (query) => [...new Set(tokenize(query).map(({ term }) => term))];
+
+// Levenshtein distance, giving up once it is certain to exceed `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words must match exactly; longer ones may be off by one or two letters
+const typoLimit = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+const createSearchIndex = () => {
+  const documents = new Map();
+  const postings = new Map();
+
+  const unindex = (key) => {
+    const document = documents.get(key);
+    if (!document) return;
+    document.terms.forEach((_, term) => {
+      const entries = postings.get(term);
+      entries.delete(key);
+      if (entries.size === 0) postings.delete(term);
+    });
+    documents.delete(key);
+  };
+
+  const index = ({ key, fields, weights = {} }) => {
+    unindex(key);
+    const terms = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach(({ term }) => {
+        terms.set(term, (terms.get(term) ?? 0) + (weights[field] ?? 1));
+      });
+    });
+    documents.set(key, { terms, signature: JSON.stringify(fields) });
+    terms.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(key, weight);
+    });
+  };
+
+  // Brings the index in line with the current documents, re-tokenizing only the
+  // ones whose text changed since the last call.
+  const sync = (current) => {
+    const keys = new Set(current.map(({ key }) => key));
+    [...documents.keys()].filter((key) => !keys.has(key)).forEach(unindex);
+    current.forEach((document) => {
+      if (documents.get(document.key)?.signature !== JSON.stringify(document.fields)) index(document);
+    });
+  };
+
+  // The index terms a query word can stand for, with how well each one matches
+  const expand = (word) => {
+    const matches = new Map();
+    if (postings.has(word)) matches.set(word, EXACT);
+    const limit = typoLimit(word);
+    postings.forEach((_, term) => {
+      if (matches.has(term)) return;
+      if (word.length >= 3 && term.startsWith(word)) matches.set(term, PREFIX);
+      else if (limit > 0 && editDistance(word, term, limit) <= limit) matches.set(term, FUZZY);
+    });
+    return matches;
+  };
+
+  // Returns [{ key, score, terms }] for documents matching every word of the
+  // query, best first; `terms` are the index terms that matched, for highlighting.
+  const search = (query) => {
+    const words = queryTerms(query);
+    if (words.length === 0) return [];
+    const total = documents.size;
+    let results = null;
+
+    words.forEach((word) => {
+      const scores = new Map();
+      expand(word).forEach((quality, term) => {
+        const entries = postings.get(term);
+        const idf = Math.log(1 + total / entries.size);
+        entries.forEach((weight, key) => {
+          const score = weight * idf * quality;
+          const best = scores.get(key);
+          if (!best || score > best.score) scores.set(key, { score, terms: [...(best?.terms ?? []), term] });
+          else best.terms.push(term);
+        });
+      });
+      if (results === null) {
+        results = scores;
+        return;
+      }
+      const narrowed = new Map();
+      results.forEach((result, key) => {
+        const match = scores.get(key);
+        if (match) {
+          narrowed.set(key, { score: result.score + match.score, terms: [...result.terms, ...match.terms] });
+        }
+      });
+      results = narrowed;
+    });
+
+    return [...results]
+      .map(([key, { score, terms }]) => ({ key, score, terms: new Set(terms) }))
+      .sort((a, b) => b.score - a.score);
+  };
+
+  return { sync, search, size: () => documents.size };
+};
+
+// [[start, end], ...] character ranges of `text` whose words are in `terms`
+const highlightRanges = (text, terms) =>
+  tokenize(text)
+    .filter(({ term }) => terms.has(term))
+    .map(({ start, end }) => [start, end]);
+
+module.exports = { createSearchIndex, highlightRanges, queryTerms };
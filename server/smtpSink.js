@@ -0,0 +1,126 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+// A local SMTP server that accepts every message and delivers it nowhere, for
+// trying out email sending without a real mail account. Messages are printed and,
+// with SMTP_SINK_DIR set, saved there as .eml files. Recipients at
+// defer.invalid get a temporary 451 and those at reject.invalid a permanent 550,
+// so retries and failures can be exercised too.
+//
+//   npm run smtp-sink            # listens on port 2525 (SMTP_SINK_PORT)
+
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const createSmtpSink = ({ hostname = 'localhost', onMessage = () => {} } = {}) =>
+  net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    const reset = () => {
+      envelope = { from: null, to: [] };
+      data = null;
+    };
+
+    const handleCommand = (line) => {
+      const [verb] = line.split(/\s+/, 1);
+      const argument = line.slice(verb.length).trim();
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          reply(`250-${hostname} sink`);
+          reply(`250 SIZE ${MAX_MESSAGE_BYTES}`);
+          break;
+        case 'HELO':
+          reply(`250 ${hostname} sink`);
+          break;
+        case 'MAIL':
+          reset();
+          envelope.from = /<([^>]*)>/.exec(argument)?.[1] ?? '';
+          reply('250 OK');
+          break;
+        case 'RCPT': {
+          const address = /<([^>]*)>/.exec(argument)?.[1] ?? '';
+          if (/@defer\.invalid$/i.test(address)) {
+            reply(`451 4.3.0 ${address}: try again later`);
+          } else if (/@reject\.invalid$/i.test(address)) {
+            reply(`550 5.1.1 ${address}: no such user`);
+          } else {
+            envelope.to.push(address);
+            reply('250 OK');
+          }
+          break;
+        }
+        case 'DATA':
+          if (envelope.to.length === 0) {
+            reply('554 5.5.1 No valid recipients');
+            break;
+          }
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          reset();
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 5.5.2 Command not implemented');
+      }
+    };
+
+    const handleDataLine = (line) => {
+      if (line !== '.') {
+        // Lines starting with a dot are escaped with an extra one
+        data.push(line.startsWith('.') ? line.slice(1) : line);
+        return;
+      }
+      const message = { ...envelope, raw: data.join('\r\n'), receivedAt: Date.now() };
+      reset();
+      onMessage(message);
+      reply('250 OK: message accepted');
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\r\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (data) handleDataLine(line);
+        else handleCommand(line);
+        newline = buffer.indexOf('\r\n');
+      }
+    });
+    socket.on('error', () => socket.destroy());
+    reply(`220 ${hostname} SMTP sink ready`);
+  });
+
+if (require.main === module) {
+  const port = Number(process.env.SMTP_SINK_PORT) || 2525;
+  const directory = process.env.SMTP_SINK_DIR;
+  if (directory) fs.mkdirSync(directory, { recursive: true });
+
+  createSmtpSink({
+    onMessage: (message) => {
+      const subject = /^Subject: (.*)$/im.exec(message.raw)?.[1] ?? '(no subject)';
+      console.log(`Message from ${message.from} to ${message.to.join(', ')}: ${subject}`);
+      if (directory) {
+        const file = path.join(directory, `${message.receivedAt}-${Math.random().toString(36).slice(2, 8)}.eml`);
+        fs.writeFileSync(file, message.raw);
+      }
+    },
+  }).listen(port, () => {
+    console.log(`SMTP sink listening on localhost:${port}`);
+  });
+}
+
+module.exports = { createSmtpSink };
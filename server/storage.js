@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends share a tiny interface: load() returns the last saved
+// snapshot (or null when nothing has been saved yet) and save(state) replaces it.
+
+const createMemoryStorage = () => {
+  let snapshot = null;
+  return {
+    name: 'memory',
+    load: () => (snapshot ? JSON.parse(snapshot) : null),
+    save: (state) => {
+      snapshot = JSON.stringify(state);
+    },
+  };
+};
+
+const createJsonFileStorage = (filePath) => {
+  const resolved = path.resolve(filePath);
+  return {
+    name: 'json',
+    load: () => {
+      if (!fs.existsSync(resolved)) return null;
+      const raw = fs.readFileSync(resolved, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : null;
+    },
+    save: (state) => {
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      // Write to a temp file first so a crash mid-write never truncates the store
+      const tmpPath = `${resolved}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, resolved);
+    },
+  };
+};
+
+const createStorage = ({ driver = 'json', filePath } = {}) => {
+  switch (driver) {
+    case 'json':
+      return createJsonFileStorage(filePath || path.join(__dirname, 'data', 'store.json'));
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Use "json" or "memory".`);
+  }
+};
+
+module.exports = { createStorage, createJsonFileStorage, createMemoryStorage };
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccounts } = require('../accounts');
+const { startServer } = require('./support/server');
+
+const PASSWORD = 'correct horse battery';
+
+test('registers, signs in and resolves tokens', () => {
+  const accounts = createAccounts();
+  const user = accounts.register({ username: 'Alice', password: PASSWORD });
+  assert.equal(user.username, 'alice');
+  assert.equal(user.passwordHash, undefined);
+
+  const { token } = accounts.login({ username: 'alice', password: PASSWORD });
+  assert.equal(accounts.authenticate(token).user.id, user.id);
+  assert.equal(accounts.authenticate('not-a-token'), null);
+  assert.throws(() => accounts.login({ username: 'alice', password: 'wrong password' }), { status: 401 });
+});
+
+test('rejects bad usernames, short passwords and duplicates', () => {
+  const accounts = createAccounts();
+  assert.throws(() => accounts.register({ username: 'a', password: PASSWORD }), { status: 400 });
+  assert.throws(() => accounts.register({ username: 'alice', password: 'short' }), { status: 400 });
+  accounts.register({ username: 'alice', password: PASSWORD });
+  assert.throws(() => accounts.register({ username: 'ALICE', password: PASSWORD }), { status: 409 });
+});
+
+test('session tokens expire, API tokens last until revoked', () => {
+  let time = 0;
+  const accounts = createAccounts({}, { now: () => time });
+  const user = accounts.register({ username: 'alice', password: PASSWORD });
+  const session = accounts.issueToken(user.id);
+  const api = accounts.issueToken(user.id, { kind: 'api', label: 'scripts' });
+
+  time = 31 * 24 * 60 * 60 * 1000;
+  assert.equal(accounts.authenticate(session.token), null);
+  assert.ok(accounts.authenticate(api.token));
+  assert.deepEqual(
+    accounts.toJSON().tokens.map(({ kind }) => kind),
+    ['api']
+  );
+
+  accounts.revokeToken(user.id, api.record.id);
+  assert.equal(accounts.authenticate(api.token), null);
+});
+
+test('every user works in their own workspace', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const alice = await server.register('alice');
+  const bob = await server.register('bob');
+
+  await server.call('/tasks', { method: 'POST', body: { description: 'Alice only' }, token: alice });
+  const { body: bobState } = await server.call('/state', { token: bob });
+  assert.deepEqual(bobState.tasks, []);
+  const { body: aliceState } = await server.call('/state', { token: alice });
+  const [task] = aliceState.tasks;
+  assert.equal(task.description, 'Alice only');
+
+  assert.equal((await server.call(`/tasks/${task.id}`, { method: 'DELETE', token: bob })).status, 404);
+  assert.equal((await server.call('/state')).status, 401);
+});
+
+test('?token= is only accepted where headers cannot be sent', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('alice');
+
+  assert.equal((await server.call(`/state?token=${token}`)).status, 401);
+  assert.equal((await server.call(`/calendar.ics?token=${token}`)).status, 200);
+});
+
+test('only the first account can register unless ALLOW_REGISTRATION is set', async (t) => {
+  const server = await startServer({ ALLOW_REGISTRATION: '' });
+  t.after(() => server.stop());
+  await server.register('alice');
+
+  const { status } = await server.call('/auth/register', {
+    method: 'POST',
+    body: { username: 'mallory', password: PASSWORD },
+  });
+  assert.equal(status, 403);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAction } = require('../actionSchema');
+const { startServer } = require('./support/server');
+
+test('accepts well-formed actions', () => {
+  assert.deepEqual(validateAction({ action: 'add_task', payload: { description: 'File taxes' } }), []);
+  assert.deepEqual(validateAction({ action: 'schedule_reminder', payload: { message: 'Stretch', dueTime: 5 } }), []);
+});
+
+test('reports each problem with its path', () => {
+  assert.deepEqual(validateAction({ action: 'add_task', payload: {} }), [
+    { path: 'payload.description', message: 'is required' },
+  ]);
+  assert.deepEqual(validateAction({ action: 'add_task', payload: { description: 'x', priority: 'urgent', color: 'red' } }), [
+    { path: 'payload.priority', message: 'must be one of: low, medium, high' },
+    { path: 'payload.color', message: 'is not a recognised field' },
+  ]);
+  assert.match(validateAction({ action: 'update_task', payload: { taskId: 't1' } })[0].message, /at least one of/);
+  assert.equal(validateAction({ action: 'fly', payload: {} })[0].path, 'action');
+  assert.equal(validateAction(null)[0].message, 'must be object');
+});
+
+test('plans are validated up front and applied all or nothing', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const confirm = (actions) => server.call('/agent/confirm', { method: 'POST', body: { actions }, token });
+
+  const invalid = await confirm([
+    { action: 'add_task', payload: { description: 'Pay rent' } },
+    { action: 'add_task', payload: {} },
+  ]);
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.validationErrors.map(({ index }) => index), [1]);
+
+  // Passes validation, but the third action finds the task already gone
+  const { body: task } = await server.call('/tasks', { method: 'POST', body: { description: 'File taxes' }, token });
+  const failing = await confirm([
+    { action: 'add_task', payload: { description: 'Pay rent' } },
+    { action: 'delete_task', payload: { taskId: task.id } },
+    { action: 'complete_task', payload: { taskId: task.id } },
+  ]);
+  assert.equal(failing.status, 404);
+  assert.equal(failing.body.rolledBack, true);
+  assert.deepEqual(failing.body.failedAction, { index: 2, action: 'complete_task' });
+
+  const { body: state } = await server.call('/state', { token });
+  assert.deepEqual(
+    state.tasks.map(({ description }) => description),
+    ['File taxes']
+  );
+});
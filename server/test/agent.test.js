@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer } = require('./support/server');
+
+// The agent pipeline end to end, planned by the mock provider's canned responses
+let server;
+let token;
+
+const ask = (text) => server.call('/agent', { method: 'POST', body: { text }, token });
+const state = async () => (await server.call('/state', { token })).body;
+
+test.before(async () => {
+  server = await startServer({
+    AGENT_PARSER: 'model',
+    LLM_PROVIDER: 'mock',
+    LLM_MOCK_RESPONSES: path.join(__dirname, '..', 'llm', 'mock-responses.example.json'),
+  });
+  token = await server.register('tester');
+});
+
+test.after(() => server?.stop());
+
+test('a reminder request is planned by the mock model and scheduled', async () => {
+  const { status, body } = await ask('remind me to stretch');
+  assert.equal(status, 200);
+  assert.equal(body.parser, 'mock');
+
+  const { reminders } = await state();
+  assert.deepEqual(
+    reminders.map(({ message, status: reminderStatus }) => ({ message, status: reminderStatus })),
+    [{ message: 'Stretch', status: 'scheduled' }]
+  );
+});
+
+test('requests matching no pattern fall through to the default note', async () => {
+  await ask('take a note');
+  const { notes, emailDrafts } = await state();
+  assert.deepEqual(
+    notes.map(({ body }) => body),
+    ['Captured by the mock provider']
+  );
+  assert.equal(emailDrafts.length, 0);
+});
+
+test('an email request drafts through the mock email model', async () => {
+  await ask('email the team about the release');
+  const { emailDrafts } = await state();
+  assert.equal(emailDrafts.length, 1);
+  assert.equal(emailDrafts[0].subject, 'Thank you for the release');
+});
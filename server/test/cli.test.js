@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { once } = require('events');
+const { EXIT } = require('../cli');
+const { startServer } = require('./support/server');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Runs the CLI with stdin closed, as a script would; resolves to its exit code and output
+const runCli = (args, env = {}) =>
+  new Promise((resolve) => {
+    const child = execFile(
+      process.execPath,
+      [CLI, ...args],
+      { env: { ...process.env, AGENT_URL: '', AGENT_TOKEN: '', ...env }, timeout: 10000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+    child.stdin.end();
+  });
+
+let server;
+let token;
+const cli = (args) => runCli(['--url', server.base, '--token', token, ...args]);
+const reminders = async () => (await server.call('/reminders', { token })).body;
+
+test.before(async () => {
+  server = await startServer();
+  token = await server.register('tester');
+});
+
+test.after(() => server.stop());
+
+test('applies ordinary requests straight away', async () => {
+  const { code, stdout } = await cli(['add a task to file taxes']);
+  assert.equal(code, EXIT.ok);
+  assert.match(stdout, /^Added task: file taxes/);
+
+  const { code: listed, stdout: json } = await cli(['state', 'tasks', '--json']);
+  assert.equal(listed, EXIT.ok);
+  assert.deepEqual(JSON.parse(json).map(({ description }) => description), ['file taxes']);
+});
+
+test('needs --yes for deletions when it cannot ask', async () => {
+  await cli(['remind me to stretch tomorrow at 9am']);
+
+  const declined = await cli(['cancel my reminder']);
+  assert.equal(declined.code, EXIT.declined);
+  assert.match(declined.stderr, /--yes/);
+  assert.equal((await reminders())[0].status, 'scheduled');
+
+  const dryRun = await cli(['--dry-run', 'cancel my reminder']);
+  assert.equal(dryRun.code, EXIT.ok);
+  assert.match(dryRun.stdout, /^1\. cancel_reminder \(destructive\)/);
+  assert.equal((await reminders())[0].status, 'scheduled');
+
+  const confirmed = await cli(['--yes', 'cancel my reminder']);
+  assert.equal(confirmed.code, EXIT.ok);
+  assert.match(confirmed.stdout, /^Cancelled reminder: stretch/);
+  assert.deepEqual(await reminders(), []);
+});
+
+test('keeps the path of a server URL behind a prefix', async (t) => {
+  // Forwards /agent-api/* to the server, like a reverse proxy
+  const proxy = http.createServer((req, res) => {
+    if (!req.url.startsWith('/agent-api/')) {
+      res.writeHead(404).end();
+      return;
+    }
+    const upstream = http.request(`${server.base}${req.url.slice('/agent-api'.length)}`, {
+      method: req.method,
+      headers: req.headers,
+    }, (reply) => {
+      res.writeHead(reply.statusCode, reply.headers);
+      reply.pipe(res);
+    });
+    req.pipe(upstream);
+  });
+  proxy.listen(0, '127.0.0.1');
+  await once(proxy, 'listening');
+  t.after(() => proxy.close());
+
+  const { code, stdout } = await runCli(
+    ['state', 'tasks'],
+    { AGENT_URL: `http://127.0.0.1:${proxy.address().port}/agent-api/`, AGENT_TOKEN: token }
+  );
+  assert.equal(code, EXIT.ok);
+  assert.match(stdout, /file taxes/);
+});
+
+test('exit codes tell scripts what went wrong', async () => {
+  assert.equal((await runCli([])).code, EXIT.usage);
+  assert.equal((await runCli(['--bogus'])).code, EXIT.usage);
+  assert.equal((await cli(['state', 'widgets'])).code, EXIT.usage);
+  assert.equal((await runCli(['--url', server.base, 'state'])).code, EXIT.unauthorized);
+  assert.equal((await runCli(['--url', server.base, '--token', 'nope', 'state'])).code, EXIT.unauthorized);
+  assert.equal((await runCli(['--url', 'http://127.0.0.1:9', '--token', token, 'state'])).code, EXIT.unreachable);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand } = require('../fallbackParser');
+const { createZone } = require('../timeZones');
+
+// Monday 19 October 2026, 10:00 in Berlin
+const context = {
+  now: Date.parse('2026-10-19T08:00:00Z'),
+  zone: createZone('Europe/Berlin'),
+  reminders: [
+    { id: 'r1', message: 'call mom', status: 'scheduled' },
+    { id: 'r2', message: 'stretch', status: 'scheduled' },
+  ],
+};
+
+test('schedules reminders in the user zone', () => {
+  assert.deepEqual(parseCommand('remind me to call mom tomorrow at 9am', context), [
+    { action: 'schedule_reminder', payload: { message: 'call mom', dueTime: '2026-10-20T07:00:00.000Z' } },
+  ]);
+});
+
+test('picks up recurrence, priority and due dates', () => {
+  const [reminder] = parseCommand('remind me every weekday at 9am to stand up', context);
+  assert.equal(reminder.payload.recurrence, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(reminder.payload.message, 'stand up');
+
+  const [task] = parseCommand('add a task to file taxes by Friday urgent', context);
+  assert.equal(task.action, 'add_task');
+  assert.equal(task.payload.priority, 'high');
+  assert.equal(task.payload.dueDate, '2026-10-23');
+});
+
+test('splits compound requests and lets a bare reminder borrow the task wording', () => {
+  const actions = parseCommand('add a task to pay rent and remind me tomorrow at 8am', context);
+  assert.deepEqual(
+    actions.map(({ action, payload }) => [action, payload.description ?? payload.message]),
+    [
+      ['add_task', 'pay rent'],
+      ['schedule_reminder', 'pay rent'],
+    ]
+  );
+});
+
+test('resolves which reminder to cancel by wording or conversation', () => {
+  assert.equal(parseCommand('cancel the stretch reminder', context)[0].payload.reminderId, 'r2');
+  assert.equal(parseCommand('cancel that', { ...context, recent: ['r1'] })[0].payload.reminderId, 'r1');
+  assert.throws(() => parseCommand('cancel the dentist reminder', context), /Could not tell which reminder/);
+});
+
+test('understands tags, questions, searches and undo', () => {
+  assert.deepEqual(parseCommand('add a task to file taxes #work @home', context)[0].payload.tags, ['work', '@home']);
+  assert.deepEqual(parseCommand('how many tasks are open?', context), [
+    { action: 'count_items', payload: { type: 'tasks', status: 'pending' } },
+  ]);
+  assert.deepEqual(parseCommand('find notes about roadmap', context), [
+    { action: 'search', payload: { type: 'notes', query: 'roadmap' } },
+  ]);
+  assert.deepEqual(parseCommand('undo', context), [{ action: 'undo', payload: {} }]);
+});
+
+test('anything else becomes a note', () => {
+  assert.deepEqual(parseCommand('the wifi password is on the fridge', context), [
+    { action: 'add_note', payload: { body: 'the wifi password is on the fridge' } },
+  ]);
+  assert.throws(() => parseCommand('   ', context), /Text is required/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistory, diffCollections, applySnapshots } = require('../history');
+
+const COLLECTIONS = ['tasks', 'notes'];
+
+test('diffs only the items a request changed', () => {
+  const before = { tasks: [{ id: 't1', done: false }, { id: 't2', done: false }], notes: [] };
+  const after = { tasks: [{ id: 't1', done: true }, { id: 't2', done: false }], notes: [{ id: 'n1', body: 'hi' }] };
+  const operations = diffCollections(before, after, COLLECTIONS);
+  assert.deepEqual(
+    operations.map(({ collection, id, before: old, after: current }) => [collection, id, old, current]),
+    [
+      ['tasks', 't1', { id: 't1', done: false }, { id: 't1', done: true }],
+      ['notes', 'n1', null, { id: 'n1', body: 'hi' }],
+    ]
+  );
+});
+
+test('snapshots restore items at their old position', () => {
+  const before = { tasks: [{ id: 't1' }, { id: 't2' }, { id: 't3' }], notes: [] };
+  const after = { tasks: [{ id: 't1' }, { id: 't3' }], notes: [] };
+  const operations = diffCollections(before, after, COLLECTIONS);
+
+  const store = structuredClone(after);
+  applySnapshots(store, operations, 'before');
+  assert.deepEqual(store, before);
+  applySnapshots(store, operations, 'after');
+  assert.deepEqual(store, after);
+});
+
+test('undo and redo move entries between the stacks', () => {
+  const history = createHistory();
+  const applied = [];
+  history.record({ text: 'first', operations: [{ id: 1 }] });
+  history.record({ text: 'second', operations: [{ id: 2 }] });
+  assert.equal(history.record({ text: 'no-op', operations: [] }), null);
+
+  assert.equal(history.undo((entry) => applied.push(`undo ${entry.text}`)).text, 'second');
+  assert.equal(history.peekRedo().text, 'second');
+  assert.equal(history.redo((entry) => applied.push(`redo ${entry.text}`)).text, 'second');
+  assert.deepEqual(applied, ['undo second', 'redo second']);
+
+  history.undo(() => {});
+  history.record({ text: 'third', operations: [{ id: 3 }] });
+  assert.equal(history.peekRedo(), null);
+  assert.deepEqual(
+    history.list().undo.map(({ text }) => text),
+    ['third', 'first']
+  );
+});
+
+test('a failed apply leaves the entry where it was', () => {
+  const history = createHistory();
+  history.record({ text: 'only', operations: [{ id: 1 }] });
+  assert.throws(() =>
+    history.undo(() => {
+      throw new Error('cannot revert');
+    })
+  );
+  assert.equal(history.peekUndo().text, 'only');
+});
+
+test('keeps at most `limit` entries', () => {
+  const history = createHistory({ limit: 2 });
+  ['a', 'b', 'c'].forEach((text) => history.record({ text, operations: [{ text }] }));
+  assert.deepEqual(
+    history.list().undo.map(({ text }) => text),
+    ['c', 'b']
+  );
+});
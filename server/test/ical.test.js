@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCalendar, parseCalendar, remainingRule } = require('../ical');
+const { createZone } = require('../timeZones');
+const { startServer } = require('./support/server');
+
+const berlin = createZone('Europe/Berlin');
+
+test('exported reminders and tasks read back the same', () => {
+  const dueTime = Date.parse('2026-11-02T08:30:00Z');
+  const text = formatCalendar({
+    reminders: [
+      {
+        id: 'r1',
+        message: 'Stand-up; bring notes, please',
+        dueTime,
+        createdAt: 0,
+        status: 'scheduled',
+        recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO' },
+      },
+    ],
+    tasks: [
+      { id: 't1', description: 'File taxes', status: 'in-progress', priority: 'high', dueDate: Date.parse('2026-11-05T00:00:00+01:00'), createdAt: 0 },
+    ],
+    now: 0,
+    zone: berlin,
+  });
+  assert.ok(text.endsWith('\r\n'));
+
+  const { events, todos } = parseCalendar(text, { zone: berlin });
+  assert.deepEqual(events, [
+    {
+      uid: 'r1@productivity-agent',
+      summary: 'Stand-up; bring notes, please',
+      start: { time: dueTime, dateOnly: false },
+      rrule: 'FREQ=WEEKLY;BYDAY=MO',
+      status: null,
+    },
+  ]);
+  assert.equal(todos[0].uid, 't1@productivity-agent');
+  assert.equal(todos[0].status, 'in-progress');
+  assert.equal(todos[0].priority, 'high');
+  assert.deepEqual(todos[0].due, { time: Date.parse('2026-11-05T00:00:00+01:00'), dateOnly: true });
+});
+
+test('reads folded lines and TZID times', () => {
+  const { events } = parseCalendar(
+    [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc@example.com',
+      'SUMMARY:A very long',
+      '  summary',
+      'DTSTART;TZID=America/New_York:20260310T090000',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n')
+  );
+  assert.equal(events[0].summary, 'A very long summary');
+  assert.equal(events[0].start.time, Date.parse('2026-03-10T13:00:00Z'));
+  assert.throws(() => parseCalendar('hello'), /Not an iCalendar file/);
+});
+
+test('a series part-way through only exports its remaining occurrences', () => {
+  assert.equal(remainingRule({ recurrence: { rule: 'FREQ=DAILY;COUNT=5' }, occurrence: 3 }), 'FREQ=DAILY;COUNT=3');
+  assert.equal(remainingRule({ recurrence: null }), null);
+});
+
+test('importing a feed twice changes nothing the second time', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const importFile = (body) =>
+    server.call('/calendar/import', { method: 'POST', body, token, headers: { 'Content-Type': 'text/calendar' } });
+
+  const dueTime = Date.now() + 60 * 60 * 1000 + 123;
+  const created = await server.call('/reminders', {
+    method: 'POST',
+    body: { message: 'Stretch', dueTime, recurrence: 'FREQ=DAILY;COUNT=5' },
+    token,
+  });
+  assert.equal(created.status, 201);
+  const { body: feed } = await server.call(`/calendar.ics?token=${token}`);
+  assert.match(feed, /^RRULE:FREQ=DAILY;COUNT=5\r$/m);
+
+  const { body: summary } = await importFile(feed);
+  assert.deepEqual(summary.created, { reminders: 0, tasks: 0 });
+  assert.deepEqual(summary.updated, { reminders: 0, tasks: 0 });
+  assert.deepEqual(
+    summary.skipped.map(({ reason }) => reason),
+    ['Already up to date.']
+  );
+});
+
+test('the next occurrence of an imported to-do gets its own UID', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const { body: imported } = await server.call('/calendar/import', {
+    method: 'POST',
+    body: [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:plants@example.com',
+      'SUMMARY:Water plants',
+      'DUE;VALUE=DATE:20991101',
+      'RRULE:FREQ=WEEKLY',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\r\n'),
+    token,
+    headers: { 'Content-Type': 'text/calendar' },
+  });
+  const [task] = imported.state.tasks;
+  await server.call(`/tasks/${task.id}`, { method: 'PATCH', body: { status: 'done' }, token });
+
+  const { body: feed } = await server.call(`/calendar.ics?token=${token}`);
+  const uids = feed.match(/^UID:.*$/gm);
+  assert.equal(uids.length, 2);
+  assert.equal(new Set(uids).size, 2);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../rateLimiter');
+const { startServer } = require('./support/server');
+
+test('counts requests per key within a fixed window', () => {
+  let time = 1000;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000, now: () => time });
+
+  assert.deepEqual(limiter.take('a'), { allowed: true, limit: 2, remaining: 1, resetAt: 61000 });
+  assert.equal(limiter.take('a').allowed, true);
+  assert.deepEqual(limiter.take('a'), { allowed: false, limit: 2, remaining: 0, resetAt: 61000 });
+  assert.equal(limiter.take('b').allowed, true);
+
+  time = 61000;
+  assert.deepEqual(limiter.take('a'), { allowed: true, limit: 2, remaining: 1, resetAt: 121000 });
+});
+
+test('agent requests past the limit get a 429 with Retry-After', async (t) => {
+  const server = await startServer({ LLM_RATE_LIMIT: '2' });
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const ask = () => server.call('/agent', { method: 'POST', body: { text: 'add a task to stretch' }, token });
+
+  assert.equal((await ask()).status, 200);
+  assert.equal((await ask()).status, 200);
+  const res = await fetch(`${server.base}/agent`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'add a task to stretch' }),
+  });
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('RateLimit-Remaining'), '0');
+  assert.ok(Number(res.headers.get('Retry-After')) >= 1);
+
+  // Saving a draft as written needs no model, so it is not limited
+  const draft = await server.call('/email-drafts', {
+    method: 'POST',
+    body: { to: ['sam@example.com'], subject: 'Hi', body: 'Hello' },
+    token,
+  });
+  assert.equal(draft.status, 201);
+});
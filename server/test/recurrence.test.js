@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, parseRecurrence, nextOccurrence } = require('../recurrence');
+const { createZone } = require('../timeZones');
+
+const newYork = createZone('America/New_York');
+
+const occurrences = (rrule, anchor, count, zone) => {
+  const rule = parseRule(rrule);
+  const times = [];
+  let after = anchor - 1;
+  while (times.length < count) {
+    after = nextOccurrence(rule, anchor, after, zone);
+    if (!after) break;
+    times.push(new Date(after).toISOString());
+  }
+  return times;
+};
+
+test('daily occurrences keep their wall-clock time across the spring DST change', () => {
+  // 9:00 in New York: 14:00 UTC before 8 March 2026, 13:00 UTC after
+  const anchor = Date.parse('2026-03-07T14:00:00Z');
+  assert.deepEqual(occurrences('FREQ=DAILY', anchor, 3, newYork), [
+    '2026-03-07T14:00:00.000Z',
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-09T13:00:00.000Z',
+  ]);
+});
+
+test('weekly occurrences keep their wall-clock time across the autumn DST change', () => {
+  const anchor = Date.parse('2026-10-26T13:30:00Z'); // Monday 9:30 EDT
+  assert.deepEqual(occurrences('FREQ=WEEKLY;BYDAY=MO', anchor, 2, newYork), [
+    '2026-10-26T13:30:00.000Z',
+    '2026-11-02T14:30:00.000Z',
+  ]);
+});
+
+test('monthly rules honour BYDAY ordinals and COUNT is left to the caller', () => {
+  const anchor = Date.parse('2026-01-30T14:00:00Z'); // last Friday of January
+  assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=-1FR;INTERVAL=2', anchor, 3, newYork), [
+    '2026-01-30T14:00:00.000Z',
+    '2026-03-27T13:00:00.000Z',
+    '2026-05-29T13:00:00.000Z',
+  ]);
+});
+
+test('a series ends at UNTIL', () => {
+  const anchor = Date.parse('2026-03-07T14:00:00Z');
+  assert.equal(occurrences('FREQ=DAILY;UNTIL=20260308T235959Z', anchor, 5, newYork).length, 2);
+});
+
+test('rejects oversized intervals and gives up on rules that never match', () => {
+  assert.throws(() => parseRule('FREQ=YEARLY;BYMONTHDAY=31;INTERVAL=2000'), /INTERVAL/);
+  assert.throws(() => parseRecurrence('every 5000 days'), /INTERVAL/);
+
+  // February never has a 31st; the search stops after a bounded number of periods
+  const started = Date.now();
+  const rule = parseRule('FREQ=YEARLY;BYMONTHDAY=31;INTERVAL=366');
+  const anchor = Date.parse('2026-02-10T14:00:00Z');
+  assert.equal(nextOccurrence(rule, anchor, anchor, newYork), null);
+  assert.ok(Date.now() - started < 500);
+});
+
+test('understands everyday phrases', () => {
+  assert.equal(parseRecurrence('every weekday').rrule, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(parseRecurrence('every other Monday').rrule, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+  assert.equal(parseRecurrence('take out the bins'), null);
+});
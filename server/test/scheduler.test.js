@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../scheduler');
+
+// A clock that only moves when told to, with timers that fire as it passes them
+const createFakeClock = (start = 0) => {
+  let time = start;
+  let timers = [];
+  return {
+    now: () => time,
+    setTimer: (callback, delay) => {
+      const timer = { callback, at: time + delay };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer: (timer) => {
+      timers = timers.filter((entry) => entry !== timer);
+    },
+    advance: (ms) => {
+      time += ms;
+      const due = timers.filter((timer) => timer.at <= time);
+      timers = timers.filter((timer) => timer.at > time);
+      due.forEach((timer) => timer.callback());
+    },
+    get pending() {
+      return timers.length;
+    },
+  };
+};
+
+test('runs jobs in due-time order, ties in insertion order', () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler(clock);
+  const ran = [];
+  [50, 10, 30, 10, 20, 40].forEach((dueTime, index) =>
+    scheduler.schedule(`job-${index}`, dueTime, () => ran.push(index))
+  );
+  assert.equal(scheduler.nextDueTime(), 10);
+
+  clock.advance(100);
+  assert.deepEqual(ran, [1, 3, 4, 2, 5, 0]);
+  assert.equal(scheduler.size, 0);
+});
+
+test('keeps a single timer armed for the earliest job', () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler(clock);
+  scheduler.schedule('late', 5000, () => {});
+  scheduler.schedule('early', 1000, () => {});
+  scheduler.schedule('middle', 3000, () => {});
+  assert.equal(clock.pending, 1);
+
+  scheduler.cancel('early');
+  assert.equal(clock.pending, 1);
+  assert.equal(scheduler.nextDueTime(), 3000);
+  assert.equal(scheduler.has('early'), false);
+});
+
+test('fires nothing before its time and replaces a rescheduled job', () => {
+  const clock = createFakeClock(1000);
+  const scheduler = createScheduler(clock);
+  const ran = [];
+  scheduler.schedule('reminder', 2000, () => ran.push('first'));
+  scheduler.schedule('reminder', 4000, () => ran.push('second'));
+
+  clock.advance(1500);
+  assert.deepEqual(ran, []);
+  clock.advance(1500);
+  assert.deepEqual(ran, ['second']);
+});
+
+test('wakes at least every maxSleep, so far-off jobs still fire', () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler({ ...clock, maxSleep: 60 * 1000 });
+  const dueTime = 3 * 2 ** 31;
+  let fired = false;
+  scheduler.schedule('far', dueTime, () => {
+    fired = true;
+  });
+
+  clock.advance(60 * 1000);
+  assert.equal(fired, false);
+  assert.equal(clock.pending, 1);
+
+  // A clock jump (e.g. after system sleep) is noticed on the next wake-up
+  clock.advance(dueTime);
+  assert.equal(fired, true);
+});
+
+test('a failing job does not stop the ones after it', () => {
+  const clock = createFakeClock();
+  const errors = [];
+  const scheduler = createScheduler({ ...clock, onError: (error, id) => errors.push(id) });
+  const ran = [];
+  scheduler.schedule('broken', 10, () => {
+    throw new Error('boom');
+  });
+  scheduler.schedule('fine', 20, () => ran.push('fine'));
+
+  clock.advance(20);
+  assert.deepEqual(errors, ['broken']);
+  assert.deepEqual(ran, ['fine']);
+});
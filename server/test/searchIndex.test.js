@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, highlightRanges, queryTerms } = require('../searchIndex');
+const { startServer } = require('./support/server');
+
+const note = (key, body) => ({ key, fields: { body } });
+const keys = (results) => results.map(({ key }) => key);
+
+test('query words drop stop words and are stemmed', () => {
+  assert.deepEqual(queryTerms('The meetings about the Budget'), ['meet', 'budget']);
+  assert.deepEqual(queryTerms('of the'), []);
+});
+
+test('matches every word exactly, by prefix or with a small typo', () => {
+  const index = createSearchIndex();
+  index.sync([
+    note('n1', 'Quarterly budget meeting with finance'),
+    note('n2', 'Budget for the garden'),
+    note('n3', 'Call the plumber'),
+  ]);
+  assert.deepEqual(keys(index.search('budget meeting')), ['n1']);
+  assert.deepEqual(keys(index.search('quart')), ['n1']);
+  assert.deepEqual(keys(index.search('plumbr')), ['n3']);
+  assert.deepEqual(keys(index.search('budgt')).sort(), ['n1', 'n2']);
+  assert.deepEqual(index.search('the'), []);
+});
+
+test('heavier fields and exact matches rank first', () => {
+  const index = createSearchIndex();
+  index.sync([
+    { key: 'body', fields: { subject: 'Hello', body: 'invoice attached' }, weights: { subject: 2 } },
+    { key: 'subject', fields: { subject: 'Invoice', body: 'see attached' }, weights: { subject: 2 } },
+    { key: 'prefix', fields: { subject: 'Invoices', body: '' }, weights: { subject: 2 } },
+  ]);
+  assert.deepEqual(keys(index.search('invoice')), ['subject', 'prefix', 'body']);
+});
+
+test('sync re-indexes changed documents and forgets removed ones', () => {
+  const index = createSearchIndex();
+  index.sync([note('n1', 'Buy milk'), note('n2', 'Buy bread')]);
+  index.sync([note('n1', 'Buy oat milk')]);
+  assert.equal(index.size(), 1);
+  assert.deepEqual(keys(index.search('bread')), []);
+  assert.deepEqual(keys(index.search('oat')), ['n1']);
+});
+
+test('highlights the words whose terms matched', () => {
+  const text = 'Meetings moved; the meeting room changed';
+  const index = createSearchIndex();
+  index.sync([note('n1', text)]);
+  const [result] = index.search('meeting');
+  assert.deepEqual(highlightRanges(text, result.terms), [
+    [0, 8],
+    [20, 27],
+  ]);
+});
+
+test('/search returns highlighted results from the workspace', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  await server.call('/notes', { method: 'POST', body: { body: 'Dentist appointment on Friday' }, token });
+  await server.call('/tasks', { method: 'POST', body: { description: 'Book dentist' }, token });
+
+  const { status, body } = await server.call('/search?q=dentist&type=notes', { token });
+  assert.equal(status, 200);
+  assert.equal(body.total, 1);
+  assert.deepEqual(body.results[0].fields.body, { text: 'Dentist appointment on Friday', highlights: [[0, 7]] });
+
+  const { body: everything } = await server.call('/search?q=dentst', { token });
+  assert.deepEqual(everything.results.map(({ type }) => type).sort(), ['notes', 'tasks']);
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Starts the real server on a random port with an in-memory store, so suites can
+// drive it over HTTP like the web client does. `env` adds to the environment.
+const startServer = async (env = {}) => {
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const base = `http://localhost:${port}`;
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: 'memory',
+      AGENT_PARSER: 'rules',
+      ALLOW_REGISTRATION: 'true',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start.')), 10000);
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('running on')) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => reject(new Error(`Server exited with code ${code}.`)));
+  });
+
+  // Resolves to { status, body }; `token` signs the request in
+  const call = async (route, { method = 'GET', body, token, headers = {} } = {}) => {
+    const res = await fetch(`${base}${route}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON, e.g. an iCalendar feed
+    }
+    return { status: res.status, body: parsed };
+  };
+
+  // Registers an account and resolves to its API token
+  const register = async (username, password = 'correct horse battery') => {
+    const { status, body } = await call('/auth/register', { method: 'POST', body: { username, password } });
+    if (status !== 201) throw new Error(`Could not register ${username}: ${body.error}`);
+    return body.token;
+  };
+
+  return { base, call, register, stop: () => child.kill() };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, createZone, startOfDay, endOfDay, addDays, dateKey, parseInZone } = require('../timeZones');
+const { startServer } = require('./support/server');
+
+const HOUR = 60 * 60 * 1000;
+const berlin = createZone('Europe/Berlin');
+
+test('only IANA names are valid zones', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone('PST'), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('wall-clock times resolve across daylight saving changes', () => {
+  assert.equal(berlin.fromParts({ year: 2026, month: 1, day: 15, hour: 9 }), Date.parse('2026-01-15T08:00:00Z'));
+  assert.equal(berlin.fromParts({ year: 2026, month: 7, day: 15, hour: 9 }), Date.parse('2026-07-15T07:00:00Z'));
+  // 02:30 does not exist on the spring-forward night and moves past the gap
+  assert.equal(berlin.fromParts({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }), Date.parse('2026-03-29T01:30:00Z'));
+  // 02:30 happens twice when clocks go back; the first one wins
+  assert.equal(berlin.fromParts({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }), Date.parse('2026-10-25T00:30:00Z'));
+  assert.deepEqual(berlin.toParts(Date.parse('2026-07-15T22:30:00Z')), {
+    year: 2026,
+    month: 7,
+    day: 16,
+    hour: 0,
+    minute: 30,
+    second: 0,
+  });
+});
+
+test('days follow the zone, including short and long ones', () => {
+  const springForward = Date.parse('2026-03-29T10:00:00Z');
+  assert.equal(endOfDay(springForward, berlin) + 1 - startOfDay(springForward, berlin), 23 * HOUR);
+  const fallBack = Date.parse('2026-10-25T10:00:00Z');
+  assert.equal(endOfDay(fallBack, berlin) + 1 - startOfDay(fallBack, berlin), 25 * HOUR);
+
+  const nineAm = Date.parse('2026-03-28T08:00:00Z');
+  assert.equal(addDays(nineAm, 1, berlin), Date.parse('2026-03-29T07:00:00Z'));
+  assert.equal(dateKey(Date.parse('2026-03-28T23:30:00Z'), berlin), '2026-03-29');
+  assert.equal(dateKey(Date.parse('2026-03-28T23:30:00Z'), createZone('UTC')), '2026-03-28');
+});
+
+test('parses times in the user zone or the zone the text names', () => {
+  const now = Date.parse('2026-06-01T12:00:00Z');
+  const tokyo = createZone('Asia/Tokyo');
+  const local = parseInZone('call mum tomorrow at 9am', tokyo, { now });
+  assert.equal(local.time, Date.parse('2026-06-02T00:00:00Z'));
+  assert.equal(local.text, 'tomorrow at 9am');
+  assert.equal(local.hasTime, true);
+
+  const named = parseInZone('standup tomorrow at 9am London time', tokyo, { now });
+  assert.equal(named.time, Date.parse('2026-06-02T08:00:00Z'));
+  assert.equal(named.text, 'tomorrow at 9am London time');
+  assert.equal(parseInZone('nothing to see', tokyo, { now }), null);
+});
+
+test('X-Time-Zone sets a zone only when none is saved', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+
+  const first = await server.call('/settings', { token, headers: { 'X-Time-Zone': 'America/New_York' } });
+  assert.equal(first.body.timeZone, 'America/New_York');
+
+  const patched = await server.call('/settings', { method: 'PATCH', body: { timeZone: 'Asia/Tokyo' }, token });
+  assert.equal(patched.body.timeZone, 'Asia/Tokyo');
+  const later = await server.call('/settings', { token, headers: { 'X-Time-Zone': 'Europe/Paris' } });
+  assert.equal(later.body.timeZone, 'Asia/Tokyo');
+
+  const invalid = await server.call('/settings', { method: 'PATCH', body: { timeZone: 'Mars/Olympus' }, token });
+  assert.equal(invalid.status, 400);
+});
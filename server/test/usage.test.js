@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createUsageLedger } = require('../usage');
+const { startServer } = require('./support/server');
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+test('adds up usage per day, user and operation', () => {
+  let time = Date.parse('2026-10-19T12:00:00Z');
+  let changes = 0;
+  const onChange = () => {
+    changes += 1;
+  };
+  const ledger = createUsageLedger({}, { dayOf, onChange, now: () => time });
+
+  ledger.record('u1', 'plan', { promptTokens: 100, completionTokens: 20 });
+  ledger.record('u1', 'draft', { promptTokens: 50, completionTokens: 30, totalTokens: 80 });
+  ledger.record('u1', 'plan', null);
+  ledger.record('u2', 'plan', { promptTokens: 10, completionTokens: 5 });
+  time = Date.parse('2026-10-20T12:00:00Z');
+  ledger.record('u1', 'plan', { promptTokens: 1, completionTokens: 1 });
+  assert.equal(changes, 5);
+
+  const { today, days } = createUsageLedger(ledger.toJSON(), { dayOf, now: () => time }).report('u1');
+  assert.equal(today.date, '2026-10-20');
+  assert.equal(today.totalTokens, 2);
+  assert.equal(today.server.totalTokens, 2);
+  assert.deepEqual(days.map(({ date }) => date), ['2026-10-20', '2026-10-19']);
+  assert.deepEqual(days[1].operations.plan, { requests: 2, promptTokens: 100, completionTokens: 20, totalTokens: 120 });
+  assert.equal(days[1].totalTokens, 200);
+});
+
+test('refuses calls once the user or server budget is used up', () => {
+  const now = () => Date.parse('2026-10-19T12:00:00Z');
+  const ledger = createUsageLedger({}, { dayOf, dailyBudget: 300, userDailyBudget: 200, now });
+
+  ledger.record('u1', 'plan', { totalTokens: 200 });
+  assert.throws(() => ledger.checkBudget('u1'), { status: 429, message: /Your daily/ });
+  ledger.checkBudget('u2');
+  ledger.record('u2', 'plan', { totalTokens: 100 });
+  assert.throws(() => ledger.checkBudget('u2'), { status: 429, message: /for this server/ });
+
+  const { today } = ledger.report('u1');
+  assert.equal(today.remaining, 0);
+  assert.equal(today.server.remaining, 0);
+});
+
+test('the agent answers 429 once the user budget is spent', async (t) => {
+  const server = await startServer({
+    AGENT_PARSER: 'model',
+    LLM_PROVIDER: 'mock',
+    LLM_MOCK_RESPONSES: path.join(__dirname, '..', 'llm', 'mock-responses.example.json'),
+    LLM_USER_DAILY_TOKEN_BUDGET: '1',
+  });
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const ask = () => server.call('/agent', { method: 'POST', body: { text: 'remind me to stretch' }, token });
+
+  assert.equal((await ask()).status, 200);
+  const refused = await ask();
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /budget/);
+
+  const { body: usage } = await server.call('/usage', { token });
+  assert.equal(usage.today.requests, 1);
+  assert.equal(usage.today.remaining, 0);
+});
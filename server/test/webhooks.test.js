@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { once } = require('events');
+const {
+  createSecret,
+  signatureHeader,
+  verifySignature,
+  isTransientError,
+  isPrivateUrl,
+  sendWebhook,
+} = require('../webhooks');
+const { createWebhookReceiver } = require('../webhookReceiver');
+const { startServer } = require('./support/server');
+
+// Listens on a free local port; returns the receiver and the deliveries it saw
+const startReceiver = async (t, secret) => {
+  const deliveries = [];
+  const receiver = createWebhookReceiver({ secret, onDelivery: (delivery) => deliveries.push(delivery) });
+  receiver.listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+  t.after(() => receiver.close());
+  return { url: `http://127.0.0.1:${receiver.address().port}`, deliveries };
+};
+
+test('signatures verify only for the same body, secret and a recent time', () => {
+  const secret = createSecret();
+  const body = '{"event":"task_created"}';
+  const now = Date.parse('2026-06-01T12:00:00Z');
+  const header = signatureHeader(secret, body, now);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+
+  assert.equal(verifySignature(secret, header, body, { now }), true);
+  assert.equal(verifySignature(secret, header, `${body} `, { now }), false);
+  assert.equal(verifySignature(createSecret(), header, body, { now }), false);
+  assert.equal(verifySignature(secret, header, body, { now: now + 10 * 60 * 1000 }), false);
+  assert.equal(verifySignature(secret, undefined, body, { now }), false);
+});
+
+test('local and private hosts are recognised', () => {
+  const privateUrls = [
+    'http://localhost/',
+    'http://api.localhost/',
+    'http://127.0.0.1:8080/',
+    'http://10.1.2.3/',
+    'http://192.168.0.5/',
+    'http://169.254.169.254/latest/',
+    'http://[::1]/',
+    'http://[fd00::1]/',
+    'http://[::ffff:127.0.0.1]/',
+  ];
+  const publicUrls = ['https://example.com/hook', 'http://8.8.8.8/', 'http://[2001:4860::8888]/'];
+  privateUrls.forEach((url) => assert.equal(isPrivateUrl(url), true, url));
+  publicUrls.forEach((url) => assert.equal(isPrivateUrl(url), false, url));
+});
+
+test('only timeouts, throttling and server errors are retried', () => {
+  assert.equal(isTransientError(new Error('unreachable')), true);
+  [408, 429, 500, 503].forEach((status) => assert.equal(isTransientError({ status }), true));
+  [400, 401, 404, 410].forEach((status) => assert.equal(isTransientError({ status }), false));
+  assert.equal(isTransientError({ permanent: true }), false);
+});
+
+test('refuses private addresses, including names that resolve to one', async (t) => {
+  const delivery = { secret: createSecret(), event: 'webhook_test', deliveryId: 'd1', payload: {} };
+  await assert.rejects(sendWebhook({ ...delivery, url: 'http://127.0.0.1:9/' }), (error) => {
+    assert.equal(error.permanent, true);
+    assert.equal(isTransientError(error), false);
+    return true;
+  });
+
+  const { lookup } = dns;
+  t.after(() => {
+    dns.lookup = lookup;
+  });
+  dns.lookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+  await assert.rejects(sendWebhook({ ...delivery, url: 'http://hooks.example.com/' }), /hooks\.example\.com is a local/);
+});
+
+test('delivers signed JSON and reports non-2xx replies by status only', async (t) => {
+  const secret = createSecret();
+  const { url, deliveries } = await startReceiver(t, secret);
+  const delivery = { secret, event: 'task_created', deliveryId: 'd1', payload: { id: 't1' }, allowPrivate: true };
+
+  assert.deepEqual(await sendWebhook({ ...delivery, url: `${url}/` }), { status: 204 });
+  assert.equal(deliveries[0].verified, true);
+  assert.equal(deliveries[0].event, 'task_created');
+  assert.deepEqual(deliveries[0].payload, { id: 't1' });
+
+  await assert.rejects(sendWebhook({ ...delivery, url: `${url}/status/410` }), (error) => {
+    assert.equal(error.status, 410);
+    assert.equal(error.message, 'Receiver replied 410.');
+    return true;
+  });
+  await assert.rejects(sendWebhook({ ...delivery, url: `${url}/`, secret: createSecret() }), { status: 401 });
+});
+
+test('webhook URLs on private addresses are rejected unless allowed', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const { status } = await server.call('/webhooks', {
+    method: 'POST',
+    body: { url: 'http://127.0.0.1:4400/', events: ['task_created'] },
+    token,
+  });
+  assert.equal(status, 400);
+});
+
+test('test deliveries reach a local receiver when private URLs are allowed', async (t) => {
+  const server = await startServer({ WEBHOOK_ALLOW_PRIVATE_URLS: 'true' });
+  t.after(() => server.stop());
+  const token = await server.register('tester');
+  const { body: webhook } = await server.call('/webhooks', {
+    method: 'POST',
+    body: { url: 'http://127.0.0.1:9/', events: ['task_created'] },
+    token,
+  });
+  // The receiver checks signatures, so it can only start once the secret exists
+  const { url, deliveries } = await startReceiver(t, webhook.secret);
+  await server.call(`/webhooks/${webhook.id}`, { method: 'PATCH', body: { url: `${url}/` }, token });
+
+  const { body: delivery } = await server.call(`/webhooks/${webhook.id}/test`, { method: 'POST', token });
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.responseStatus, 204);
+  assert.equal(deliveries[0].verified, true);
+  assert.equal(deliveries[0].event, 'webhook_test');
+});
@@ -0,0 +1,58 @@
+// Word-level diff used to compare email draft versions. Returns the changes as
+// [{ type: 'equal' | 'added' | 'removed', text }] with runs of the same type
+// merged. Whitespace is kept in the tokens, so joining the equal and removed
+// parts rebuilds the old text and the equal and added parts the new one.
+
+// Above this many table cells the diff falls back to whole lines
+const MAX_CELLS = 4000000;
+
+const tokenize = (text, byLine) => (byLine ? text.split(/(?<=\n)/) : text.match(/\s+|\S+/g)) ?? [];
+
+// Longest-common-subsequence table, walked from the front to emit the changes
+const diffTokens = (before, after) => {
+  const rows = before.length;
+  const columns = after.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, text) => {
+    const last = changes.at(-1);
+    if (last?.type === type) last.text += text;
+    else changes.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', before[i]);
+      i += 1;
+    } else {
+      push('added', after[j]);
+      j += 1;
+    }
+  }
+  before.slice(i).forEach((token) => push('removed', token));
+  after.slice(j).forEach((token) => push('added', token));
+  return changes;
+};
+
+const diffText = (before = '', after = '') => {
+  const words = [tokenize(before, false), tokenize(after, false)];
+  const tooLarge = (words[0].length + 1) * (words[1].length + 1) > MAX_CELLS;
+  return tooLarge
+    ? diffTokens(tokenize(before, true), tokenize(after, true))
+    : diffTokens(...words);
+};
+
+module.exports = { diffText };
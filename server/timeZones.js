@@ -0,0 +1,183 @@
+const chrono = require('chrono-node');
+
+// Each user has an IANA time zone, and every conversion between words or calendar
+// dates and timestamps happens in it. Zone adapters have the same toParts /
+// fromParts shape recurrence.js uses, backed by Intl so daylight saving time is
+// handled for any date, not just the offset in effect today.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Spoken names for zones; abbreviations such as PST or ET are left to chrono
+const ZONE_NAMES = {
+  pacific: 'America/Los_Angeles',
+  mountain: 'America/Denver',
+  central: 'America/Chicago',
+  eastern: 'America/New_York',
+  atlantic: 'America/Halifax',
+  alaska: 'America/Anchorage',
+  hawaii: 'Pacific/Honolulu',
+  'new york': 'America/New_York',
+  chicago: 'America/Chicago',
+  denver: 'America/Denver',
+  'los angeles': 'America/Los_Angeles',
+  london: 'Europe/London',
+  uk: 'Europe/London',
+  paris: 'Europe/Paris',
+  berlin: 'Europe/Berlin',
+  'central european': 'Europe/Berlin',
+  india: 'Asia/Kolkata',
+  singapore: 'Asia/Singapore',
+  tokyo: 'Asia/Tokyo',
+  japan: 'Asia/Tokyo',
+  sydney: 'Australia/Sydney',
+};
+
+const zoneNamePattern = Object.keys(ZONE_NAMES)
+  .sort((a, b) => b.length - a.length)
+  .map((name) => name.replace(' ', '\\s+'))
+  .join('|');
+
+// A zone only counts right after a time of day ("9am Pacific", "10:30 London
+// time", "noon Europe/Berlin"), so ordinary words like "central" stay text.
+const ZONE_PHRASE = new RegExp(
+  `(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?|noon|midnight)\\s+(?:in\\s+)?(${zoneNamePattern}|[a-z]+/[a-z_]+(?:/[a-z_]+)?)(?:\\s+(?:standard\\s+|daylight\\s+)?time)?\\b`,
+  'i'
+);
+
+const isValidTimeZone = (name) => {
+  if (typeof name !== 'string' || (!name.includes('/') && name !== 'UTC')) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const adapters = new Map();
+
+const createZone = (name) => {
+  if (adapters.has(name)) return adapters.get(name);
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: name,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  const toParts = (timestamp) => {
+    const parts = {};
+    format.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    const { year, month, day, hour, minute, second } = parts;
+    return { year, month, day, hour, minute, second };
+  };
+
+  // Minutes east of UTC at `timestamp`
+  const offset = (timestamp) => {
+    const { year, month, day, hour, minute, second } = toParts(timestamp);
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((wall - Math.floor(timestamp / 1000) * 1000) / MINUTE);
+  };
+
+  // Wall-clock times repeated when clocks go back resolve to the first one; times
+  // skipped when they go forward move past the gap, as a clock would.
+  const fromParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const matches = (timestamp) => {
+      const parts = toParts(timestamp);
+      return parts.day === day && parts.hour === hour && parts.minute === minute;
+    };
+    const before = wall - offset(wall - DAY) * MINUTE;
+    if (matches(before)) return before;
+    const after = wall - offset(wall + DAY) * MINUTE;
+    return matches(after) ? after : before;
+  };
+
+  const zone = { name, toParts, fromParts, offset };
+  adapters.set(name, zone);
+  return zone;
+};
+
+const startOfDay = (timestamp, zone) => {
+  const { year, month, day } = zone.toParts(timestamp);
+  return zone.fromParts({ year, month, day });
+};
+
+const addDays = (timestamp, days, zone) => {
+  const parts = zone.toParts(timestamp);
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return zone.fromParts({
+    ...parts,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  });
+};
+
+const endOfDay = (timestamp, zone) => addDays(startOfDay(timestamp, zone), 1, zone) - 1;
+
+// YYYY-MM-DD of the calendar day `timestamp` falls on in `zone`
+const dateKey = (timestamp, zone) => {
+  const { year, month, day } = zone.toParts(timestamp);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Parses the first date/time expression in `text` as wall-clock time in `zone`,
+// or in the zone the text names. Returns { time, date, hasTime, index, text } —
+// the timestamp, the { year, month, day } it falls on there, whether a time of
+// day was given and where the expression (including any zone name) sits in the
+// input — or null.
+const parseInZone = (text, zone, { now = Date.now(), forwardDate = true } = {}) => {
+  const source = String(text);
+  const named = ZONE_PHRASE.exec(source);
+  const alias = named && ZONE_NAMES[named[2].toLowerCase().replace(/\s+/g, ' ')];
+  const explicit = alias ?? (named && isValidTimeZone(named[2]) ? named[2] : null);
+  const target = explicit ? createZone(explicit) : zone;
+  const input = explicit
+    ? `${source.slice(0, named.index)}${named[1]}${' '.repeat(named[0].length - named[1].length)}${source.slice(named.index + named[0].length)}`
+    : source;
+
+  const reference = { instant: new Date(now), timezone: target.offset(now) };
+  const [result] = chrono.parse(input, reference, { forwardDate });
+  if (!result) return null;
+
+  const { start } = result;
+  const date = { year: start.get('year'), month: start.get('month'), day: start.get('day') };
+  // Relative phrases ("in 5 minutes") and explicit offsets ("9am PST") are exact
+  // instants; everything else is a wall-clock time in the target zone.
+  const time = start.isCertain('timezoneOffset')
+    ? start.date().getTime()
+    : target.fromParts({ ...date, hour: start.get('hour'), minute: start.get('minute'), second: start.get('second') });
+
+  let end = result.index + result.text.length;
+  if (explicit && named.index >= result.index && named.index < end) {
+    end = Math.max(end, named.index + named[0].length);
+  }
+  return {
+    time,
+    date,
+    hasTime: start.isCertain('hour'),
+    index: result.index,
+    text: source.slice(result.index, end),
+  };
+};
+
+module.exports = {
+  SERVER_TIME_ZONE,
+  isValidTimeZone,
+  createZone,
+  startOfDay,
+  endOfDay,
+  addDays,
+  dateKey,
+  parseInZone,
+};
@@ -0,0 +1,100 @@
+const { httpError } = require('./errors');
+
+// Token usage of every LLM completion, added up per day and user. Days are
+// calendar days in the server's time zone, so budgets reset at local midnight.
+// A server-wide and a per-user daily token budget can be set; once either is used
+// up, further completions are refused until the next day. Calls that finish after
+// the budget ran out are still counted, so totals can end slightly above it.
+
+const KEEP_DAYS = 90;
+
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+const addTotals = (target, { requests = 1, promptTokens = 0, completionTokens = 0, totalTokens = 0 }) => {
+  target.requests += requests;
+  target.promptTokens += promptTokens;
+  target.completionTokens += completionTokens;
+  target.totalTokens += totalTokens || promptTokens + completionTokens;
+};
+
+// `saved` is the object returned by toJSON(); `dayOf(timestamp)` names the day a
+// call falls on. `onChange` runs after every recorded call so it can be persisted.
+const createUsageLedger = (
+  saved = {},
+  { dayOf, dailyBudget = 0, userDailyBudget = 0, onChange = () => {}, now = Date.now } = {}
+) => {
+  // { [day]: { [userId]: { ...totals, operations: { [operation]: totals } } } }
+  const days = saved.usage && typeof saved.usage === 'object' ? saved.usage : {};
+
+  const prune = () => {
+    Object.keys(days)
+      .sort()
+      .slice(0, -KEEP_DAYS)
+      .forEach((day) => delete days[day]);
+  };
+
+  const userTotals = (day, userId) => days[day]?.[userId] ?? { ...emptyTotals(), operations: {} };
+
+  const dayTotals = (day) =>
+    Object.values(days[day] ?? {}).reduce((totals, entry) => {
+      addTotals(totals, entry);
+      return totals;
+    }, emptyTotals());
+
+  // Throws a 429 when today's server-wide or per-user budget is used up
+  const checkBudget = (userId) => {
+    const today = dayOf(now());
+    if (dailyBudget && dayTotals(today).totalTokens >= dailyBudget) {
+      throw httpError(429, 'The daily LLM token budget for this server is used up. It resets at midnight.');
+    }
+    if (userDailyBudget && userTotals(today, userId).totalTokens >= userDailyBudget) {
+      throw httpError(429, 'Your daily LLM token budget is used up. It resets at midnight.');
+    }
+  };
+
+  // Adds one completion's { promptTokens, completionTokens, totalTokens } (null when
+  // the provider did not report any) to today's totals for the user and operation.
+  const record = (userId, operation, usage) => {
+    const day = dayOf(now());
+    days[day] ??= {};
+    const entry = (days[day][userId] ??= { ...emptyTotals(), operations: {} });
+    const counted = usage ?? {};
+    addTotals(entry, counted);
+    addTotals((entry.operations[operation] ??= emptyTotals()), counted);
+    prune();
+    onChange();
+  };
+
+  const remaining = (budget, used) => (budget ? Math.max(budget - used, 0) : null);
+
+  // The user's last `limit` days with usage, newest first, and where today stands
+  // against the budgets (null when no budget is set).
+  const report = (userId, { limit = 30 } = {}) => {
+    const today = dayOf(now());
+    const used = userTotals(today, userId).totalTokens;
+    const serverUsed = dayTotals(today).totalTokens;
+    return {
+      today: {
+        date: today,
+        ...userTotals(today, userId),
+        budget: userDailyBudget || null,
+        remaining: remaining(userDailyBudget, used),
+        server: {
+          totalTokens: serverUsed,
+          budget: dailyBudget || null,
+          remaining: remaining(dailyBudget, serverUsed),
+        },
+      },
+      days: Object.keys(days)
+        .filter((day) => days[day][userId])
+        .sort()
+        .reverse()
+        .slice(0, limit)
+        .map((day) => ({ date: day, ...days[day][userId] })),
+    };
+  };
+
+  return { checkBudget, record, report, toJSON: () => ({ usage: days }) };
+};
+
+module.exports = { createUsageLedger };
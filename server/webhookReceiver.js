@@ -0,0 +1,66 @@
+const http = require('http');
+const { verifySignature } = require('./webhooks');
+
+// A local webhook endpoint that prints every delivery, for trying out webhooks
+// without a real chat bot or home automation setup. With WEBHOOK_RECEIVER_SECRET
+// set, deliveries with a missing or wrong signature get a 401. Requests to
+// /status/<code> are always answered with that status, so retries (503) and
+// permanent failures (410) can be exercised too.
+//
+//   npm run webhook-receiver     # listens on port 4400 (WEBHOOK_RECEIVER_PORT)
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const createWebhookReceiver = ({ secret = null, onDelivery = () => {} } = {}) =>
+  http.createServer((req, res) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        res.writeHead(413).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const forced = /^\/status\/(\d{3})\/?$/.exec(req.url);
+      const verified = secret ? verifySignature(secret, req.headers['x-webhook-signature'], body) : null;
+      let status = verified === false ? 401 : 204;
+      if (forced) status = Number(forced[1]);
+
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        payload = body;
+      }
+      onDelivery({
+        event: req.headers['x-webhook-event'] ?? null,
+        deliveryId: req.headers['x-webhook-delivery'] ?? null,
+        verified,
+        status,
+        payload,
+        receivedAt: Date.now(),
+      });
+      res.writeHead(status).end();
+    });
+  });
+
+if (require.main === module) {
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4400;
+  createWebhookReceiver({
+    secret: process.env.WEBHOOK_RECEIVER_SECRET || null,
+    onDelivery: ({ event, deliveryId, verified, status, payload }) => {
+      const signature = verified === null ? '' : verified ? ' (signature ok)' : ' (bad signature)';
+      console.log(`${new Date().toISOString()} ${event} ${deliveryId} -> ${status}${signature}`);
+      console.log(JSON.stringify(payload, null, 2));
+    },
+  }).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createWebhookReceiver };
@@ -0,0 +1,158 @@
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { BlockList, isIP } = require('net');
+
+// Outgoing webhooks. Every delivery is a JSON POST signed with its webhook's
+// secret: X-Webhook-Signature is "t=<unix seconds>,v1=<hex>", where v1 is the
+// HMAC-SHA256 of "<t>.<raw body>", so a receiver can check both who sent it and
+// that it is recent. Loopback, link-local and private addresses are refused unless
+// WEBHOOK_ALLOW_PRIVATE_URLS is set, so webhooks cannot be used to reach internal
+// services. For local testing set it, run `npm run webhook-receiver` and point a
+// webhook at http://localhost:4400/.
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+const SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+
+const PRIVATE_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], // unspecified and loopback
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  const family = isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// True for URLs naming a local or private host outright. Names that resolve to
+// one are caught when a delivery is sent.
+const isPrivateUrl = (url) => {
+  const host = hostOf(url).toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+const privateTargetError = (host) =>
+  Object.assign(new Error(`${host} is a local or private address; set WEBHOOK_ALLOW_PRIVATE_URLS to allow it.`), {
+    permanent: true,
+  });
+
+// Timeouts and throttling or server errors may succeed later; other replies
+// (404, 410, a rejected signature...) will fail the same way again.
+const TRANSIENT_STATUSES = [408, 425, 429];
+
+const createSecret = () => `whsec_${randomBytes(24).toString('base64url')}`;
+
+const sign = (secret, timestamp, body) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, body, now = Date.now()) => {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+};
+
+// True when `header` carries a valid signature of `body` made within the tolerance
+const verifySignature = (secret, header, body, { now = Date.now(), tolerance = SIGNATURE_TOLERANCE } = {}) => {
+  const fields = Object.fromEntries(
+    String(header ?? '')
+      .split(',')
+      .map((part) => part.trim().split('='))
+  );
+  const timestamp = Number(fields.t);
+  if (!Number.isFinite(timestamp) || !fields.v1 || Math.abs(now - timestamp * 1000) > tolerance) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(fields.v1, 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+const isTransientError = (error) =>
+  !error.permanent &&
+  (error.status === undefined || error.status >= 500 || TRANSIENT_STATUSES.includes(error.status));
+
+// A dns.lookup replacement for outgoing requests that fails when the host resolves
+// to a private address. The socket connects to the address checked here, so a
+// DNS answer that changes between a check and the connection cannot get past it.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateTargetError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Resolves to the reply's status code, discarding its body
+const post = (url, { headers, body, lookup }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+
+// POSTs `payload` to the webhook. Resolves to { status } on a 2xx reply; otherwise
+// rejects with an error whose `status` is the HTTP status, or undefined when the
+// receiver could not be reached. Redirects are not followed, and the reply body is
+// never kept, so a webhook cannot be used to read what a server returns.
+const sendWebhook = async ({ url, secret, event, deliveryId, payload, allowPrivate = false }) => {
+  if (!allowPrivate && isPrivateUrl(url)) throw privateTargetError(hostOf(url));
+  const body = JSON.stringify(payload);
+  let status;
+  try {
+    status = await post(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'productivity-agent-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Signature': signatureHeader(secret, body),
+      },
+      body,
+      lookup: allowPrivate ? undefined : publicLookup,
+    });
+  } catch (error) {
+    if (error.permanent) throw error;
+    throw new Error(
+      error.name === 'AbortError'
+        ? `No reply within ${DELIVERY_TIMEOUT / 1000} seconds.`
+        : `Could not reach ${new URL(url).host}: ${error.code ?? error.message}`
+    );
+  }
+
+  if (status >= 200 && status < 300) return { status };
+  const error = new Error(`Receiver replied ${status}.`);
+  error.status = status;
+  throw error;
+};
+
+module.exports = { createSecret, signatureHeader, verifySignature, isTransientError, isPrivateUrl, sendWebhook };